@@ -1,5 +1,5 @@
 import { Asset } from "aiblocks-base-sdk";
-import { CallBuilder } from "./call_builder";
+import { CallBuilder, CallBuilderOptions } from "./call_builder";
 import { ServerApi } from "./server_api";
 
 /**
@@ -15,8 +15,8 @@ import { ServerApi } from "./server_api";
 export class AccountCallBuilder extends CallBuilder<
   ServerApi.CollectionPage<ServerApi.AccountRecord>
 > {
-  constructor(serverUrl: URI) {
-    super(serverUrl);
+  constructor(serverUrl: URI, options?: CallBuilderOptions) {
+    super(serverUrl, options);
     this.url.segment("accounts");
   }
 
@@ -29,7 +29,10 @@ export class AccountCallBuilder extends CallBuilder<
    * @returns {CallBuilder} current AccountCallBuilder instance
    */
   public accountId(id: string): CallBuilder<ServerApi.AccountRecord> {
-    const builder = new CallBuilder<ServerApi.AccountRecord>(this.url.clone());
+    const builder = new CallBuilder<ServerApi.AccountRecord>(
+      this.url.clone(),
+      this.options,
+    );
     builder.filter.push([id]);
     return builder;
   }
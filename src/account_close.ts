@@ -0,0 +1,217 @@
+import {
+  Account,
+  Asset,
+  BASE_FEE,
+  Operation,
+  SignerOptions,
+  StrKey,
+  Transaction,
+  TransactionBuilder,
+  xdr,
+} from "aiblocks-base-sdk";
+import BigNumber from "bignumber.js";
+
+import { AccountResponse } from "./account_response";
+import { Millennium } from "./millennium_api";
+import { loadAccountIfExists } from "./preflight";
+import { explainResultCode } from "./result_codes";
+import { Server } from "./server";
+import { ServerApi } from "./server_api";
+
+// Most operations a transaction can hold.
+const MAX_OPERATIONS = 100;
+
+/**
+ * Plans the transactions that empty and merge an account. Do not call this
+ * function directly, use {@link Server#buildAccountCloseTransactions}.
+ * @private
+ * @param {Server} server Server to load the accounts and offers from.
+ * @param {string} accountId Account to close.
+ * @param {string} destination Account to merge into.
+ * @param {Server.AccountCloseOptions} opts Options object.
+ * @returns {Promise<Server.AccountClosePlan>} The transactions and blockers.
+ */
+export async function buildAccountCloseTransactions(
+  server: Server,
+  accountId: string,
+  destination: string,
+  opts: Server.AccountCloseOptions,
+): Promise<Server.AccountClosePlan> {
+  const [account, target, offers] = await Promise.all([
+    server.loadAccount(accountId),
+    loadAccountIfExists(server, destination),
+    _loadOffers(server, accountId),
+  ]);
+
+  const blockers: Server.AccountCloseBlocker[] = [];
+  const block = (code: string, message?: string, asset?: Asset) => {
+    const blocker: Server.AccountCloseBlocker = {
+      code,
+      message: message || explainResultCode(code),
+    };
+    if (asset) {
+      blocker.asset = `${asset.getCode()}:${asset.getIssuer()}`;
+    }
+    blockers.push(blocker);
+  };
+
+  if (destination === accountId) {
+    block("op_malformed", "The account can't be merged into itself.");
+  } else if (!target) {
+    block("op_no_account");
+  }
+  if (account.flags.auth_immutable) {
+    block("op_immutable_set");
+  }
+  if (account.num_sponsoring > 0) {
+    block(
+      "op_is_sponsor",
+      `The account sponsors ${account.num_sponsoring} entries or accounts, whose sponsorship must be revoked or transferred first.`,
+    );
+  }
+
+  const operations: xdr.Operation[] = [];
+  offers.forEach((offer) => {
+    operations.push(
+      Operation.manageSellOffer({
+        selling: _asset(offer.selling),
+        buying: _asset(offer.buying),
+        amount: "0",
+        price: offer.price_r,
+        offerId: offer.id,
+      }),
+    );
+  });
+  Object.keys(account.data_attr).forEach((name) => {
+    operations.push(Operation.manageData({ name, value: null }));
+  });
+  account.balances.forEach((balance) => {
+    if (balance.asset_type === "native") {
+      return;
+    }
+    const asset = new Asset(balance.asset_code, balance.asset_issuer);
+    if (new BigNumber(balance.balance).gt(0)) {
+      if (!target || destination === accountId) {
+        // reported above
+        return;
+      }
+      const blocker = _transferBlocker(balance, target);
+      if (blocker) {
+        block(blocker, undefined, asset);
+        return;
+      }
+      operations.push(
+        Operation.payment({ destination, asset, amount: balance.balance }),
+      );
+    }
+    operations.push(Operation.changeTrust({ asset, limit: "0" }));
+  });
+
+  // The extra signers are removed by the transaction that merges the
+  // account, so that they can sign every transaction before it even if the
+  // master key has no weight.
+  const merge: xdr.Operation[] = [];
+  if (!blockers.length) {
+    account.signers.forEach((signer) => {
+      if (signer.key === accountId) {
+        return;
+      }
+      merge.push(Operation.setOptions({ signer: _removeSigner(signer.key) }));
+    });
+    merge.push(Operation.accountMerge({ destination }));
+  }
+
+  const chunks: xdr.Operation[][] = [];
+  for (let i = 0; i < operations.length; i += MAX_OPERATIONS) {
+    chunks.push(operations.slice(i, i + MAX_OPERATIONS));
+  }
+  const last = chunks[chunks.length - 1];
+  if (last && last.length + merge.length <= MAX_OPERATIONS) {
+    last.push(...merge);
+  } else if (merge.length) {
+    // an account has at most 20 signers, so these always fit
+    chunks.push(merge);
+  }
+
+  const source = new Account(accountId, account.sequence);
+  const transactions: Transaction[] = [];
+  for (const chunk of chunks) {
+    const builder = new TransactionBuilder(source, {
+      fee: opts.fee || BASE_FEE,
+      networkPassphrase: opts.networkPassphrase,
+    });
+    chunk.forEach((operation) => builder.addOperation(operation));
+    transactions.push(
+      builder
+        .setTimeout(opts.timeout === undefined ? 300 : opts.timeout)
+        .build(),
+    );
+  }
+
+  return { transactions, blockers };
+}
+
+/**
+ * Why the balance of a trustline can't be sent to the destination, if it
+ * can't: the issuer takes its asset back from any authorized holder,
+ * other destinations need an authorized trustline with enough room.
+ */
+function _transferBlocker(
+  balance: Millennium.BalanceLineAsset,
+  target: AccountResponse,
+): string | undefined {
+  if (!balance.is_authorized) {
+    return "op_src_not_authorized";
+  }
+  if (balance.asset_issuer === target.account_id) {
+    return undefined;
+  }
+  const trustline = target.getTrustline(
+    new Asset(balance.asset_code, balance.asset_issuer),
+  );
+  if (!trustline) {
+    return "op_no_trust";
+  }
+  if (!trustline.is_authorized) {
+    return "op_not_authorized";
+  }
+  const room = new BigNumber(trustline.limit)
+    .minus(trustline.balance)
+    .minus(trustline.buying_liabilities);
+  return room.lt(balance.balance) ? "op_line_full" : undefined;
+}
+
+function _removeSigner(key: string): SignerOptions {
+  switch (key.charAt(0)) {
+    case "T":
+      return { preAuthTx: StrKey.decodePreAuthTx(key), weight: 0 };
+    case "X":
+      return { sha256Hash: StrKey.decodeSha256Hash(key), weight: 0 };
+    default:
+      return { ed25519PublicKey: key, weight: 0 };
+  }
+}
+
+function _asset(asset: ServerApi.OfferAsset): Asset {
+  return asset.asset_type === "native"
+    ? Asset.native()
+    : new Asset(asset.asset_code as string, asset.asset_issuer);
+}
+
+async function _loadOffers(
+  server: Server,
+  accountId: string,
+): Promise<ServerApi.OfferRecord[]> {
+  const offers: ServerApi.OfferRecord[] = [];
+  let page = await server
+    .offers()
+    .forAccount(accountId)
+    .limit(200)
+    .call();
+  offers.push(...page.records);
+  while (page.records.length === 200) {
+    page = await page.next();
+    offers.push(...page.records);
+  }
+  return offers;
+}
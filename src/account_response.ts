@@ -1,6 +1,15 @@
-/* tslint:disable:variable-name */
+/* tslint:disable:variable-name no-namespace */
 
-import { Account as BaseAccount } from "aiblocks-base-sdk";
+import {
+  Account as BaseAccount,
+  Asset,
+  FeeBumpTransaction,
+  hash,
+  Keypair,
+  StrKey,
+  Transaction,
+} from "aiblocks-base-sdk";
+import BigNumber from "bignumber.js";
 import forIn from "lodash/forIn";
 import { Millennium } from "./millennium_api";
 import { ServerApi } from "./server_api";
@@ -33,6 +42,9 @@ export class AccountResponse {
     value: string;
   }) => Promise<{ value: string }>;
   public readonly data_attr!: Record<string, string>;
+  public readonly sponsor?: string;
+  public readonly num_sponsoring!: number;
+  public readonly num_sponsored!: number;
   public readonly effects!: ServerApi.CallCollectionFunction<
     ServerApi.EffectRecord
   >;
@@ -49,9 +61,49 @@ export class AccountResponse {
     ServerApi.TradeRecord
   >;
   private readonly _baseAccount: BaseAccount;
+  private readonly _server?: AccountResponse.BaseReserveSource;
 
-  constructor(response: ServerApi.AccountRecord) {
+  /**
+   * Threshold level the source account of an operation must meet: `low`
+   * for `allowTrust`, `bumpSequence`, `claimClaimableBalance` and
+   * `inflation`, `high` for `accountMerge` and for `setOptions` changing
+   * signers, the master weight or thresholds, `med` for everything else.
+   * @see [Multisignature](https://www.aiblocks.io/developers/guides/concepts/multi-sig.html)
+   * @param {Operation} operation Decoded operation, e.g. an entry of
+   * `transaction.operations`.
+   * @returns {AccountResponse.ThresholdLevel} `low`, `med` or `high`.
+   */
+  public static getThresholdLevel(operation: {
+    type: string;
+    [key: string]: any;
+  }): AccountResponse.ThresholdLevel {
+    switch (operation.type) {
+      case "allowTrust":
+      case "bumpSequence":
+      case "claimClaimableBalance":
+      case "inflation":
+        return "low";
+      case "accountMerge":
+        return "high";
+      case "setOptions":
+        return operation.masterWeight !== undefined ||
+          operation.lowThreshold !== undefined ||
+          operation.medThreshold !== undefined ||
+          operation.highThreshold !== undefined ||
+          operation.signer !== undefined
+          ? "high"
+          : "med";
+      default:
+        return "med";
+    }
+  }
+
+  constructor(
+    response: ServerApi.AccountRecord,
+    server?: AccountResponse.BaseReserveSource,
+  ) {
     this._baseAccount = new BaseAccount(response.account_id, response.sequence);
+    this._server = server;
     // Extract response fields
     // TODO: do it in type-safe manner.
     forIn(response, (value, key) => {
@@ -83,4 +135,307 @@ export class AccountResponse {
     this._baseAccount.incrementSequenceNumber();
     this.sequence = this._baseAccount.sequenceNumber();
   }
+
+  /**
+   * Get the trustline of the account for an asset.
+   * @param {Asset} asset A non-native asset.
+   * @returns {Millennium.BalanceLineAsset|undefined} The trustline, or
+   * `undefined` if the account doesn't trust the asset.
+   */
+  public getTrustline(asset: Asset): Millennium.BalanceLineAsset | undefined {
+    return this.balances.filter(
+      (balance): balance is Millennium.BalanceLineAsset =>
+        balance.asset_type !== "native" &&
+        balance.asset_code === asset.getCode() &&
+        balance.asset_issuer === asset.getIssuer(),
+    )[0];
+  }
+
+  /**
+   * Get the balance of the account in an asset.
+   * @param {Asset} asset The asset.
+   * @returns {string} The balance, `"0.0000000"` without a trustline.
+   */
+  public getBalance(asset: Asset): string {
+    const line = asset.isNative()
+      ? this.balances.filter((balance) => balance.asset_type === "native")[0]
+      : this.getTrustline(asset);
+    return new BigNumber(line ? line.balance : 0).toFixed(7);
+  }
+
+  /**
+   * Get the minimum native balance the account must hold: the base reserve
+   * for the account itself, and for each subentry and sponsored entry,
+   * i.e. `baseReserve × (2 + subentry_count + num_sponsoring -
+   * num_sponsored)`.
+   * @param {string|ServerApi.LedgerRecord} [baseReserve] The base reserve,
+   * from {@link Server#fetchBaseReserve}, or the latest ledger record. If
+   * omitted, it is fetched with {@link Server#fetchBaseReserve} of the server
+   * the account was loaded from.
+   * @returns {string|Promise<string>} The minimum balance, or a promise of
+   * it if `baseReserve` is omitted.
+   */
+  public getMinimumBalance(): Promise<string>;
+  public getMinimumBalance(
+    baseReserve: string | ServerApi.LedgerRecord,
+  ): string;
+  public getMinimumBalance(
+    baseReserve?: string | ServerApi.LedgerRecord,
+  ): string | Promise<string> {
+    if (baseReserve === undefined) {
+      return this._fetchBaseReserve().then((reserve) =>
+        this.getMinimumBalance(reserve),
+      );
+    }
+    const entries = new BigNumber(2)
+      .plus(this.subentry_count || 0)
+      .plus(this.num_sponsoring || 0)
+      .minus(this.num_sponsored || 0);
+    return _baseReserve(baseReserve)
+      .times(entries)
+      .toFixed(7);
+  }
+
+  /**
+   * Get the balance the account can send in an asset: its balance minus its
+   * selling liabilities, and for the native asset minus its minimum balance
+   * (see {@link AccountResponse#getMinimumBalance}).
+   * @param {Asset} asset The asset.
+   * @param {string|ServerApi.LedgerRecord} [baseReserve] The base reserve,
+   * from {@link Server#fetchBaseReserve}, or the latest ledger record. If
+   * omitted, it is fetched with {@link Server#fetchBaseReserve} of the server
+   * the account was loaded from.
+   * @returns {string|Promise<string>} The spendable balance, never negative,
+   * or a promise of it if `baseReserve` is omitted.
+   */
+  public getSpendableBalance(asset: Asset): Promise<string>;
+  public getSpendableBalance(
+    asset: Asset,
+    baseReserve: string | ServerApi.LedgerRecord,
+  ): string;
+  public getSpendableBalance(
+    asset: Asset,
+    baseReserve?: string | ServerApi.LedgerRecord,
+  ): string | Promise<string> {
+    if (baseReserve === undefined) {
+      return this._fetchBaseReserve().then((reserve) =>
+        this.getSpendableBalance(asset, reserve),
+      );
+    }
+    let spendable: BigNumber;
+    if (asset.isNative()) {
+      const native = this.balances.filter(
+        (balance) => balance.asset_type === "native",
+      )[0];
+      spendable = new BigNumber(native ? native.balance : 0)
+        .minus(native ? native.selling_liabilities : 0)
+        .minus(this.getMinimumBalance(baseReserve));
+    } else {
+      const trustline = this.getTrustline(asset);
+      spendable = trustline
+        ? new BigNumber(trustline.balance).minus(trustline.selling_liabilities)
+        : new BigNumber(0);
+    }
+    return BigNumber.max(spendable, 0).toFixed(7);
+  }
+
+  /**
+   * Get the account's threshold for a level.
+   * @param {AccountResponse.ThresholdLevel} level `low`, `med` or `high`.
+   * @returns {number} The threshold.
+   */
+  public getThreshold(level: AccountResponse.ThresholdLevel): number {
+    switch (level) {
+      case "low":
+        return this.thresholds.low_threshold;
+      case "high":
+        return this.thresholds.high_threshold;
+      default:
+        return this.thresholds.med_threshold;
+    }
+  }
+
+  /**
+   * Get the total weight of the account's signers among `keys`. Keys that
+   * aren't signers of the account count for nothing.
+   * @param {string[]} keys Public keys, pre-authorized transaction or
+   * hash(x) signer keys.
+   * @returns {number} The sum of their weights.
+   */
+  public getSignerWeight(keys: string[]): number {
+    return this.signers.reduce(
+      (weight, signer) =>
+        keys.indexOf(signer.key) >= 0 ? weight + signer.weight : weight,
+      0,
+    );
+  }
+
+  /**
+   * Get the account's signers that signed a transaction: public keys with a
+   * valid signature, the pre-authorized transaction signer of its hash, and
+   * hash(x) signers whose preimage is among its signatures.
+   * @param {Transaction|FeeBumpTransaction} transaction Signed transaction.
+   * @returns {string[]} The keys of the signers.
+   */
+  public getTransactionSigners(
+    transaction: Transaction | FeeBumpTransaction,
+  ): string[] {
+    const txHash = transaction.hash();
+    const signatures = transaction.signatures;
+    const preAuthTx = StrKey.encodePreAuthTx(txHash);
+    const hashes = signatures.map((signature) =>
+      StrKey.encodeSha256Hash(hash(signature.signature())),
+    );
+
+    return this.signers
+      .map((signer) => signer.key)
+      .filter((key) => {
+        switch (key.charAt(0)) {
+          case "G": {
+            const keypair = Keypair.fromPublicKey(key);
+            return signatures.some(
+              (signature) =>
+                signature.hint().equals(keypair.signatureHint()) &&
+                keypair.verify(txHash, signature.signature()),
+            );
+          }
+          case "T":
+            return key === preAuthTx;
+          case "X":
+            return hashes.indexOf(key) >= 0;
+          default:
+            return false;
+        }
+      });
+  }
+
+  /**
+   * Checks whether a transaction's signatures meet the thresholds this
+   * account must meet as its source, fee source, or source of some of its
+   * operations: `low` for the transaction itself, and the level of each
+   * operation, see {@link AccountResponse.getThresholdLevel}. A threshold of
+   * 0 still needs a signer with a positive weight.
+   *
+   * Check each source account to know whether the network would accept the
+   * signatures:
+   *
+   * ```javascript
+   * const sources = [transaction.source].concat(
+   *   transaction.operations.map((operation) => operation.source),
+   * );
+   * for (const source of new Set(sources.filter(Boolean))) {
+   *   const account = await server.loadAccount(source);
+   *   if (!account.checkSignatures(transaction).authorized) {
+   *     await requestApproval(source, transaction);
+   *   }
+   * }
+   * ```
+   * @param {Transaction|FeeBumpTransaction} transaction Signed transaction.
+   * @returns {AccountResponse.SignatureCheck} Whether every threshold is
+   * met, and the weight and threshold of each requirement.
+   */
+  public checkSignatures(
+    transaction: Transaction | FeeBumpTransaction,
+  ): AccountResponse.SignatureCheck {
+    const requirements: AccountResponse.SignatureRequirement[] = [];
+    const weights: { [hash: string]: number } = {};
+    const require = (
+      signed: Transaction | FeeBumpTransaction,
+      level: AccountResponse.ThresholdLevel,
+      operationIndex?: number,
+    ) => {
+      const key = signed.hash().toString("hex");
+      if (weights[key] === undefined) {
+        weights[key] = this.getSignerWeight(this.getTransactionSigners(signed));
+      }
+      const threshold = this.getThreshold(level);
+      const requirement: AccountResponse.SignatureRequirement = {
+        level,
+        threshold,
+        weight: weights[key],
+        met: weights[key] >= Math.max(threshold, 1),
+      };
+      if (operationIndex !== undefined) {
+        requirement.operationIndex = operationIndex;
+      }
+      requirements.push(requirement);
+    };
+
+    let inner: Transaction;
+    if (transaction instanceof FeeBumpTransaction) {
+      if (transaction.feeSource === this.account_id) {
+        require(transaction, "low");
+      }
+      inner = transaction.innerTransaction;
+    } else {
+      inner = transaction;
+    }
+    if (inner.source === this.account_id) {
+      require(inner, "low");
+    }
+    inner.operations.forEach((operation, i) => {
+      if ((operation.source || inner.source) === this.account_id) {
+        require(inner, AccountResponse.getThresholdLevel(operation), i);
+      }
+    });
+
+    return {
+      authorized: requirements.every((requirement) => requirement.met),
+      requirements,
+    };
+  }
+
+  private _fetchBaseReserve(): Promise<string> {
+    if (!this._server) {
+      return Promise.reject(
+        new Error(
+          "baseReserve is required for accounts not loaded with Server#loadAccount",
+        ),
+      );
+    }
+    return this._server.fetchBaseReserve();
+  }
+}
+
+function _baseReserve(baseReserve: string | ServerApi.LedgerRecord): BigNumber {
+  return typeof baseReserve === "string"
+    ? new BigNumber(baseReserve)
+    : new BigNumber(baseReserve.base_reserve_in_sectors).div(1e7);
+}
+
+export namespace AccountResponse {
+  export type ThresholdLevel = "low" | "med" | "high";
+
+  /**
+   * Where {@link AccountResponse#getMinimumBalance} and
+   * {@link AccountResponse#getSpendableBalance} fetch the base reserve from,
+   * e.g. a {@link Server}.
+   */
+  export interface BaseReserveSource {
+    fetchBaseReserve(): Promise<string>;
+  }
+
+  export interface SignatureRequirement {
+    /**
+     * Operation sourced by the account, absent for the requirement of the
+     * transaction's (fee) source.
+     */
+    operationIndex?: number;
+    level: ThresholdLevel;
+    threshold: number;
+    /**
+     * Total weight of the account's signers that signed.
+     */
+    weight: number;
+    met: boolean;
+  }
+
+  export interface SignatureCheck {
+    /**
+     * Whether every requirement is met. Also `true` when the account sources
+     * nothing in the transaction.
+     */
+    authorized: boolean;
+    requirements: SignatureRequirement[];
+  }
 }
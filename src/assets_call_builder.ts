@@ -1,4 +1,4 @@
-import { CallBuilder } from "./call_builder";
+import { CallBuilder, CallBuilderOptions } from "./call_builder";
 import { ServerApi } from "./server_api";
 
 /**
@@ -13,8 +13,8 @@ import { ServerApi } from "./server_api";
 export class AssetsCallBuilder extends CallBuilder<
   ServerApi.CollectionPage<ServerApi.AssetRecord>
 > {
-  constructor(serverUrl: URI) {
-    super(serverUrl);
+  constructor(serverUrl: URI, options?: CallBuilderOptions) {
+    super(serverUrl, options);
     this.url.segment("assets");
   }
 
@@ -1,11 +1,18 @@
+import { AxiosInstance } from "axios";
 import isNode from "detect-node";
 import URI from "urijs";
 import URITemplate from "urijs/src/URITemplate";
 
+import { Config } from "./config";
+import { CursorCheckpoint, CursorStoreOptions } from "./cursor_store";
 import { BadRequestError, NetworkError, NotFoundError } from "./errors";
 import { Millennium } from "./millennium_api";
 import MillenniumAxiosClient from "./millennium_axios_client";
+import { comparePagingTokens } from "./paging_token";
+import { RecordIterator, RecordIteratorOptions } from "./record_iterator";
+import { RetryPolicy, withRetry } from "./retry_policy";
 import { ServerApi } from "./server_api";
+import { StreamIterator, StreamIteratorOptions } from "./stream_iterator";
 
 /* tslint:disable-next-line:no-var-requires */
 const version = require("../package.json").version;
@@ -16,12 +23,69 @@ const JOINABLE = ["transaction"];
 
 type Constructable<T> = new (e: string) => T;
 
-export interface EventSourceOptions<T> {
-  onmessage?: (value: T) => void;
+export interface EventSourceOptions<T> extends CursorStoreOptions {
+  onmessage?: (value: T, ack: () => Promise<void>) => void | Promise<void>;
   onerror?: (event: MessageEvent) => void;
+  onopen?: () => void;
+  onreconnect?: (event: StreamReconnectEvent) => void;
+  onidle?: (stats: StreamStats) => void;
   reconnectTimeout?: number;
+  idleTimeout?: number;
+  transport?: "auto" | "eventsource" | "polling";
+  pollInterval?: number;
+  ordered?: boolean;
 }
 
+export interface StreamReconnectEvent {
+  /**
+   * Number of reconnections since the last message, starting at 1.
+   */
+  attempt: number;
+  /**
+   * Why the stream reconnects: no message within `reconnectTimeout`, the
+   * server closed the stream, or the connection failed.
+   */
+  reason: "timeout" | "close" | "error";
+}
+
+export interface StreamStats {
+  messagesReceived: number;
+  lastMessageTime?: Date;
+  reconnectCount: number;
+}
+
+/**
+ * Returned by {@link CallBuilder#stream}: call it, or its `close` method, to
+ * close the stream. Its properties are live health metrics.
+ */
+export interface StreamHandle extends Readonly<StreamStats> {
+  /**
+   * Error of the last failed attempt to load the cursor from the
+   * `cursorStore`, until the cursor loads. The stream doesn't connect
+   * before, and retries after `reconnectTimeout`.
+   */
+  readonly cursorLoadError?: any;
+  (): void;
+  close(): void;
+}
+
+export interface CallBuilderOptions {
+  httpClient?: AxiosInstance;
+  retry?: Partial<RetryPolicy>;
+}
+
+// The record type of a collection builder, e.g. `OperationRecord` for
+// `CallBuilder<CollectionPage<OperationRecord>>`.
+export type CollectionRecord<T> = T extends ServerApi.CollectionPage<infer R>
+  ? R
+  : never;
+
+// The type of the messages streamed by a builder: the records of a collection
+// builder, or the resource itself.
+export type StreamRecord<T> = T extends ServerApi.CollectionPage<infer R>
+  ? R
+  : T;
+
 let EventSource: Constructable<EventSource>;
 const anyGlobal = global as any;
 
@@ -30,7 +94,7 @@ if (anyGlobal.EventSource) {
 } else if (isNode) {
   /* tslint:disable-next-line:no-var-requires */
   EventSource = require("eventsource");
-} else {
+} else if (anyGlobal.window) {
   EventSource = anyGlobal.window.EventSource;
 }
 
@@ -39,6 +103,9 @@ if (anyGlobal.EventSource) {
  *
  * This is an **abstract** class. Do not create this object directly, use {@link Server} class.
  * @param {string} serverUrl URL of Millennium server
+ * @param {object} [options] Options object
+ * @param {AxiosInstance} [options.httpClient] HTTP client requests are sent with, default: {@link MillenniumAxiosClient}.
+ * @param {RetryPolicy} [options.retry] Retry policy for requests sent by this builder, merged over {@link Config.getRetryPolicy}.
  * @class CallBuilder
  */
 export class CallBuilder<
@@ -50,9 +117,11 @@ export class CallBuilder<
   protected url: URI;
   public filter: string[][];
   protected originalSegments: string[];
+  protected options: CallBuilderOptions;
 
-  constructor(serverUrl: URI) {
+  constructor(serverUrl: URI, options: CallBuilderOptions = {}) {
     this.url = serverUrl.clone();
+    this.options = options;
     this.filter = [];
     this.originalSegments = this.url.segment() || [];
   }
@@ -84,6 +153,41 @@ export class CallBuilder<
   ////   });
   //// }
 
+  /**
+   * Returns an async iterator over every record of this collection, fetching
+   * the following pages with `next()` as needed. Iteration stops on the
+   * first empty page or once `maxRecords` records have been read. The
+   * `pagingToken` property of the returned iterator holds the `paging_token`
+   * of the last record read, so it can be passed to {@link CallBuilder#cursor}
+   * later on to resume.
+   *
+   * ```js
+   * for await (const op of server.operations().forAccount(id).iterate()) {
+   *   console.log(op.id);
+   * }
+   * ```
+   * @param {object} [options] Iterator options.
+   * @param {number} [options.maxRecords] Maximum number of records to read.
+   * @param {CursorStore} [options.cursorStore] Store to resume from and to checkpoint processed records to.
+   * @param {string} [options.cursorKey] Key of the cursor in `cursorStore`, default: the endpoint path.
+   * @param {"auto"|"manual"} [options.ack] When a record counts as processed: when the next one is read, or on `ack()`. Default: `"auto"`.
+   * @returns {RecordIterator} An async iterable of records.
+   */
+  public iterate(
+    options: RecordIteratorOptions = {},
+  ): RecordIterator<CollectionRecord<T>> {
+    return new RecordIterator<CollectionRecord<T>>(
+      (cursor) => {
+        if (cursor) {
+          this.cursor(cursor);
+        }
+        return this.call() as Promise<any>;
+      },
+      options,
+      this._cursorCheckpoint(options),
+    );
+  }
+
   /**
    * Creates an EventSource that listens for incoming messages from the server. To stop listening for new
    * events call the function returned by this method.
@@ -92,11 +196,30 @@ export class CallBuilder<
    * @param {object} [options] EventSource options.
    * @param {function} [options.onmessage] Callback function to handle incoming messages.
    * @param {function} [options.onerror] Callback function to handle errors.
+   * @param {function} [options.onopen] Called each time the connection is (re)opened.
+   * @param {function} [options.onreconnect] Called with `{attempt, reason}` before each reconnection. `attempt` counts the reconnections since the last message, `reason` is `"timeout"`, `"close"` or `"error"`.
+   * @param {function} [options.onidle] Called with the stream stats each time no message was received for `idleTimeout` ms.
    * @param {number} [options.reconnectTimeout] Custom stream connection timeout in ms, default is 15 seconds.
-   * @returns {function} Close function. Run to close the connection and stop listening for new events.
+   * @param {number} [options.idleTimeout] Time without messages after which `onidle` is called, default is 60 seconds.
+   * @param {CursorStore} [options.cursorStore] Store to load the cursor from before connecting, and to checkpoint processed records to. If loading fails, the error is reported to `onerror` and loading is retried after `reconnectTimeout`.
+   * @param {string} [options.cursorKey] Key of the cursor in `cursorStore`, default: the endpoint path.
+   * @param {"auto"|"manual"} [options.ack] When a record counts as processed: once `onmessage` returned or its promise resolved, or once the `ack` function passed to `onmessage` is called. Default: `"auto"`.
+   * @param {"auto"|"eventsource"|"polling"} [options.transport] How to receive messages, default: `"auto"`, which polls only where `EventSource` isn't available. `"polling"` requests the endpoint in ascending order from the current cursor, and single resources whenever they changed.
+   * @param {number} [options.pollInterval] Time between two requests of the polling transport in ms, default is 5 seconds. Full pages are followed immediately.
+   * @param {boolean} [options.ordered] Drop records whose `paging_token` isn't greater than the last one delivered, e.g. repeated after a reconnection. On `ledgers()` streams, also fetch skipped ledgers and deliver them before continuing.
+   * @returns {StreamHandle} Close function. Run to close the connection and stop listening for new events. Its `messagesReceived`, `lastMessageTime` and `reconnectCount` properties report the stream's health, and `cursorLoadError` the error that keeps it from connecting, if any.
    */
-  public stream(options: EventSourceOptions<T> = {}): () => void {
+  public stream(options: EventSourceOptions<T> = {}): StreamHandle {
     this.checkFilter();
+    const checkpoint = this._cursorCheckpoint(options);
+    const transport = options.transport || "auto";
+    if (transport === "eventsource" && !EventSource) {
+      throw new Error(
+        "EventSource is not available, use the polling transport instead",
+      );
+    }
+    const polling =
+      transport === "polling" || (transport === "auto" && !EventSource);
 
     this.url.setQuery("X-Client-Name", "js-aiblocks-sdk");
     this.url.setQuery("X-Client-Version", version);
@@ -108,12 +231,205 @@ export class CallBuilder<
     // It prevents closing EventSource object in case of 504 errors as `readyState`
     // property is not reliable.
     let timeout: NodeJS.Timeout;
+    // idleTimeout is the id of the timeout calling `onidle`
+    let idleTimeout: NodeJS.Timeout;
+    // pollTimeout is the id of the timeout of the next poll
+    let pollTimeout: NodeJS.Timeout;
+    let stopped = false;
+
+    const stats: StreamStats = { messagesReceived: 0, reconnectCount: 0 };
+    let cursorLoadError: any;
+    // reconnections since the last message
+    let attempt = 0;
+
+    const notifyReconnect = (reason: StreamReconnectEvent["reason"]) => {
+      attempt += 1;
+      stats.reconnectCount += 1;
+      if (options.onreconnect) {
+        options.onreconnect({ attempt, reason });
+      }
+    };
+
+    const createIdleTimeout = () => {
+      if (!options.onidle || stopped) {
+        return;
+      }
+      clearTimeout(idleTimeout);
+      idleTimeout = setTimeout(() => {
+        if (options.onidle) {
+          options.onidle(Object.assign({}, stats));
+        }
+        createIdleTimeout();
+      }, options.idleTimeout || 60 * 1000);
+    };
+
+    const deliver = (result: any) => {
+      if (result.paging_token) {
+        this.url.setQuery("cursor", result.paging_token);
+      }
+      if (typeof options.onmessage === "undefined") {
+        return;
+      }
+      if (!checkpoint || !result.paging_token) {
+        options.onmessage(result, () => Promise.resolve());
+        return;
+      }
+
+      const reportError = (error: any) => {
+        if (options.onerror) {
+          options.onerror(error);
+        }
+      };
+      const ack = () => {
+        const saved = checkpoint.save(result.paging_token);
+        saved.catch(reportError);
+        return saved;
+      };
+      if (options.ack === "manual") {
+        options.onmessage(result, ack);
+        return;
+      }
+      let processed;
+      try {
+        processed = options.onmessage(result, ack);
+      } catch (e) {
+        processed = Promise.reject(e);
+      }
+      checkpoint.save(result.paging_token, processed).catch(reportError);
+    };
+
+    // last record delivered in ordered mode
+    let lastToken: string | undefined;
+    let lastSequence: number | undefined;
+    // delivers records one after the other in ordered mode
+    let ordering: Promise<void> = Promise.resolve();
+    const segments = this.url.segment();
+    const isLedgers = segments[segments.length - 1] === "ledgers";
+
+    const deliverInOrder = (result: any) => {
+      if (stopped) {
+        return;
+      }
+      const token = result.paging_token;
+      if (token && lastToken && comparePagingTokens(token, lastToken) <= 0) {
+        return;
+      }
+      deliver(result);
+      lastToken = token || lastToken;
+      if (isLedgers) {
+        lastSequence = result.sequence;
+      }
+    };
+
+    const receiveInOrder = async (result: any) => {
+      const from = (lastSequence as number) + 1;
+      const to = result.sequence - 1;
+      if (isLedgers && lastToken && lastSequence !== undefined && to >= from) {
+        try {
+          const missing = await this._backfillLedgers(lastToken, to - from + 1);
+          missing
+            .filter((ledger) => ledger.sequence <= to)
+            .forEach(deliverInOrder);
+        } catch (error) {
+          if (options.onerror) {
+            options.onerror(
+              new Error(
+                `Failed to backfill ledgers ${from} to ${to}: ${error.message}`,
+              ) as any,
+            );
+          }
+        }
+      }
+      deliverInOrder(result);
+    };
+
+    const receive = (result: any) => {
+      stats.messagesReceived += 1;
+      stats.lastMessageTime = new Date();
+      attempt = 0;
+      createIdleTimeout();
+      if (!options.ordered) {
+        deliver(result);
+        return;
+      }
+      // a throwing handler mustn't block the records after it
+      ordering = ordering
+        .then(() => receiveInOrder(result))
+        .catch((error) => {
+          if (options.onerror) {
+            options.onerror(error);
+          }
+        });
+    };
+
+    // whether the last poll failed, or no poll succeeded yet
+    let pollFailed = true;
+    // last version of a polled single resource
+    let lastResource: string | undefined;
+
+    const poll = () => {
+      this._pollOnce().then(
+        (json) => {
+          if (stopped) {
+            return;
+          }
+
+          let delay = options.pollInterval || 5 * 1000;
+          try {
+            if (pollFailed) {
+              pollFailed = false;
+              if (options.onopen) {
+                options.onopen();
+              }
+            }
+
+            if (json._embedded && json._embedded.records) {
+              const page = this._toCollectionPage(json);
+              page.records.forEach(receive);
+              const query: any = this.url.query(true);
+              const limit = parseInt(query.limit, 10) || 10;
+              if (page.records.length >= limit) {
+                // more records are waiting
+                delay = 0;
+              }
+            } else {
+              const resource = JSON.stringify(json);
+              if (resource !== lastResource) {
+                lastResource = resource;
+                receive(this._parseRecord(json));
+              }
+            }
+          } catch (error) {
+            // a throwing handler mustn't stop polling; the cursor has moved
+            // past the records delivered so far, the next poll resumes there
+            if (options.onerror) {
+              options.onerror(error);
+            }
+          }
+          if (!stopped) {
+            pollTimeout = setTimeout(poll, delay);
+          }
+        },
+        (error) => {
+          if (stopped) {
+            return;
+          }
+          pollFailed = true;
+          if (options.onerror) {
+            options.onerror(error);
+          }
+          notifyReconnect("error");
+          pollTimeout = setTimeout(poll, options.pollInterval || 5 * 1000);
+        },
+      );
+    };
 
     const createTimeout = () => {
       timeout = setTimeout(() => {
         if (es) {
           es.close();
         }
+        notifyReconnect("timeout");
         /* tslint:disable-next-line:no-use-before-declare */
         es = createEventSource();
       }, options.reconnectTimeout || 15 * 1000);
@@ -141,6 +457,7 @@ export class CallBuilder<
 
           clearTimeout(timeout);
           es.close();
+          notifyReconnect("close");
           createEventSource();
           closed = true;
         };
@@ -154,20 +471,25 @@ export class CallBuilder<
           const result = message.data
             ? this._parseRecord(JSON.parse(message.data))
             : message;
-          if (result.paging_token) {
-            this.url.setQuery("cursor", result.paging_token);
-          }
           clearTimeout(timeout);
           createTimeout();
-          if (typeof options.onmessage !== "undefined") {
-            options.onmessage(result);
-          }
+          receive(result);
         };
 
         const onError = (error: any) => {
           if (options.onerror) {
             options.onerror(error as MessageEvent);
           }
+          // CONNECTING: the EventSource reconnects by itself
+          if (!closed && es.readyState === 0) {
+            notifyReconnect("error");
+          }
+        };
+
+        const onOpen = () => {
+          if (options.onopen) {
+            options.onopen();
+          }
         };
 
         // use addEventListener too, just in case
@@ -175,23 +497,133 @@ export class CallBuilder<
           es.addEventListener("message", onMessage.bind(this));
           es.addEventListener("error", onError.bind(this));
           es.addEventListener("close", onClose.bind(this));
+          es.addEventListener("open", onOpen.bind(this));
         } else {
           es.onmessage = onMessage.bind(this);
           es.onerror = onError.bind(this);
+          es.onopen = onOpen.bind(this);
         }
       }
 
       return es;
     };
 
-    createEventSource();
-    return function close() {
+    const connect = () => (polling ? poll() : createEventSource());
+
+    const load = (cursorCheckpoint: CursorCheckpoint) => {
+      Promise.resolve()
+        .then(() => cursorCheckpoint.load())
+        .then(
+          (cursor) => {
+            if (stopped) {
+              return;
+            }
+            cursorLoadError = undefined;
+            if (cursor) {
+              this.url.setQuery("cursor", cursor);
+            }
+            connect();
+          },
+          (error) => {
+            if (stopped) {
+              return;
+            }
+            cursorLoadError = error;
+            if (options.onerror) {
+              options.onerror(error);
+            }
+            timeout = setTimeout(() => {
+              notifyReconnect("error");
+              load(cursorCheckpoint);
+            }, options.reconnectTimeout || 15 * 1000);
+          },
+        );
+    };
+
+    createIdleTimeout();
+    if (checkpoint) {
+      load(checkpoint);
+    } else {
+      connect();
+    }
+
+    const close = () => {
+      stopped = true;
       clearTimeout(timeout);
+      clearTimeout(idleTimeout);
+      clearTimeout(pollTimeout);
 
       if (es) {
         es.close();
       }
     };
+
+    return Object.defineProperties(close, {
+      close: { value: close },
+      messagesReceived: { get: () => stats.messagesReceived },
+      lastMessageTime: { get: () => stats.lastMessageTime },
+      reconnectCount: { get: () => stats.reconnectCount },
+      cursorLoadError: { get: () => cursorLoadError },
+    });
+  }
+
+  /**
+   * Streams the records of this builder as an async iterable with a bounded
+   * buffer, so a slow consumer doesn't make messages pile up. When the
+   * buffer is full the stream either pauses, closing the connection and
+   * reopening it from the last buffered `paging_token` once the consumer
+   * caught up, or drops incoming records and reports them to `onoverflow`.
+   *
+   * ```js
+   * const effects = server.effects().cursor("now").streamIterator();
+   * for await (const effect of effects) {
+   *   if (await handle(effect)) {
+   *     break; // closes the connection
+   *   }
+   * }
+   * ```
+   * @param {object} [options] Iterator options.
+   * @param {number} [options.bufferSize] Maximum number of buffered records, default: `100`.
+   * @param {"pause"|"drop"} [options.overflow] What to do when the buffer is full, default: `"pause"`.
+   * @param {function} [options.onoverflow] Called with each record dropped by the `"drop"` mode.
+   * @param {function} [options.onerror] Callback function to handle errors.
+   * @param {number} [options.reconnectTimeout] Custom stream connection timeout in ms, default is 15 seconds.
+   * @param {function} [options.onopen] Called each time the connection is (re)opened, including when it resumes after a pause.
+   * @param {function} [options.onreconnect] Called with `{attempt, reason}` before each reconnection, see {@link CallBuilder#stream}.
+   * @param {function} [options.onidle] Called with the stream stats each time no message was received for `idleTimeout` ms.
+   * @param {number} [options.idleTimeout] Time without messages after which `onidle` is called, default is 60 seconds.
+   * @param {"auto"|"eventsource"|"polling"} [options.transport] How to receive messages, default: `"auto"`, see {@link CallBuilder#stream}.
+   * @param {number} [options.pollInterval] Time between two requests of the polling transport in ms, default is 5 seconds.
+   * @param {boolean} [options.ordered] Drop records that were already delivered, see {@link CallBuilder#stream}.
+   * @param {CursorStore} [options.cursorStore] Store to resume from and to checkpoint processed records to.
+   * @param {string} [options.cursorKey] Key of the cursor in `cursorStore`, default: the endpoint path.
+   * @param {"auto"|"manual"} [options.ack] When a record counts as processed: when the next one is read, or on `ack()`. Default: `"auto"`.
+   * @returns {StreamIterator} An async iterable of the streamed records.
+   */
+  public streamIterator(
+    options: StreamIteratorOptions<StreamRecord<T>> = {},
+  ): StreamIterator<StreamRecord<T>> {
+    return new StreamIterator<StreamRecord<T>>(
+      (handlers, cursor) => {
+        if (cursor) {
+          this.cursor(cursor);
+        }
+        return this.stream({
+          onmessage: handlers.onmessage as any,
+          onerror: handlers.onerror,
+          onopen: options.onopen,
+          onreconnect: options.onreconnect,
+          onidle: options.onidle,
+          reconnectTimeout: options.reconnectTimeout,
+          idleTimeout: options.idleTimeout,
+          transport: options.transport,
+          pollInterval: options.pollInterval,
+          ordered: options.ordered,
+        });
+      },
+      options,
+      this._cursorCheckpoint(options),
+    );
   }
 
   /**
@@ -258,6 +690,79 @@ export class CallBuilder<
     }
   }
 
+  /**
+   * @private
+   * @param {object} options Cursor store options
+   * @returns {CursorCheckpoint|undefined} Checkpoint of the cursor, if a
+   * store was given.
+   */
+  private _cursorCheckpoint(
+    options: CursorStoreOptions,
+  ): CursorCheckpoint | undefined {
+    if (!options.cursorStore) {
+      return undefined;
+    }
+    this.checkFilter();
+    return new CursorCheckpoint(
+      options.cursorStore,
+      options.cursorKey || this.url.path(),
+    );
+  }
+
+  /**
+   * Requests the current URL in ascending order for the polling transport of
+   * {@link CallBuilder#stream}. A `now` cursor is first replaced with the
+   * `paging_token` of the latest record.
+   * @private
+   * @returns {Promise<object>} The raw JSON response.
+   */
+  private async _pollOnce(): Promise<any> {
+    if (this.url.query(true).cursor === "now") {
+      const latest = await this._sendNormalRequest(
+        this.url
+          .clone()
+          .removeQuery("cursor")
+          .setQuery("order", "desc")
+          .setQuery("limit", "1"),
+      );
+      const records = (latest._embedded && latest._embedded.records) || [];
+      if (records.length) {
+        this.url.setQuery("cursor", records[0].paging_token);
+      } else {
+        this.url.removeQuery("cursor");
+      }
+    }
+
+    return this._sendNormalRequest(this.url.clone().setQuery("order", "asc"));
+  }
+
+  /**
+   * Fetches the ledgers following a cursor, for the ordered mode of
+   * {@link CallBuilder#stream}.
+   * @private
+   * @param {string} cursor `paging_token` of the last ledger delivered.
+   * @param {number} count Number of ledgers to fetch.
+   * @returns {Promise<object[]>} Up to `count` ledgers.
+   */
+  private async _backfillLedgers(cursor: string, count: number) {
+    const url = this.url
+      .clone()
+      .setQuery("cursor", cursor)
+      .setQuery("order", "asc")
+      .setQuery("limit", String(Math.min(count, 200)));
+    let page = this._toCollectionPage(await this._sendNormalRequest(url));
+
+    const records: any[] = [];
+    while (page.records.length) {
+      records.push(...page.records);
+      if (records.length >= count) {
+        break;
+      }
+      page = await page.next();
+    }
+    return records.slice(0, count);
+  }
+
   /**
    * Convert a link object to a function that fetches that link.
    * @private
@@ -335,7 +840,13 @@ export class CallBuilder<
     }
 
     url.setQuery("c", String(Math.random()));
-    return MillenniumAxiosClient.get(url.toString())
+    const policy = Object.assign(
+      {},
+      Config.getRetryPolicy(),
+      this.options.retry,
+    );
+    const httpClient = this.options.httpClient || MillenniumAxiosClient;
+    return withRetry(() => httpClient.get(url.toString()), policy)
       .then((response) => response.data)
       .catch(this._handleNetworkError);
   }
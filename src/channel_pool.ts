@@ -0,0 +1,318 @@
+/* tslint:disable:no-namespace */
+import {
+  Account,
+  BASE_FEE,
+  Keypair,
+  Memo,
+  Operation,
+  TransactionBuilder,
+  xdr,
+} from "aiblocks-base-sdk";
+
+import { NotFoundError, TransactionFailedError } from "./errors";
+import { Millennium } from "./millennium_api";
+import { SequenceManager } from "./sequence_manager";
+import { Server } from "./server";
+
+// Transaction codes after which the channel's sequence number was consumed.
+const CONSUMED_CODES = ["tx_failed", "tx_fee_bump_inner_failed"];
+
+interface ChannelState {
+  keypair: Keypair;
+  // cached while the channel's sequence number is known
+  account?: Account;
+  // resolves once the channel account exists
+  ready?: Promise<void>;
+}
+
+/**
+ * ChannelPool submits transactions in parallel on behalf of one base
+ * account, by using a pool of channel accounts as transaction sources while
+ * the operations keep the base account as their source. The base account
+ * pays for the operations, the channels only pay the fees, so more than one
+ * transaction per ledger can be sent from the base account.
+ *
+ * Channels are created and funded by the base account on demand, up to
+ * `size` channels. Channels whose keypairs are passed with `channels` are
+ * reused, and only created if they don't exist yet. Persist the keypairs of
+ * {@link ChannelPool#channels}, they hold the channels' starting balances.
+ *
+ * ```js
+ * const pool = new AiBlocksSdk.ChannelPool(server, {
+ *   baseKeypair,
+ *   networkPassphrase: AiBlocksSdk.Networks.TESTNET,
+ *   size: 5,
+ * });
+ * await Promise.all(payouts.map((payout) =>
+ *   pool.submitTransaction([AiBlocksSdk.Operation.payment(payout)]),
+ * ));
+ * ```
+ * @constructor
+ * @param {Server} server Server used to load accounts and submit.
+ * @param {object} opts Options object
+ * @param {Keypair} opts.baseKeypair Keypair of the base account, which funds
+ * the channels and signs every transaction.
+ * @param {string} opts.networkPassphrase Network the transactions are built
+ * for.
+ * @param {number} opts.size Maximum number of channels.
+ * @param {Keypair[]} [opts.channels] Keypairs of existing channels.
+ * @param {string} [opts.startingBalance] Native balance channels are
+ * created with, default: `"2"`.
+ * @param {string} [opts.fee] Fee per operation in sectors, default:
+ * `BASE_FEE`.
+ * @param {number} [opts.timeout] Timeout of the transactions in seconds,
+ * default: `30`.
+ */
+export class ChannelPool {
+  private readonly states: ChannelState[] = [];
+  private readonly free: ChannelState[] = [];
+  private readonly waiting: Array<(state: ChannelState) => void> = [];
+  private readonly baseSequences: SequenceManager;
+
+  constructor(
+    private readonly server: Server,
+    private readonly opts: ChannelPool.Options,
+  ) {
+    if (!(opts.size > 0)) {
+      throw new Error("size must be a positive number");
+    }
+    this.baseSequences = new SequenceManager(server);
+    (opts.channels || []).slice(0, opts.size).forEach((keypair) => {
+      const state = { keypair };
+      this.states.push(state);
+      this.free.push(state);
+    });
+  }
+
+  /**
+   * Keypairs of the channels created or loaded so far.
+   * @returns {Keypair[]} The channel keypairs.
+   */
+  public get channels(): Keypair[] {
+    return this.states.map((state) => state.keypair);
+  }
+
+  /**
+   * Takes a channel out of the pool, creating it if needed. If all `size`
+   * channels are busy, waits until one is released.
+   * @returns {Promise<ChannelPool.Channel>} The channel, with an
+   * {@link Account} to build the next transaction with.
+   */
+  public async acquire(): Promise<ChannelPool.Channel> {
+    let state = this.free.shift();
+    if (!state && this.states.length < this.opts.size) {
+      state = { keypair: Keypair.random() };
+      this.states.push(state);
+    }
+    if (!state) {
+      state = await new Promise<ChannelState>((resolve) =>
+        this.waiting.push(resolve),
+      );
+    }
+
+    try {
+      await this._ensureAccount(state);
+    } catch (e) {
+      this._release(state);
+      throw e;
+    }
+
+    return {
+      keypair: state.keypair,
+      account: state.account as Account,
+    };
+  }
+
+  /**
+   * Returns a channel to the pool. Pass `reload` if the sequence number of
+   * its account is unknown, e.g. because a transaction was built but not
+   * submitted.
+   * @param {ChannelPool.Channel} channel The channel from
+   * {@link ChannelPool#acquire}.
+   * @param {boolean} [reload] Reload the channel account before its next use.
+   * @returns {void}
+   */
+  public release(channel: ChannelPool.Channel, reload?: boolean): void {
+    const state = this._find(channel.keypair);
+    if (!state) {
+      return;
+    }
+    if (reload) {
+      state.account = undefined;
+    }
+    this._release(state);
+  }
+
+  /**
+   * Submits operations from a free channel. Operations without a source get
+   * the base account as source, and the transaction is signed by the channel
+   * and the base account. The channel goes back to the pool once the
+   * transaction is final, see {@link Server#submitTransactionAndWait}.
+   * @param {xdr.Operation[]} operations Operations to submit.
+   * @param {object} [opts] Options object
+   * @param {Memo} [opts.memo] Memo of the transaction.
+   * @param {Keypair[]} [opts.signers] Additional signers, e.g. of operation
+   * sources other than the base account.
+   * @returns {Promise} The response of
+   * {@link Server#submitTransactionAndWait}.
+   */
+  public async submitTransaction(
+    operations: xdr.Operation[],
+    opts: ChannelPool.SubmitOptions = {},
+  ): Promise<Millennium.SubmitTransactionResponse> {
+    const channel = await this.acquire();
+    let transaction;
+    try {
+      transaction = this._build(channel, operations, opts);
+    } catch (e) {
+      this.release(channel, true);
+      throw e;
+    }
+
+    try {
+      const response = await this.server.submitTransactionAndWait(transaction, {
+        skipMemoRequiredCheck: opts.skipMemoRequiredCheck,
+      });
+      this.release(channel);
+      return response;
+    } catch (e) {
+      const consumed =
+        e instanceof TransactionFailedError &&
+        CONSUMED_CODES.indexOf(e.transactionCode) >= 0;
+      this.release(channel, !consumed);
+      throw e;
+    }
+  }
+
+  private _build(
+    channel: ChannelPool.Channel,
+    operations: xdr.Operation[],
+    opts: ChannelPool.SubmitOptions,
+  ) {
+    // TODO: fix aiblocks-base-sdk types.
+    const baseSource = (this.opts.baseKeypair as any).xdrMuxedAccount();
+
+    const builder = new TransactionBuilder(channel.account, {
+      fee: this.opts.fee || BASE_FEE,
+      networkPassphrase: this.opts.networkPassphrase,
+    });
+    operations.forEach((operation) => {
+      if (!operation.sourceAccount()) {
+        // set the source on a copy, the caller's operation is left as is
+        operation = xdr.Operation.fromXDR(operation.toXDR());
+        operation.sourceAccount(baseSource);
+      }
+      builder.addOperation(operation);
+    });
+    if (opts.memo) {
+      builder.addMemo(opts.memo);
+    }
+    const transaction = builder.setTimeout(this._timeout()).build();
+    transaction.sign(
+      channel.keypair,
+      this.opts.baseKeypair,
+      ...(opts.signers || []),
+    );
+
+    return transaction;
+  }
+
+  private _find(keypair: Keypair): ChannelState | undefined {
+    return this.states.filter(
+      (state) => state.keypair.publicKey() === keypair.publicKey(),
+    )[0];
+  }
+
+  private _release(state: ChannelState): void {
+    const waiter = this.waiting.shift();
+    if (waiter) {
+      waiter(state);
+    } else {
+      this.free.push(state);
+    }
+  }
+
+  private _timeout(): number {
+    return this.opts.timeout || 30;
+  }
+
+  private async _ensureAccount(state: ChannelState): Promise<void> {
+    if (state.account) {
+      return;
+    }
+    if (!state.ready) {
+      state.ready = this._createIfMissing(state.keypair).then(
+        () => undefined,
+        (e) => {
+          state.ready = undefined;
+          throw e;
+        },
+      );
+    }
+    await state.ready;
+
+    const response = await this.server.loadAccount(state.keypair.publicKey());
+    state.account = new Account(
+      response.accountId(),
+      response.sequenceNumber(),
+    );
+  }
+
+  private async _createIfMissing(keypair: Keypair): Promise<void> {
+    try {
+      await this.server.loadAccount(keypair.publicKey());
+      return;
+    } catch (e) {
+      if (!(e instanceof NotFoundError)) {
+        throw e;
+      }
+    }
+
+    const { baseKeypair } = this.opts;
+    await this.baseSequences.submitTransaction(
+      baseKeypair.publicKey(),
+      (account) => {
+        const transaction = new TransactionBuilder(account, {
+          fee: this.opts.fee || BASE_FEE,
+          networkPassphrase: this.opts.networkPassphrase,
+        })
+          .addOperation(
+            Operation.createAccount({
+              destination: keypair.publicKey(),
+              startingBalance: this.opts.startingBalance || "2",
+            }),
+          )
+          .setTimeout(this._timeout())
+          .build();
+        transaction.sign(baseKeypair);
+        return transaction;
+      },
+    );
+  }
+}
+
+export namespace ChannelPool {
+  export interface Options {
+    baseKeypair: Keypair;
+    networkPassphrase: string;
+    size: number;
+    channels?: Keypair[];
+    startingBalance?: string;
+    fee?: string;
+    timeout?: number;
+  }
+
+  export interface SubmitOptions extends Server.SubmitTransactionOptions {
+    memo?: Memo;
+    signers?: Keypair[];
+  }
+
+  export interface Channel {
+    keypair: Keypair;
+    /**
+     * The channel account, with the sequence number to build the next
+     * transaction from.
+     */
+    account: Account;
+  }
+}
@@ -1,5 +1,5 @@
 import { Asset } from "aiblocks-base-sdk";
-import { CallBuilder } from "./call_builder";
+import { CallBuilder, CallBuilderOptions } from "./call_builder";
 import { ServerApi } from "./server_api";
 
 /**
@@ -15,8 +15,8 @@ import { ServerApi } from "./server_api";
 export class ClaimableBalanceCallBuilder extends CallBuilder<
   ServerApi.CollectionPage<ServerApi.ClaimableBalanceRecord>
 > {
-  constructor(serverUrl: URI) {
-    super(serverUrl);
+  constructor(serverUrl: URI, options?: CallBuilderOptions) {
+    super(serverUrl, options);
     this.url.segment("claimable_balances");
   }
 
@@ -32,6 +32,7 @@ export class ClaimableBalanceCallBuilder extends CallBuilder<
   ): CallBuilder<ServerApi.ClaimableBalanceRecord> {
     const builder = new CallBuilder<ServerApi.ClaimableBalanceRecord>(
       this.url.clone(),
+      this.options,
     );
     builder.filter.push([claimableBalanceId]);
     return builder;
@@ -1,4 +1,5 @@
 import clone from "lodash/clone";
+import { DEFAULT_RETRY_POLICY, RetryPolicy } from "./retry_policy";
 
 interface Configuration {
   /**
@@ -13,11 +14,18 @@ interface Configuration {
    * @type {number}
    */
   timeout: number;
+  /**
+   * How failed Millennium requests are retried, default: no retries.
+   *
+   * @type {RetryPolicy}
+   */
+  retry: RetryPolicy;
 }
 
 const defaultConfig: Configuration = {
   allowHttp: false,
   timeout: 0,
+  retry: DEFAULT_RETRY_POLICY,
 };
 
 let config = clone(defaultConfig);
@@ -30,12 +38,14 @@ let config = clone(defaultConfig);
  * import {Config} from 'aiblocks-sdk';
  * Config.setAllowHttp(true);
  * Config.setTimeout(5000);
+ * Config.setRetryPolicy({ maxRetries: 3 });
  * ```
  *
  * Usage browser:
  * ```
  * AiBlocksSdk.Config.setAllowHttp(true);
  * AiBlocksSdk.Config.setTimeout(5000);
+ * AiBlocksSdk.Config.setRetryPolicy({ maxRetries: 3 });
  * ```
  * @static
  */
@@ -62,6 +72,20 @@ class Config {
     config.timeout = value;
   }
 
+  /**
+   * Sets the retry policy globally. Requests that fail with a retryable
+   * status (429, 502, 503 and 504 by default) or without a response are sent
+   * again with exponential backoff, honoring the `Retry-After` and
+   * `X-RateLimit-*` headers. Fields not given keep their default value.
+   * Default: no retries.
+   * @param {RetryPolicy} value new retry policy
+   * @returns {void}
+   * @static
+   */
+  public static setRetryPolicy(value: Partial<RetryPolicy>): void {
+    config.retry = Object.assign({}, DEFAULT_RETRY_POLICY, value);
+  }
+
   /**
    * @static
    * @returns {boolean} allowHttp flag
@@ -78,6 +102,14 @@ class Config {
     return config.timeout;
   }
 
+  /**
+   * @static
+   * @returns {RetryPolicy} retry policy
+   */
+  public static getRetryPolicy(): RetryPolicy {
+    return config.retry;
+  }
+
   /**
    * Sets all global config flags to default values.
    * @static
@@ -0,0 +1,213 @@
+/* tslint:disable:max-classes-per-file */
+import { comparePagingTokens } from "./paging_token";
+
+/**
+ * Persists the `paging_token` of the last processed record of a stream or
+ * page iterator, so processing resumes where it stopped after a restart.
+ *
+ * Implement `get` and `set` to checkpoint into your own storage, e.g. the
+ * database the records are processed into:
+ *
+ * ```js
+ * const cursorStore = {
+ *   get: async (key) => (await db.cursors.findOne({ key }) || {}).cursor,
+ *   set: (key, cursor) => db.cursors.upsert({ key }, { cursor }),
+ * };
+ * server.payments().forAccount(accountId).stream({ cursorStore, onmessage });
+ * ```
+ */
+export interface CursorStore {
+  /**
+   * Returns the cursor stored for `key`, or `undefined` to start from the
+   * builder's own cursor.
+   */
+  get(key: string): Promise<string | undefined>;
+  /**
+   * Stores `cursor` as the position of `key`.
+   */
+  set(key: string, cursor: string): Promise<void>;
+}
+
+/**
+ * Options to checkpoint the cursor of {@link CallBuilder#stream},
+ * {@link CallBuilder#streamIterator} and {@link CallBuilder#iterate}.
+ */
+export interface CursorStoreOptions {
+  /**
+   * Where to load the cursor from before the first request, and to store the
+   * cursor of each processed record.
+   */
+  cursorStore?: CursorStore;
+  /**
+   * Key of the cursor in `cursorStore`, default: the path of the endpoint,
+   * e.g. `/accounts/GABC.../payments`. Set it when several streams or
+   * iterators over the same endpoint share a store.
+   */
+  cursorKey?: string;
+  /**
+   * When a record counts as processed, default: `"auto"`.
+   * * `"auto"`: once the callback handling it returned (or its promise
+   *   resolved), or once the next record is requested from an iterator.
+   * * `"manual"`: once you call the `ack` function passed with the record,
+   *   or `ack()` on the iterator.
+   */
+  ack?: "auto" | "manual";
+}
+
+/**
+ * {@link CursorStore} that keeps cursors in memory, for tests or to share
+ * positions between streams in one process.
+ * @constructor
+ */
+export class MemoryCursorStore implements CursorStore {
+  private readonly cursors: { [key: string]: string } = {};
+
+  public async get(key: string): Promise<string | undefined> {
+    return this.cursors[key];
+  }
+
+  public async set(key: string, cursor: string): Promise<void> {
+    this.cursors[key] = cursor;
+  }
+}
+
+/**
+ * {@link CursorStore} that keeps cursors in a JSON file, keyed by cursor
+ * key. Writes go to a temporary file which is then renamed over the store,
+ * so a crash never leaves a truncated file behind. Node.js only.
+ * @constructor
+ * @param {string} path Path of the JSON file, created on the first write.
+ */
+export class FileCursorStore implements CursorStore {
+  private writing: Promise<void> = Promise.resolve();
+
+  constructor(private readonly path: string) {}
+
+  public async get(key: string): Promise<string | undefined> {
+    await this.writing;
+    return (await this._read())[key];
+  }
+
+  public set(key: string, cursor: string): Promise<void> {
+    // serialize read-modify-write cycles of concurrent keys
+    const write = this.writing.then(async () => {
+      const cursors = await this._read();
+      cursors[key] = cursor;
+      await this._write(cursors);
+    });
+    this.writing = write.catch(() => undefined);
+    return write;
+  }
+
+  private _read(): Promise<{ [key: string]: string }> {
+    const fs = _fs();
+    return new Promise((resolve, reject) => {
+      fs.readFile(this.path, "utf8", (err: any, data: string) => {
+        if (err) {
+          if (err.code === "ENOENT") {
+            resolve({});
+          } else {
+            reject(err);
+          }
+          return;
+        }
+        try {
+          resolve(JSON.parse(data));
+        } catch (e) {
+          reject(new Error(`Invalid cursor store file ${this.path}`));
+        }
+      });
+    });
+  }
+
+  private _write(cursors: { [key: string]: string }): Promise<void> {
+    const fs = _fs();
+    const tmp = `${this.path}.tmp`;
+    return new Promise((resolve, reject) => {
+      fs.writeFile(tmp, JSON.stringify(cursors), (writeErr: any) => {
+        if (writeErr) {
+          reject(writeErr);
+          return;
+        }
+        fs.rename(tmp, this.path, (renameErr: any) =>
+          renameErr ? reject(renameErr) : resolve(),
+        );
+      });
+    });
+  }
+}
+
+function _fs(): any {
+  /* tslint:disable-next-line:no-var-requires */
+  return require("fs");
+}
+
+/**
+ * Stores the cursors of processed records in the order they were processed,
+ * so a slow write never overwrites a later cursor, and never goes back to an
+ * older cursor than the one stored, e.g. when records are acknowledged out
+ * of order. Once a record failed to be processed, no later cursor is stored,
+ * so that the record is processed again after a restart. A failed write
+ * doesn't stop the checkpoint: the next save stores its cursor.
+ *
+ * Do not create this object directly, it is used by {@link CallBuilder}.
+ * @constructor
+ * @param {CursorStore} store Store to write to.
+ * @param {string} key Key of the cursor.
+ */
+export class CursorCheckpoint {
+  private saving: Promise<void> = Promise.resolve();
+  private failed: boolean = false;
+  // the cursor last stored, or being stored
+  private stored: string | undefined;
+
+  constructor(
+    private readonly store: CursorStore,
+    private readonly key: string,
+  ) {}
+
+  /**
+   * Loads the stored cursor.
+   * @returns {Promise<string|undefined>} The stored cursor, if any.
+   */
+  public load(): Promise<string | undefined> {
+    return this.store.get(this.key);
+  }
+
+  /**
+   * Stores `cursor` once `processed` resolved and every earlier save
+   * finished.
+   * @param {string} cursor `paging_token` of the processed record.
+   * @param {Promise} [processed] Resolves once the record was processed.
+   * @returns {Promise<void>} Resolves once the cursor was stored, or
+   * skipped because it is older than the stored one or an earlier record
+   * failed. Rejects if `processed` or the store failed.
+   */
+  public save(cursor: string, processed?: any): Promise<void> {
+    const save = Promise.all([this.saving, processed]).then(
+      () => {
+        if (
+          this.failed ||
+          (this.stored !== undefined &&
+            comparePagingTokens(cursor, this.stored) <= 0)
+        ) {
+          return undefined;
+        }
+        const previous = this.stored;
+        this.stored = cursor;
+        return Promise.resolve()
+          .then(() => this.store.set(this.key, cursor))
+          .catch((e) => {
+            this.stored = previous;
+            throw e;
+          });
+      },
+      (e) => {
+        this.failed = true;
+        throw e;
+      },
+    );
+    this.saving = save.catch(() => undefined);
+    return save;
+  }
+}
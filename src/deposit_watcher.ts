@@ -0,0 +1,261 @@
+/* tslint:disable:no-namespace */
+import { MemoType } from "aiblocks-base-sdk";
+
+import { StreamHandle } from "./call_builder";
+import { CursorStore } from "./cursor_store";
+import { Millennium } from "./millennium_api";
+import { Server } from "./server";
+import { ServerApi } from "./server_api";
+
+const OperationResponseType = Millennium.OperationResponseType;
+
+/**
+ * DepositWatcher streams the operations of a receiving account (e.g. an
+ * exchange's hot wallet) and emits one normalized {@link
+ * DepositWatcher.Deposit} per incoming payment, path payment, account merge
+ * and claimed claimable balance, with the memo of its transaction.
+ *
+ * Transactions are joined into the stream with `join("transactions")`, so
+ * reading memos needs no extra request. Account merges and claims don't
+ * carry their amount, which is read from the operation's effects.
+ *
+ * Deposits are emitted one at a time, in ledger order. With a
+ * `cursorStore`, the cursor is stored once `ondeposit` resolved, and the
+ * watcher resumes from it after a restart: every deposit is emitted at least
+ * once.
+ *
+ * ```js
+ * const watcher = new AiBlocksSdk.DepositWatcher(server, {
+ *   account: hotWallet,
+ *   cursorStore: new AiBlocksSdk.FileCursorStore("./cursors.json"),
+ *   resolveCustomer: (memo) => db.customerForMemo(memo),
+ *   ondeposit: (deposit) => db.credit(deposit.customer, deposit),
+ * });
+ * watcher.start();
+ * ```
+ * @constructor
+ * @param {Server} server Server to stream from.
+ * @param {object} opts Options object
+ * @param {string} opts.account Receiving account to watch.
+ * @param {function} opts.ondeposit Called with each deposit; may return a
+ * promise, the next deposit waits for it.
+ * @param {function} [opts.resolveCustomer] Maps a memo and memo type to a
+ * customer ID (or a promise of it), set as the deposit's `customer`.
+ * @param {function} [opts.onerror] Called with stream errors and errors
+ * thrown while handling a deposit.
+ * @param {string} [opts.cursor] Cursor to start from without a stored one,
+ * default: `now`.
+ * @param {CursorStore} [opts.cursorStore] Store to checkpoint handled
+ * deposits to.
+ * @param {string} [opts.cursorKey] Key of the cursor in `cursorStore`.
+ */
+export class DepositWatcher {
+  private handle?: StreamHandle;
+  // handles records one after the other
+  private queue: Promise<void> = Promise.resolve();
+
+  constructor(
+    private readonly server: Server,
+    private readonly opts: DepositWatcher.Options,
+  ) {}
+
+  /**
+   * Starts watching, unless already started.
+   * @returns {StreamHandle} Handle of the underlying stream.
+   */
+  public start(): StreamHandle {
+    if (!this.handle) {
+      this.handle = this.server
+        .operations()
+        .forAccount(this.opts.account)
+        .join("transactions")
+        .cursor(this.opts.cursor || "now")
+        .stream({
+          ordered: true,
+          cursorStore: this.opts.cursorStore,
+          cursorKey: this.opts.cursorKey,
+          onerror: (error) => this._onError(error),
+          onmessage: (record: any) => this._enqueue(record),
+        });
+    }
+    return this.handle;
+  }
+
+  /**
+   * Stops watching.
+   * @returns {void}
+   */
+  public stop(): void {
+    if (this.handle) {
+      this.handle.close();
+      this.handle = undefined;
+    }
+  }
+
+  /**
+   * Normalizes an operation into a deposit to the watched account.
+   * @param {ServerApi.OperationRecord} record Operation record, with its
+   * transaction joined.
+   * @returns {Promise<DepositWatcher.Deposit|undefined>} The deposit, or
+   * `undefined` if the operation isn't an incoming transfer.
+   */
+  public async toDeposit(
+    record: ServerApi.OperationRecord,
+  ): Promise<DepositWatcher.Deposit | undefined> {
+    const { account } = this.opts;
+    const operation: any = record;
+    const type = record.type;
+
+    let from: string | undefined;
+    let amount: string;
+    let asset: string;
+    if (
+      type === OperationResponseType.payment ||
+      type === OperationResponseType.pathPayment ||
+      type === OperationResponseType.pathPaymentStrictSend
+    ) {
+      if (operation.to !== account || operation.from === account) {
+        return undefined;
+      }
+      from = operation.from;
+      amount = operation.amount;
+      asset = _assetString(operation);
+    } else if (
+      type === OperationResponseType.accountMerge ||
+      type === OperationResponseType.claimClaimableBalance
+    ) {
+      const merge = type === OperationResponseType.accountMerge;
+      if ((merge ? operation.into : operation.claimant) !== account) {
+        return undefined;
+      }
+      const credited = await this._credited(record);
+      if (!credited) {
+        return undefined;
+      }
+      if (merge) {
+        from = operation.account || operation.source_account;
+      }
+      amount = credited.amount;
+      asset = _assetString(credited);
+    } else {
+      return undefined;
+    }
+
+    const transaction = await record.transaction();
+    const deposit: DepositWatcher.Deposit = {
+      id: record.id,
+      pagingToken: record.paging_token,
+      type: type as DepositWatcher.Deposit["type"],
+      transactionHash: record.transaction_hash,
+      createdAt: record.created_at,
+      from,
+      amount,
+      asset,
+      memoType: transaction.memo_type,
+      memo: transaction.memo,
+    };
+    if (operation.balance_id) {
+      deposit.balanceId = operation.balance_id;
+    }
+    if (this.opts.resolveCustomer && deposit.memo !== undefined) {
+      deposit.customer = await this.opts.resolveCustomer(
+        deposit.memo,
+        deposit.memoType,
+      );
+    }
+    return deposit;
+  }
+
+  private _enqueue(record: ServerApi.OperationRecord): Promise<void> {
+    const handled = this.queue.then(() => this._handle(record));
+    this.queue = handled.catch(() => undefined);
+    if (!this.opts.cursorStore) {
+      // with a store, the stream reports the failure and stops storing
+      // cursors
+      handled.catch((error) => this._onError(error));
+    }
+    return handled;
+  }
+
+  private async _handle(record: ServerApi.OperationRecord): Promise<void> {
+    const deposit = await this.toDeposit(record);
+    if (deposit) {
+      await this.opts.ondeposit(deposit);
+    }
+  }
+
+  private async _credited(record: ServerApi.OperationRecord): Promise<any> {
+    const effects = await record.effects();
+    return effects.records.filter(
+      (effect) =>
+        effect.type === "account_credited" &&
+        effect.account === this.opts.account,
+    )[0];
+  }
+
+  private _onError(error: any): void {
+    if (this.opts.onerror) {
+      this.opts.onerror(error);
+    }
+  }
+}
+
+function _assetString(record: {
+  asset_type?: string;
+  asset_code?: string;
+  asset_issuer?: string;
+}): string {
+  return record.asset_type === "native"
+    ? "native"
+    : `${record.asset_code}:${record.asset_issuer}`;
+}
+
+export namespace DepositWatcher {
+  export interface Options {
+    account: string;
+    ondeposit: (deposit: Deposit) => void | Promise<void>;
+    resolveCustomer?: (
+      memo: string,
+      memoType: MemoType,
+    ) => string | undefined | Promise<string | undefined>;
+    onerror?: (error: any) => void;
+    cursor?: string;
+    cursorStore?: CursorStore;
+    cursorKey?: string;
+  }
+
+  export interface Deposit {
+    /**
+     * ID of the operation.
+     */
+    id: string;
+    pagingToken: string;
+    type:
+      | "payment"
+      | "path_payment_strict_receive"
+      | "path_payment_strict_send"
+      | "account_merge"
+      | "claim_claimable_balance";
+    transactionHash: string;
+    createdAt: string;
+    /**
+     * Sender, unknown for claimed claimable balances.
+     */
+    from?: string;
+    amount: string;
+    /**
+     * `native`, or `CODE:ISSUER`.
+     */
+    asset: string;
+    memoType: MemoType;
+    memo?: string;
+    /**
+     * ID of the claimed claimable balance.
+     */
+    balanceId?: string;
+    /**
+     * Customer returned by `resolveCustomer`.
+     */
+    customer?: string;
+  }
+}
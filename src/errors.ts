@@ -1,7 +1,14 @@
+import { xdr } from "aiblocks-base-sdk";
+
 import { Millennium } from "./millennium_api";
+import {
+  explainResultCode,
+  ResultCodes,
+  resultCodesFromXDR,
+} from "./result_codes";
 
 // For ES5 compatibility (https://stackoverflow.com/a/55066280).
-/* tslint:disable:variable-name max-classes-per-file */
+/* tslint:disable:variable-name max-classes-per-file no-namespace */
 
 export class NetworkError extends Error {
   public response: {
@@ -55,6 +62,128 @@ export class BadResponseError extends NetworkError {
   }
 }
 
+/**
+ * TransactionFailedError is raised by {@link Server#submitTransaction} when
+ * Millennium rejects a transaction with result codes, or when a transaction
+ * made it into a ledger but failed.
+ *
+ * Besides the raw response it exposes the decoded result and envelope and
+ * an English explanation for every code:
+ *
+ * ```
+ * console.log(err.transactionCode, err.explanation)
+ * err.operationCodes.forEach(({ operationIndex, type, code, explanation }) =>
+ *   console.log(operationIndex, type, code, explanation))
+ * ```
+ */
+export class TransactionFailedError extends BadResponseError {
+  /**
+   * transactionCode e.g. `tx_failed` or `tx_bad_seq`.
+   */
+  public transactionCode: string;
+  /**
+   * explanation English explanation of `transactionCode`.
+   */
+  public explanation: string;
+  /**
+   * operationCodes one entry per operation, empty if the operations weren't
+   * evaluated.
+   */
+  public operationCodes: TransactionFailedError.OperationCode[];
+  /**
+   * result the decoded `result_xdr`.
+   */
+  public result?: xdr.TransactionResult;
+  /**
+   * envelope the decoded `envelope_xdr`.
+   */
+  public envelope?: xdr.TransactionEnvelope;
+
+  /**
+   * Create a TransactionFailedError
+   * @param {message} message - error message, the transaction code is
+   * appended to it.
+   * @param {object} response - Response whose `data` is either Millennium's
+   * error body, with `extras.result_codes`, or a transaction record.
+   */
+  constructor(message: string, response: any) {
+    const trueProto = new.target.prototype;
+    const data = (response && response.data) || {};
+    const source = data.extras || data;
+    const codes: ResultCodes = source.result_codes ||
+      (source.result_xdr && resultCodesFromXDR(source.result_xdr)) || {
+        transaction: "tx_failed",
+      };
+    super(`${message}: ${codes.transaction}`, response);
+    this.__proto__ = trueProto;
+    this.constructor = TransactionFailedError;
+    this.name = "TransactionFailedError";
+
+    if (source.result_xdr) {
+      // TODO: fix aiblocks-base-sdk types.
+      this.result = (xdr.TransactionResult.fromXDR as any)(
+        source.result_xdr,
+        "base64",
+      );
+    }
+    if (source.envelope_xdr) {
+      this.envelope = (xdr.TransactionEnvelope.fromXDR as any)(
+        source.envelope_xdr,
+        "base64",
+      );
+    }
+
+    const operationTypes = _getOperationTypes(this.envelope);
+    this.transactionCode = codes.transaction;
+    this.explanation = explainResultCode(codes.transaction);
+    this.operationCodes = (codes.operations || []).map((code, i) => ({
+      operationIndex: i,
+      type: operationTypes[i],
+      code,
+      explanation: explainResultCode(code),
+    }));
+  }
+}
+
+export namespace TransactionFailedError {
+  export interface OperationCode {
+    operationIndex: number;
+    /**
+     * Operation type, e.g. `payment`. Unknown if the envelope is missing.
+     */
+    type?: string;
+    /**
+     * Result code, e.g. `op_underfunded`.
+     */
+    code: string;
+    explanation: string;
+  }
+}
+
+// TODO: fix aiblocks-base-sdk types.
+function _getOperationTypes(envelope: any): string[] {
+  if (!envelope) {
+    return [];
+  }
+  let tx;
+  switch (envelope.switch().name) {
+    case "envelopeTypeTxV0":
+      tx = envelope.v0().tx();
+      break;
+    case "envelopeTypeTxFeeBump":
+      tx = envelope
+        .feeBump()
+        .tx()
+        .innerTx()
+        .v1()
+        .tx();
+      break;
+    default:
+      tx = envelope.v1().tx();
+  }
+  return tx.operations().map((op: any) => op.body().switch().name);
+}
+
 export class InvalidSep10ChallengeError extends Error {
   public __proto__: InvalidSep10ChallengeError;
 
@@ -109,3 +238,58 @@ export class AccountRequiresMemoError extends Error {
     this.operationIndex = operationIndex;
   }
 }
+
+/**
+ * TransactionExpiredError is raised by
+ * {@link Server#submitTransactionAndWait} when a transaction's timebounds
+ * `maxTime` has passed and the transaction wasn't included in a ledger. Such
+ * a transaction can never be applied, so it is safe to build a new one.
+ *
+ * ```
+ * console.log('Transaction not included: ', err.hash)
+ * console.log('It expired at: ', err.maxTime)
+ * ```
+ */
+export class TransactionExpiredError extends Error {
+  public __proto__: TransactionExpiredError;
+  /**
+   * hash hex-encoded hash of the expired transaction.
+   */
+  public hash: string;
+  /**
+   * maxTime the transaction's `maxTime`, in seconds since epoch.
+   */
+  public maxTime: number;
+
+  /**
+   * Create a TransactionExpiredError
+   * @param {message} message - error message
+   * @param {string} hash - Hex-encoded hash of the expired transaction.
+   * @param {number} maxTime - The transaction's `maxTime`.
+   */
+  constructor(message: string, hash: string, maxTime: number) {
+    const trueProto = new.target.prototype;
+    super(message);
+    this.__proto__ = trueProto;
+    this.constructor = TransactionExpiredError;
+    this.name = "TransactionExpiredError";
+    this.hash = hash;
+    this.maxTime = maxTime;
+  }
+}
+
+/**
+ * InvalidJwtError is raised when a JSON Web Token is malformed, or when
+ * {@link verifyJwt} finds that its signature, issuer or expiry is not valid.
+ */
+export class InvalidJwtError extends Error {
+  public __proto__: InvalidJwtError;
+
+  constructor(message: string) {
+    const trueProto = new.target.prototype;
+    super(message);
+    this.__proto__ = trueProto;
+    this.constructor = InvalidJwtError;
+    this.name = "InvalidJwtError";
+  }
+}
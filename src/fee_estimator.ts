@@ -0,0 +1,168 @@
+/* tslint:disable:no-namespace */
+import { Millennium } from "./millennium_api";
+import { Server } from "./server";
+
+/**
+ * FeeEstimator picks the per-operation fee to build transactions with from
+ * the fee distributions of {@link Server#feeStats}, instead of the last
+ * ledger's base fee only.
+ *
+ * Strategies:
+ * * `economy`: the 10th percentile of the fees charged recently. Cheapest,
+ *   but may not get in during surge pricing.
+ * * `p50`, `p90`, `p99`: the given percentile of the fees charged recently.
+ * * `fastUnderSurge`: the 70th percentile of the fees charged, or during
+ *   surge pricing the higher of the 99th percentile of the fees charged and
+ *   the 90th percentile of the max fees offered by other transactions.
+ *
+ * The fee is never below the last ledger's base fee and never above
+ * `maxFee`.
+ *
+ * ```js
+ * const estimator = new AiBlocksSdk.FeeEstimator(server, { maxFee: 5000 });
+ * const { fee, surge } = await estimator.estimate("p90");
+ * const transaction = new AiBlocksSdk.TransactionBuilder(account, {
+ *   fee,
+ *   networkPassphrase,
+ * });
+ * ```
+ * @constructor
+ * @param {Server} server Server to fetch the fee stats from.
+ * @param {object} [opts] Options object
+ * @param {FeeEstimator.Strategy} [opts.strategy] Strategy used when none is
+ * passed to {@link FeeEstimator#estimate}, default: `p50`.
+ * @param {number} [opts.maxFee] Highest fee per operation in sectors to ever
+ * return, default: no limit.
+ * @param {number} [opts.surgeThreshold] `ledger_capacity_usage` from which
+ * the network counts as surging, default: `0.8`.
+ */
+export class FeeEstimator {
+  constructor(
+    private readonly server: Server,
+    private readonly opts: FeeEstimator.Options = {},
+  ) {}
+
+  /**
+   * Fetches the fee stats and estimates the fee for a strategy.
+   * @param {FeeEstimator.Strategy} [strategy] Strategy, default: the
+   * `strategy` option.
+   * @returns {Promise<FeeEstimator.Estimate>} The estimated fee.
+   */
+  public async estimate(
+    strategy?: FeeEstimator.Strategy,
+  ): Promise<FeeEstimator.Estimate> {
+    const stats = await this.server.feeStats();
+    return this.estimateFromStats(stats, strategy);
+  }
+
+  /**
+   * Estimates the fee for a strategy from fee stats you already fetched.
+   * @param {Millennium.FeeStatsResponse} stats Response of
+   * {@link Server#feeStats}.
+   * @param {FeeEstimator.Strategy} [strategy] Strategy, default: the
+   * `strategy` option.
+   * @returns {FeeEstimator.Estimate} The estimated fee.
+   */
+  public estimateFromStats(
+    stats: Millennium.FeeStatsResponse,
+    strategy: FeeEstimator.Strategy = this.opts.strategy || "p50",
+  ): FeeEstimator.Estimate {
+    const baseFee = _parseFee(
+      stats.last_ledger_base_fee,
+      "last_ledger_base_fee",
+    );
+    const surge = this.isSurge(stats);
+    const charged = stats.fee_charged;
+
+    let fee: number;
+    switch (strategy) {
+      case "economy":
+        fee = _parseFee(charged.p10, "fee_charged.p10");
+        break;
+      case "p50":
+      case "p90":
+      case "p99":
+        fee = _parseFee(charged[strategy], `fee_charged.${strategy}`);
+        break;
+      case "fastUnderSurge":
+        fee = surge
+          ? Math.max(
+              _parseFee(charged.p99, "fee_charged.p99"),
+              _parseFee(stats.max_fee.p90, "max_fee.p90"),
+            )
+          : _parseFee(charged.p70, "fee_charged.p70");
+        break;
+      default:
+        throw new Error(`Unknown fee strategy: ${strategy}`);
+    }
+
+    fee = Math.max(fee, baseFee);
+    const capped =
+      typeof this.opts.maxFee === "number" && fee > this.opts.maxFee;
+    if (capped) {
+      fee = this.opts.maxFee as number;
+    }
+
+    return {
+      fee: fee.toString(),
+      strategy,
+      surge,
+      capped,
+      baseFee,
+      ledgerCapacityUsage: parseFloat(stats.ledger_capacity_usage),
+    };
+  }
+
+  /**
+   * Returns true if the network is in surge pricing: the last ledgers were
+   * nearly full, or every recent transaction paid more than the base fee.
+   * @param {Millennium.FeeStatsResponse} stats Response of
+   * {@link Server#feeStats}.
+   * @returns {boolean} Whether the network is surging.
+   */
+  public isSurge(stats: Millennium.FeeStatsResponse): boolean {
+    const threshold =
+      typeof this.opts.surgeThreshold === "number"
+        ? this.opts.surgeThreshold
+        : 0.8;
+    return (
+      parseFloat(stats.ledger_capacity_usage) >= threshold ||
+      parseInt(stats.fee_charged.min, 10) >
+        parseInt(stats.last_ledger_base_fee, 10)
+    );
+  }
+}
+
+function _parseFee(value: string, field: string): number {
+  const fee = parseInt(value, 10);
+  if (isNaN(fee)) {
+    throw new Error(`Invalid fee stats: ${field} is ${value}`);
+  }
+  return fee;
+}
+
+export namespace FeeEstimator {
+  export type Strategy = "economy" | "p50" | "p90" | "p99" | "fastUnderSurge";
+
+  export interface Options {
+    strategy?: Strategy;
+    maxFee?: number;
+    surgeThreshold?: number;
+  }
+
+  export interface Estimate {
+    /**
+     * Fee per operation in sectors, to pass as `fee` to
+     * {@link TransactionBuilder}.
+     */
+    fee: string;
+    strategy: Strategy;
+    surge: boolean;
+    /**
+     * True if the strategy asked for more than `maxFee`.
+     */
+    capped: boolean;
+    baseFee: number;
+    ledgerCapacityUsage: number;
+  }
+}
@@ -1,8 +1,8 @@
-import { CallBuilder } from "./call_builder";
+import { CallBuilder, CallBuilderOptions } from "./call_builder";
 
 export class FriendbotBuilder extends CallBuilder<any> {
-  constructor(serverUrl: URI, address: string) {
-    super(serverUrl);
+  constructor(serverUrl: URI, address: string, options?: CallBuilderOptions) {
+    super(serverUrl, options);
     this.url.segment("friendbot");
     this.url.setQuery("addr", address);
   }
@@ -11,9 +11,28 @@ export * from "./server_api";
 
 // aiblocks-sdk classes to expose
 export * from "./account_response";
+export * from "./cursor_store";
 export * from "./errors";
+export * from "./jwt";
+export {
+  decodeMuxedAccount,
+  encodeMuxedAccount,
+  isValidMuxedAccount,
+} from "./muxed_account";
+export * from "./operation_results";
+export * from "./record_iterator";
+export * from "./result_codes";
+export * from "./retry_policy";
+export * from "./stream_iterator";
 export { Config } from "./config";
 export { Server } from "./server";
+export { ChannelPool } from "./channel_pool";
+export { DepositWatcher } from "./deposit_watcher";
+export { FeeEstimator } from "./fee_estimator";
+export { SequenceManager } from "./sequence_manager";
+export { StreamManager } from "./stream_manager";
+export { WebAuthClient } from "./web_auth_client";
+export { WebAuthServer } from "./web_auth_server";
 export {
   FederationServer,
   FEDERATION_RESPONSE_MAX_SIZE,
@@ -25,6 +44,7 @@ export {
 export {
   default as MillenniumAxiosClient,
   SERVER_TIME_MAP,
+  createHttpClient,
   getCurrentServerTime,
 } from "./millennium_axios_client";
 export * from "./utils";
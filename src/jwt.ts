@@ -0,0 +1,172 @@
+import { hash } from "aiblocks-base-sdk";
+
+import { InvalidJwtError } from "./errors";
+
+// Block size of SHA-256, in bytes.
+const SHA256_BLOCK_SIZE = 64;
+
+/**
+ * Claims of a SEP-10 JSON Web Token.
+ * @see [SEP0010: AiBlocks Web Authentication](https://github.com/aiblocks/aiblocks-protocol/blob/master/ecosystem/sep-0010.md).
+ */
+export interface JwtClaims {
+  /**
+   * Principal that issued the token, e.g. the auth endpoint.
+   */
+  iss: string;
+  /**
+   * Authenticated account.
+   */
+  sub: string;
+  /**
+   * Issue time, in seconds since epoch.
+   */
+  iat: number;
+  /**
+   * Expiration time, in seconds since epoch.
+   */
+  exp: number;
+  /**
+   * Hash of the challenge transaction.
+   */
+  jti?: string;
+  [claim: string]: any;
+}
+
+/**
+ * Decodes the claims of a JSON Web Token, without verifying its signature.
+ * @param {string} token The encoded token.
+ * @returns {JwtClaims} Its claims.
+ * @throws {InvalidJwtError} If the token isn't a JWT.
+ */
+export function decodeJwt(token: string): JwtClaims {
+  const parts = token.split(".");
+  if (parts.length !== 3) {
+    throw new InvalidJwtError("Invalid JWT: expected 3 parts");
+  }
+  const claims = _decodePart(parts[1]);
+  if (!claims || typeof claims.exp !== "number") {
+    throw new InvalidJwtError("Invalid JWT: missing exp claim");
+  }
+  return claims;
+}
+
+/**
+ * Encodes claims into a JSON Web Token signed with HMAC SHA-256 (`HS256`).
+ * @param {JwtClaims} claims Claims of the token.
+ * @param {string|Buffer} secret Key to sign the token with.
+ * @returns {string} The encoded token.
+ */
+export function signJwt(claims: JwtClaims, secret: string | Buffer): string {
+  const content = [
+    _base64UrlEncode(Buffer.from(JSON.stringify({ alg: "HS256", typ: "JWT" }))),
+    _base64UrlEncode(Buffer.from(JSON.stringify(claims))),
+  ].join(".");
+  return `${content}.${_base64UrlEncode(_sign(content, secret))}`;
+}
+
+/**
+ * Decodes the claims of a JSON Web Token signed by {@link signJwt}, after
+ * checking its signature and expiry.
+ * @param {string} token The encoded token.
+ * @param {string|Buffer} secret Key the token was signed with.
+ * @param {object} [opts] Options object
+ * @param {string} [opts.issuer] Required `iss` claim.
+ * @param {number} [opts.clockTolerance] Seconds of clock skew to allow when
+ * checking `exp` and `nbf`, default: `0`.
+ * @returns {JwtClaims} Its claims.
+ * @throws {InvalidJwtError} If the token isn't a JWT signed with `secret`, is
+ * from another issuer, has expired or isn't valid yet.
+ */
+export function verifyJwt(
+  token: string,
+  secret: string | Buffer,
+  opts: { issuer?: string; clockTolerance?: number } = {},
+): JwtClaims {
+  const parts = token.split(".");
+  if (parts.length !== 3) {
+    throw new InvalidJwtError("Invalid JWT: expected 3 parts");
+  }
+  const header = _decodePart(parts[0]);
+  if (!header || header.alg !== "HS256") {
+    throw new InvalidJwtError("Invalid JWT: unsupported algorithm");
+  }
+  const expected = _sign(`${parts[0]}.${parts[1]}`, secret);
+  if (!_equal(expected, _base64UrlDecode(parts[2]))) {
+    throw new InvalidJwtError("Invalid JWT: signature mismatch");
+  }
+
+  const claims = decodeJwt(token);
+  const now = Math.floor(Date.now() / 1000);
+  const tolerance = opts.clockTolerance || 0;
+  if (claims.exp + tolerance <= now) {
+    throw new InvalidJwtError("Invalid JWT: expired");
+  }
+  if (typeof claims.nbf === "number" && claims.nbf - tolerance > now) {
+    throw new InvalidJwtError("Invalid JWT: not valid yet");
+  }
+  if (opts.issuer !== undefined && claims.iss !== opts.issuer) {
+    throw new InvalidJwtError(`Invalid JWT: issued by "${claims.iss}"`);
+  }
+  return claims;
+}
+
+function _decodePart(part: string): any {
+  try {
+    return JSON.parse(_base64UrlDecode(part).toString("utf8"));
+  } catch (e) {
+    throw new InvalidJwtError(`Invalid JWT: ${e.message}`);
+  }
+}
+
+/**
+ * HMAC SHA-256 (RFC 2104), built on the SHA-256 of the base SDK so that it
+ * works in browsers too.
+ */
+function _sign(content: string, secret: string | Buffer): Buffer {
+  let key = typeof secret === "string" ? Buffer.from(secret, "utf8") : secret;
+  if (key.length > SHA256_BLOCK_SIZE) {
+    key = hash(key);
+  }
+  const inner = Buffer.alloc(SHA256_BLOCK_SIZE, 0x36);
+  const outer = Buffer.alloc(SHA256_BLOCK_SIZE, 0x5c);
+  for (let i = 0; i < key.length; i++) {
+    /* tslint:disable-next-line:no-bitwise */
+    inner[i] ^= key[i];
+    /* tslint:disable-next-line:no-bitwise */
+    outer[i] ^= key[i];
+  }
+  return hash(
+    Buffer.concat([
+      outer,
+      hash(Buffer.concat([inner, Buffer.from(content, "utf8")])),
+    ]),
+  );
+}
+
+/**
+ * Compares two buffers in time that only depends on their length.
+ */
+function _equal(a: Buffer, b: Buffer): boolean {
+  if (a.length !== b.length) {
+    return false;
+  }
+  let diff = 0;
+  for (let i = 0; i < a.length; i++) {
+    /* tslint:disable-next-line:no-bitwise */
+    diff |= a[i] ^ b[i];
+  }
+  return diff === 0;
+}
+
+function _base64UrlEncode(value: Buffer): string {
+  return value
+    .toString("base64")
+    .replace(/=+$/, "")
+    .replace(/\+/g, "-")
+    .replace(/\//g, "_");
+}
+
+function _base64UrlDecode(value: string): Buffer {
+  return Buffer.from(value.replace(/-/g, "+").replace(/_/g, "/"), "base64");
+}
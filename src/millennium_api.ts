@@ -53,6 +53,7 @@ export namespace Millennium {
     source_account: string;
     source_account_sequence: string;
     fee_account: string;
+    successful: boolean;
     inner_transaction?: InnerTransactionResponse;
     fee_bump_transaction?: FeeBumpTransactionResponse;
   }
@@ -1,4 +1,4 @@
-import axios, { AxiosResponse } from "axios";
+import axios, { AxiosInstance, AxiosResponse } from "axios";
 import URI from "urijs";
 
 /* tslint:disable-next-line:no-var-requires */
@@ -23,33 +23,75 @@ export interface ServerTime {
  */
 export const SERVER_TIME_MAP: Record<string, ServerTime> = {};
 
-const MillenniumAxiosClient = axios.create({
-  headers: {
-    "X-Client-Name": "js-aiblocks-sdk",
-    "X-Client-Version": version,
-  },
-});
+export interface HttpClientOptions {
+  /**
+   * Headers sent with every request, on top of `X-Client-Name` and
+   * `X-Client-Version`.
+   */
+  headers?: Record<string, string>;
+  /**
+   * Request timeout in ms, default: no timeout.
+   */
+  timeout?: number;
+  /**
+   * Map the server times seen in responses are recorded to, default: a new
+   * map owned by the client.
+   */
+  serverTimeMap?: Record<string, ServerTime>;
+}
 
 function _toSeconds(ms: number): number {
   return Math.floor(ms / 1000);
 }
 
-MillenniumAxiosClient.interceptors.response.use(
-  function interceptorMillenniumResponse(response: AxiosResponse) {
+/**
+ * Creates an axios instance that talks to Millennium: it sends the client
+ * headers and records the server time of every response in
+ * `opts.serverTimeMap`. Each {@link Server} owns one, so headers, timeouts and
+ * interceptors never leak between servers.
+ * @param {object} [opts] Options object
+ * @param {object} [opts.headers] Extra headers sent with every request.
+ * @param {number} [opts.timeout] Request timeout in ms.
+ * @param {object} [opts.serverTimeMap] Map server times are recorded to.
+ * @returns {AxiosInstance} A new axios instance.
+ */
+export function createHttpClient(opts: HttpClientOptions = {}): AxiosInstance {
+  const serverTimeMap = opts.serverTimeMap || {};
+  const client = axios.create({
+    headers: Object.assign({}, opts.headers, {
+      "X-Client-Name": "js-aiblocks-sdk",
+      "X-Client-Version": version,
+    }),
+    timeout: opts.timeout,
+  });
+
+  client.interceptors.response.use(function interceptorMillenniumResponse(
+    response: AxiosResponse,
+  ) {
     const hostname = URI(response.config.url!).hostname();
     const serverTime = _toSeconds(Date.parse(response.headers.date));
     const localTimeRecorded = _toSeconds(new Date().getTime());
 
     if (!isNaN(serverTime)) {
-      SERVER_TIME_MAP[hostname] = {
+      serverTimeMap[hostname] = {
         serverTime,
         localTimeRecorded,
       };
     }
 
     return response;
-  },
-);
+  });
+
+  return client;
+}
+
+/**
+ * The client used by call builders and helpers that aren't created from a
+ * {@link Server}. It records server times in {@link SERVER_TIME_MAP}.
+ */
+const MillenniumAxiosClient = createHttpClient({
+  serverTimeMap: SERVER_TIME_MAP,
+});
 
 export default MillenniumAxiosClient;
 
@@ -58,12 +100,16 @@ export default MillenniumAxiosClient;
  * recorded server time and offset it by the time since then.) If there IS no
  * recorded server time, or it's been 5 minutes since the last, return null.
  * @param {string} hostname Hostname of a Millennium server.
+ * @param {object} [serverTimeMap] Map to read from, default: {@link SERVER_TIME_MAP}.
  * @returns {number} The UNIX timestamp (in seconds, not milliseconds)
  * representing the current time on that server, or `null` if we don't have
  * a record of that time.
  */
-export function getCurrentServerTime(hostname: string): number | null {
-  const entry = SERVER_TIME_MAP[hostname];
+export function getCurrentServerTime(
+  hostname: string,
+  serverTimeMap: Record<string, ServerTime> = SERVER_TIME_MAP,
+): number | null {
+  const entry = serverTimeMap[hostname];
 
   if (!entry || !entry.localTimeRecorded || !entry.serverTime) {
     return null;
@@ -0,0 +1,181 @@
+/* tslint:disable:no-bitwise */
+import { StrKey, xdr } from "aiblocks-base-sdk";
+import BigNumber from "bignumber.js";
+
+// Strkey version byte of muxed accounts (12 << 3), which encodes as "M".
+const MUXED_VERSION_BYTE = 96;
+const BASE32_ALPHABET = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567";
+const MAX_ID = new BigNumber(2).pow(64);
+
+/**
+ * Encodes a muxed account: an account and a 64-bit ID that tells apart the
+ * users sharing it, as an `M...` address.
+ * @see [SEP0023: Strkeys](https://github.com/aiblocks/aiblocks-protocol/blob/master/ecosystem/sep-0023.md).
+ * @param {string} accountId The `G...` account.
+ * @param {string} id The ID, a decimal string.
+ * @returns {string} The `M...` address.
+ */
+export function encodeMuxedAccount(accountId: string, id: string): string {
+  const data = Buffer.concat([
+    Buffer.from([MUXED_VERSION_BYTE]),
+    StrKey.decodeEd25519PublicKey(accountId),
+    _idToBytes(id),
+  ]);
+  return _base32Encode(Buffer.concat([data, _crc16(data)]));
+}
+
+/**
+ * Decodes an `M...` address into its account and ID.
+ * @param {string} address The `M...` address.
+ * @returns {{accountId: string, id: string}} The `G...` account and the
+ * decimal ID.
+ * @throws {Error} If the address isn't a valid muxed account.
+ */
+export function decodeMuxedAccount(
+  address: string,
+): { accountId: string; id: string } {
+  const decoded =
+    typeof address === "string" && address.charAt(0) === "M"
+      ? _base32Decode(address)
+      : undefined;
+  if (
+    !decoded ||
+    decoded.length !== 43 ||
+    decoded[0] !== MUXED_VERSION_BYTE ||
+    !_crc16(decoded.slice(0, 41)).equals(decoded.slice(41)) ||
+    _base32Encode(decoded) !== address
+  ) {
+    throw new Error(`Invalid muxed account: ${address}`);
+  }
+  return {
+    accountId: StrKey.encodeEd25519PublicKey(decoded.slice(1, 33)),
+    id: _idFromBytes(decoded.slice(33, 41)),
+  };
+}
+
+/**
+ * Checks that an address is a valid `M...` muxed account.
+ * @param {string} address The address.
+ * @returns {boolean} Whether it decodes.
+ */
+export function isValidMuxedAccount(address: string): boolean {
+  try {
+    decodeMuxedAccount(address);
+    return true;
+  } catch (e) {
+    return false;
+  }
+}
+
+/**
+ * Converts a `G...` or `M...` address to an `xdr.MuxedAccount`, which the
+ * base SDK can't do for `M...` addresses.
+ * @private
+ * @param {string} address The address.
+ * @returns {xdr.MuxedAccount} The account.
+ */
+export function muxedAccountToXdr(address: string): xdr.MuxedAccount {
+  if (address.charAt(0) !== "M") {
+    return xdr.MuxedAccount.keyTypeEd25519(
+      StrKey.decodeEd25519PublicKey(address),
+    );
+  }
+  const { accountId, id } = decodeMuxedAccount(address);
+  return xdr.MuxedAccount.keyTypeMuxedEd25519(
+    new xdr.MuxedAccountMed25519({
+      id: xdr.Uint64.fromXDR(_idToBytes(id)),
+      ed25519: StrKey.decodeEd25519PublicKey(accountId),
+    }),
+  );
+}
+
+/**
+ * Converts an `xdr.MuxedAccount` to its `G...` or `M...` address. The base
+ * SDK drops the ID of muxed accounts.
+ * @private
+ * @param {xdr.MuxedAccount} account The account.
+ * @returns {string} The address.
+ */
+export function muxedAccountFromXdr(account: xdr.MuxedAccount): string {
+  if (account.switch().name === "keyTypeEd25519") {
+    return StrKey.encodeEd25519PublicKey(account.ed25519());
+  }
+  const med25519 = account.med25519();
+  return encodeMuxedAccount(
+    StrKey.encodeEd25519PublicKey(med25519.ed25519()),
+    _idFromBytes(med25519.id().toXDR()),
+  );
+}
+
+function _idToBytes(id: string): Buffer {
+  let value: BigNumber;
+  try {
+    value = new BigNumber(id);
+  } catch (e) {
+    throw new Error(`Invalid muxed account ID: ${id}`);
+  }
+  if (!value.isInteger() || value.lt(0) || value.gte(MAX_ID)) {
+    throw new Error(`Invalid muxed account ID: ${id}`);
+  }
+  return Buffer.from(`0000000000000000${value.toString(16)}`.slice(-16), "hex");
+}
+
+function _idFromBytes(bytes: Buffer): string {
+  return new BigNumber(bytes.toString("hex"), 16).toFixed();
+}
+
+/**
+ * CRC16-XModem checksum of strkeys, little-endian.
+ */
+function _crc16(data: Buffer): Buffer {
+  let crc = 0;
+  for (const byte of Array.from(data)) {
+    crc ^= byte << 8;
+    for (let bit = 0; bit < 8; bit++) {
+      crc = crc & 0x8000 ? (crc << 1) ^ 0x1021 : crc << 1;
+      crc &= 0xffff;
+    }
+  }
+  const checksum = Buffer.alloc(2);
+  checksum.writeUInt16LE(crc, 0);
+  return checksum;
+}
+
+function _base32Encode(data: Buffer): string {
+  let output = "";
+  let value = 0;
+  let bits = 0;
+  for (const byte of Array.from(data)) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      bits -= 5;
+      output += BASE32_ALPHABET[(value >>> bits) & 31];
+    }
+    value &= (1 << bits) - 1;
+  }
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+  return output;
+}
+
+function _base32Decode(input: string): Buffer | undefined {
+  const bytes: number[] = [];
+  let value = 0;
+  let bits = 0;
+  for (let i = 0; i < input.length; i++) {
+    const index = BASE32_ALPHABET.indexOf(input.charAt(i));
+    if (index === -1) {
+      return undefined;
+    }
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bits -= 8;
+      bytes.push((value >>> bits) & 0xff);
+      value &= (1 << bits) - 1;
+    }
+  }
+  return Buffer.from(bytes);
+}
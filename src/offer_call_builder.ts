@@ -1,5 +1,5 @@
 import { Asset } from "aiblocks-base-sdk";
-import { CallBuilder } from "./call_builder";
+import { CallBuilder, CallBuilderOptions } from "./call_builder";
 import { ServerApi } from "./server_api";
 
 /**
@@ -15,8 +15,8 @@ import { ServerApi } from "./server_api";
 export class OfferCallBuilder extends CallBuilder<
   ServerApi.CollectionPage<ServerApi.OfferRecord>
 > {
-  constructor(serverUrl: URI) {
-    super(serverUrl);
+  constructor(serverUrl: URI, options?: CallBuilderOptions) {
+    super(serverUrl, options);
     this.url.segment("offers");
   }
 
@@ -28,7 +28,10 @@ export class OfferCallBuilder extends CallBuilder<
    * @returns {CallBuilder<ServerApi.OfferRecord>} CallBuilder<ServerApi.OfferRecord> OperationCallBuilder instance
    */
   public offer(offerId: string): CallBuilder<ServerApi.OfferRecord> {
-    const builder = new CallBuilder<ServerApi.OfferRecord>(this.url.clone());
+    const builder = new CallBuilder<ServerApi.OfferRecord>(
+      this.url.clone(),
+      this.options,
+    );
     builder.filter.push([offerId]);
     return builder;
   }
@@ -1,4 +1,4 @@
-import { CallBuilder } from "./call_builder";
+import { CallBuilder, CallBuilderOptions } from "./call_builder";
 import { ServerApi } from "./server_api";
 
 /**
@@ -14,8 +14,8 @@ import { ServerApi } from "./server_api";
 export class OperationCallBuilder extends CallBuilder<
   ServerApi.CollectionPage<ServerApi.OperationRecord>
 > {
-  constructor(serverUrl: URI) {
-    super(serverUrl);
+  constructor(serverUrl: URI, options?: CallBuilderOptions) {
+    super(serverUrl, options);
     this.url.segment("operations");
   }
 
@@ -31,6 +31,7 @@ export class OperationCallBuilder extends CallBuilder<
   ): CallBuilder<ServerApi.OperationRecord> {
     const builder = new CallBuilder<ServerApi.OperationRecord>(
       this.url.clone(),
+      this.options,
     );
     builder.filter.push([operationId]);
     return builder;
@@ -0,0 +1,351 @@
+/* tslint:disable:no-namespace */
+import { Asset, StrKey, xdr } from "aiblocks-base-sdk";
+import BigNumber from "bignumber.js";
+
+const SECTORS_IN_DELO = 10000000;
+
+function _getAmountInDelos(amt: BigNumber | string) {
+  return new BigNumber(amt).div(SECTORS_IN_DELO).toString();
+}
+
+export namespace OperationResults {
+  export interface AssetDescription {
+    type: string;
+    // these are only present if the asset is not native
+    assetCode?: string;
+    issuer?: string;
+  }
+
+  /**
+   * An offer of another account that the operation took liquidity from.
+   * `assetSold`/`amountSold` are from the point of view of that offer.
+   */
+  export interface OfferClaimed {
+    sellerId: string;
+    offerId: string;
+    assetSold: AssetDescription;
+    amountSold: string;
+    assetBought: AssetDescription;
+    amountBought: string;
+  }
+
+  export interface CurrentOffer {
+    offerId: string;
+    amount: string;
+    price: {
+      n: number;
+      d: number;
+    };
+    selling: AssetDescription;
+    buying: AssetDescription;
+  }
+
+  export interface OfferResult {
+    offersClaimed: OfferClaimed[];
+    effect: string;
+    operationIndex: number;
+    currentOffer?: CurrentOffer;
+    amountBought: string;
+    amountSold: string;
+    isFullyOpen: boolean;
+    wasPartiallyFilled: boolean;
+    wasImmediatelyFilled: boolean;
+    wasImmediatelyDeleted: boolean;
+  }
+
+  export interface PathPaymentResult {
+    /**
+     * Amount of the send asset that left the source account.
+     */
+    amountSent: string;
+    /**
+     * Amount of `destinationAsset` credited to `destination`.
+     */
+    amountReceived: string;
+    destination: string;
+    destinationAsset: AssetDescription;
+    offersClaimed: OfferClaimed[];
+  }
+
+  export interface InflationPayout {
+    destination: string;
+    amount: string;
+  }
+
+  export interface OperationResult {
+    /**
+     * Index of the operation in the transaction.
+     */
+    operationIndex: number;
+    /**
+     * `OperationResultCode` name: `opInner` if the operation was evaluated,
+     * otherwise why it wasn't (`opBadAuth`, `opNoAccount`, ...).
+     */
+    code: string;
+    /**
+     * `OperationType` name, e.g. `pathPaymentStrictSend`. Only present if
+     * `code` is `opInner`.
+     */
+    type?: string;
+    /**
+     * Result code of the operation type, e.g. `paymentSuccess` or
+     * `paymentUnderfunded`. Only present if `code` is `opInner`.
+     */
+    resultCode?: string;
+    successful: boolean;
+    /**
+     * `manageSellOffer`, `manageBuyOffer` and `createPassiveSellOffer`.
+     */
+    offer?: OfferResult;
+    /**
+     * `pathPaymentStrictReceive` and `pathPaymentStrictSend`.
+     */
+    pathPayment?: PathPaymentResult;
+    /**
+     * Asset whose issuer is missing, for `pathPayment*NoIssuer` failures.
+     */
+    noIssuer?: AssetDescription;
+    /**
+     * `createClaimableBalance`: hex-encoded ID of the new balance, in the
+     * format used by Millennium's `/claimable_balances` endpoint.
+     */
+    balanceId?: string;
+    /**
+     * `accountMerge`: native balance moved to the destination.
+     */
+    amountMerged?: string;
+    /**
+     * `inflation`: the payouts made.
+     */
+    inflationPayouts?: InflationPayout[];
+  }
+}
+
+function _describeAsset(
+  xdrAsset: xdr.Asset,
+): OperationResults.AssetDescription {
+  const asset = Asset.fromOperation(xdrAsset);
+  return {
+    type: asset.getAssetType(),
+    assetCode: asset.getCode(),
+    issuer: asset.getIssuer(),
+  };
+}
+
+function _encodeAccountId(accountId: any): string {
+  return StrKey.encodeEd25519PublicKey(accountId.ed25519());
+}
+
+// TODO: fix aiblocks-base-sdk types.
+function _decodeOfferClaimed(offerClaimed: any): OperationResults.OfferClaimed {
+  return {
+    sellerId: _encodeAccountId(offerClaimed.sellerId()),
+    offerId: offerClaimed.offerId().toString(),
+    assetSold: _describeAsset(offerClaimed.assetSold()),
+    // amounts are js-xdr hypers
+    amountSold: _getAmountInDelos(offerClaimed.amountSold().toString()),
+    assetBought: _describeAsset(offerClaimed.assetBought()),
+    amountBought: _getAmountInDelos(offerClaimed.amountBought().toString()),
+  };
+}
+
+// TODO: fix aiblocks-base-sdk types.
+function _decodeOfferResult(
+  offerSuccess: any,
+  operationIndex: number,
+): OperationResults.OfferResult {
+  let amountBought = new BigNumber(0);
+  let amountSold = new BigNumber(0);
+
+  const offersClaimed = offerSuccess
+    .offersClaimed()
+    .map((offerClaimed: any) => {
+      // This is an offer that was filled by the one just submitted.
+      // So this offer has an _opposite_ bought/sold frame of ref
+      // than from what we just submitted!
+      // So add this claimed offer's bought to the SOLD count and vice v
+      amountBought = amountBought.add(offerClaimed.amountSold().toString());
+      amountSold = amountSold.add(offerClaimed.amountBought().toString());
+
+      return _decodeOfferClaimed(offerClaimed);
+    });
+
+  const effect = offerSuccess.offer().switch().name;
+
+  let currentOffer;
+
+  if (
+    typeof offerSuccess.offer().value === "function" &&
+    offerSuccess.offer().value()
+  ) {
+    const offerXDR = offerSuccess.offer().value();
+
+    currentOffer = {
+      offerId: offerXDR.offerId().toString(),
+      amount: _getAmountInDelos(offerXDR.amount().toString()),
+      price: {
+        n: offerXDR.price().n(),
+        d: offerXDR.price().d(),
+      },
+      selling: _describeAsset(offerXDR.selling()),
+      buying: _describeAsset(offerXDR.buying()),
+    };
+  }
+
+  return {
+    offersClaimed,
+    effect,
+    operationIndex,
+    currentOffer,
+
+    // this value is in sectors so divide it out
+    amountBought: _getAmountInDelos(amountBought),
+    amountSold: _getAmountInDelos(amountSold),
+
+    isFullyOpen: !offersClaimed.length && effect !== "manageOfferDeleted",
+    wasPartiallyFilled:
+      !!offersClaimed.length && effect !== "manageOfferDeleted",
+    wasImmediatelyFilled:
+      !!offersClaimed.length && effect === "manageOfferDeleted",
+    wasImmediatelyDeleted:
+      !offersClaimed.length && effect === "manageOfferDeleted",
+  };
+}
+
+// TODO: fix aiblocks-base-sdk types.
+function _decodePathPaymentResult(
+  pathSuccess: any,
+): OperationResults.PathPaymentResult {
+  const offers = pathSuccess.offers();
+  const last = pathSuccess.last();
+
+  // Without offers the payment didn't cross the orderbook, so the amount sent
+  // is the amount received. Otherwise it is what the offers of the first hop
+  // bought from the source account.
+  let amountSent = new BigNumber(last.amount().toString());
+  if (offers.length) {
+    const sendAsset = offers[0].assetBought().toXDR("base64");
+    amountSent = new BigNumber(0);
+    for (const offer of offers) {
+      if (offer.assetBought().toXDR("base64") !== sendAsset) {
+        break;
+      }
+      amountSent = amountSent.add(offer.amountBought().toString());
+    }
+  }
+
+  return {
+    amountSent: _getAmountInDelos(amountSent),
+    amountReceived: _getAmountInDelos(last.amount().toString()),
+    destination: _encodeAccountId(last.destination()),
+    destinationAsset: _describeAsset(last.asset()),
+    offersClaimed: offers.map(_decodeOfferClaimed),
+  };
+}
+
+// TODO: fix aiblocks-base-sdk types.
+function _decodeOperationResult(
+  result: any,
+  operationIndex: number,
+): OperationResults.OperationResult {
+  const code = result.switch().name;
+  if (code !== "opInner") {
+    return { operationIndex, code, successful: false };
+  }
+
+  const tr = result.tr();
+  const type = tr.switch().name;
+  const typeResult = tr.value();
+  const resultCode = typeResult.switch().name;
+  // every operation type signals success with code 0
+  const successful = typeResult.switch().value === 0;
+
+  const decoded: OperationResults.OperationResult = {
+    operationIndex,
+    code,
+    type,
+    resultCode,
+    successful,
+  };
+
+  if (!successful) {
+    if (
+      resultCode === "pathPaymentStrictReceiveNoIssuer" ||
+      resultCode === "pathPaymentStrictSendNoIssuer"
+    ) {
+      decoded.noIssuer = _describeAsset(typeResult.noIssuer());
+    }
+    return decoded;
+  }
+
+  switch (type) {
+    case "manageSellOffer":
+    case "manageBuyOffer":
+    case "createPassiveSellOffer":
+      decoded.offer = _decodeOfferResult(typeResult.success(), operationIndex);
+      break;
+    case "pathPaymentStrictReceive":
+    case "pathPaymentStrictSend":
+      decoded.pathPayment = _decodePathPaymentResult(typeResult.success());
+      break;
+    case "createClaimableBalance":
+      decoded.balanceId = typeResult.balanceId().toXDR("hex");
+      break;
+    case "accountMerge":
+      decoded.amountMerged = _getAmountInDelos(
+        typeResult.sourceAccountBalance().toString(),
+      );
+      break;
+    case "inflation":
+      decoded.inflationPayouts = typeResult.payouts().map((payout: any) => ({
+        destination: _encodeAccountId(payout.destination()),
+        amount: _getAmountInDelos(payout.amount().toString()),
+      }));
+      break;
+    default:
+      break;
+  }
+
+  return decoded;
+}
+
+/**
+ * Decodes the per-operation results of a base64 `TransactionResult` XDR, the
+ * `result_xdr` field of Millennium's transaction responses. For fee bump
+ * transactions the results of the inner transaction are returned.
+ *
+ * ```js
+ * const record = await server.transactions().transaction(hash).call();
+ * const [result] = decodeOperationResults(record.result_xdr);
+ * if (result.type === "pathPaymentStrictSend" && result.successful) {
+ *   console.log(result.pathPayment.amountReceived);
+ * }
+ * ```
+ * @param {string} resultXdr Base64-encoded `TransactionResult`.
+ * @returns {OperationResults.OperationResult[]} One entry per operation, or
+ * an empty array when the transaction failed before its operations were
+ * evaluated (e.g. `txBadSeq`).
+ */
+export function decodeOperationResults(
+  resultXdr: string,
+): OperationResults.OperationResult[] {
+  // TODO: fix aiblocks-base-sdk types.
+  let result: any = (xdr.TransactionResult.fromXDR as any)(
+    resultXdr,
+    "base64",
+  ).result();
+
+  const code = result.switch().name;
+  if (code === "txFeeBumpInnerSuccess" || code === "txFeeBumpInnerFailed") {
+    result = result
+      .innerResultPair()
+      .result()
+      .result();
+  }
+
+  const results = result.switch().name.match(/^tx(Success|Failed)$/)
+    ? result.results()
+    : [];
+
+  return results.map(_decodeOperationResult);
+}
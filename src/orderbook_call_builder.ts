@@ -1,5 +1,5 @@
 import { Asset } from "aiblocks-base-sdk";
-import { CallBuilder } from "./call_builder";
+import { CallBuilder, CallBuilderOptions } from "./call_builder";
 import { ServerApi } from "./server_api";
 
 /**
@@ -14,8 +14,13 @@ import { ServerApi } from "./server_api";
 export class OrderbookCallBuilder extends CallBuilder<
   ServerApi.OrderbookRecord
 > {
-  constructor(serverUrl: URI, selling: Asset, buying: Asset) {
-    super(serverUrl);
+  constructor(
+    serverUrl: URI,
+    selling: Asset,
+    buying: Asset,
+    options?: CallBuilderOptions,
+  ) {
+    super(serverUrl, options);
     this.url.segment("order_book");
     if (!selling.isNative()) {
       this.url.setQuery("selling_asset_type", selling.getAssetType());
@@ -0,0 +1,26 @@
+import BigNumber from "bignumber.js";
+
+/**
+ * Compares paging tokens such as `12884905985` or `12884905985-1` part by
+ * part. Tokens of another format count as newer.
+ * @private
+ * @param {string} a A paging token.
+ * @param {string} b Another paging token.
+ * @returns {number} A negative number if `a` comes before `b`, `0` if they
+ * are equal, a positive number otherwise.
+ */
+export function comparePagingTokens(a: string, b: string): number {
+  const format = /^\d+(-\d+)*$/;
+  if (!format.test(a) || !format.test(b)) {
+    return 1;
+  }
+  const aParts = a.split("-");
+  const bParts = b.split("-");
+  for (let i = 0; i < Math.max(aParts.length, bParts.length); i++) {
+    const cmp = new BigNumber(aParts[i] || 0).cmp(bParts[i] || 0);
+    if (cmp !== 0) {
+      return cmp;
+    }
+  }
+  return 0;
+}
@@ -1,5 +1,5 @@
 import { Asset } from "aiblocks-base-sdk";
-import { CallBuilder } from "./call_builder";
+import { CallBuilder, CallBuilderOptions } from "./call_builder";
 import { ServerApi } from "./server_api";
 
 /**
@@ -35,8 +35,9 @@ export class PathCallBuilder extends CallBuilder<
     destination: string,
     destinationAsset: Asset,
     destinationAmount: string,
+    options?: CallBuilderOptions,
   ) {
-    super(serverUrl);
+    super(serverUrl, options);
     this.url.segment("paths");
     this.url.setQuery("destination_account", destination);
     this.url.setQuery("source_account", source);
@@ -0,0 +1,348 @@
+import { Asset, FeeBumpTransaction, Transaction } from "aiblocks-base-sdk";
+import BigNumber from "bignumber.js";
+
+import { AccountResponse } from "./account_response";
+import { NotFoundError } from "./errors";
+import { explainResultCode } from "./result_codes";
+import { Server } from "./server";
+
+/**
+ * Predicts the failures of a transaction from the current state of its
+ * accounts. Do not call this function directly, use
+ * {@link Server#preflight}.
+ * @private
+ * @param {Server} server Server to load the accounts from.
+ * @param {Transaction|FeeBumpTransaction} transaction Transaction to check.
+ * @returns {Promise<Server.PreflightFinding[]>} The predicted failures.
+ */
+export async function preflightTransaction(
+  server: Server,
+  transaction: Transaction | FeeBumpTransaction,
+): Promise<Server.PreflightFinding[]> {
+  const { inner, feeSource } = _unwrap(transaction);
+  const ids: string[] = [feeSource, inner.source];
+  inner.operations.forEach((operation: any) => {
+    [operation.source, operation.destination].forEach((id) => {
+      if (id && ids.indexOf(id) < 0) {
+        ids.push(id);
+      }
+    });
+  });
+
+  const accounts: { [id: string]: AccountResponse | undefined } = {};
+  const [baseReserve] = await Promise.all([
+    server.fetchBaseReserve(),
+    Promise.all(
+      ids.map(async (id) => {
+        accounts[id] = await loadAccountIfExists(server, id);
+      }),
+    ),
+  ]);
+
+  return new Preflight(accounts, baseReserve).check(transaction);
+}
+
+/**
+ * Runs the checks of {@link Server#preflight} on loaded accounts, tracking
+ * the amounts each operation sends and receives so that later operations
+ * see the balances left by earlier ones.
+ * @private
+ */
+class Preflight {
+  private readonly findings: Server.PreflightFinding[] = [];
+  // amounts sent and received so far, by account and asset
+  private readonly sent: { [id: string]: { [asset: string]: BigNumber } } = {};
+  private readonly received: {
+    [id: string]: { [asset: string]: BigNumber };
+  } = {};
+
+  constructor(
+    private readonly accounts: { [id: string]: AccountResponse | undefined },
+    private readonly baseReserve: string,
+  ) {}
+
+  public check(
+    transaction: Transaction | FeeBumpTransaction,
+  ): Server.PreflightFinding[] {
+    const { inner, feeSource } = _unwrap(transaction);
+    const source = this.accounts[inner.source];
+    const feeAccount = this.accounts[feeSource];
+    if (!source || !feeAccount) {
+      this._add(
+        undefined,
+        "tx_no_source_account",
+        source ? feeSource : inner.source,
+      );
+      return this.findings;
+    }
+
+    const expected = new BigNumber(source.sequence).plus(1);
+    if (!expected.eq(inner.sequence)) {
+      this._add(
+        undefined,
+        "tx_bad_seq",
+        inner.source,
+        `Expected sequence number ${expected.toFixed()}, got ${
+          inner.sequence
+        }.`,
+      );
+    }
+
+    const fee = new BigNumber(transaction.fee).div(1e7);
+    if (this._spendable(feeAccount, Asset.native()).lt(fee)) {
+      this._add(undefined, "tx_insufficient_balance", feeSource);
+    }
+    this._track(this.sent, feeSource, Asset.native(), fee);
+
+    if (transaction instanceof FeeBumpTransaction) {
+      this._checkSignatures(transaction, feeSource, "low", undefined);
+    }
+    this._checkSignatures(inner, inner.source, "low", undefined);
+
+    inner.operations.forEach((operation: any, index) => {
+      const sourceId = operation.source || inner.source;
+      if (!this.accounts[sourceId]) {
+        this._add(index, "op_no_source_account", sourceId);
+        return;
+      }
+      this._checkSignatures(
+        inner,
+        sourceId,
+        AccountResponse.getThresholdLevel(operation),
+        index,
+      );
+      this._checkOperation(operation, sourceId, index);
+    });
+
+    return this.findings;
+  }
+
+  private _checkOperation(
+    operation: any,
+    sourceId: string,
+    index: number,
+  ): void {
+    const destination: AccountResponse | undefined = operation.destination
+      ? this.accounts[operation.destination]
+      : undefined;
+
+    switch (operation.type) {
+      case "createAccount":
+        if (destination) {
+          this._add(index, "op_already_exists", operation.destination);
+          return;
+        }
+        if (
+          new BigNumber(this.baseReserve).times(2).gt(operation.startingBalance)
+        ) {
+          this._add(index, "op_low_reserve", operation.destination);
+          return;
+        }
+        this._send(sourceId, Asset.native(), operation.startingBalance, index);
+        return;
+      case "payment":
+        this._send(sourceId, operation.asset, operation.amount, index);
+        this._receive(
+          operation.destination,
+          operation.asset,
+          operation.amount,
+          index,
+        );
+        return;
+      case "pathPaymentStrictReceive":
+        // the amount sent is only known once the path is crossed
+        this._send(sourceId, operation.sendAsset, undefined, index);
+        this._receive(
+          operation.destination,
+          operation.destAsset,
+          operation.destAmount,
+          index,
+        );
+        return;
+      case "pathPaymentStrictSend":
+        this._send(sourceId, operation.sendAsset, operation.sendAmount, index);
+        this._receive(
+          operation.destination,
+          operation.destAsset,
+          operation.destMin,
+          index,
+        );
+        return;
+      case "accountMerge":
+        if (!destination) {
+          this._add(index, "op_no_account", operation.destination);
+        }
+        return;
+      default:
+        return;
+    }
+  }
+
+  private _send(
+    id: string,
+    asset: Asset,
+    amount: string | undefined,
+    index: number,
+  ): void {
+    const account = this.accounts[id] as AccountResponse;
+    if (!asset.isNative() && asset.getIssuer() !== id) {
+      const trustline = account.getTrustline(asset);
+      if (!trustline) {
+        this._add(index, "op_src_no_trust", id, undefined, asset);
+        return;
+      }
+      if (!trustline.is_authorized) {
+        this._add(index, "op_src_not_authorized", id, undefined, asset);
+        return;
+      }
+    }
+    if (amount === undefined) {
+      return;
+    }
+    if (this._spendable(account, asset).lt(amount)) {
+      this._add(index, "op_underfunded", id, undefined, asset);
+    }
+    this._track(this.sent, id, asset, new BigNumber(amount));
+  }
+
+  private _receive(
+    id: string,
+    asset: Asset,
+    amount: string,
+    index: number,
+  ): void {
+    const account = this.accounts[id];
+    if (!account) {
+      this._add(index, "op_no_destination", id);
+      return;
+    }
+    if (asset.isNative() || asset.getIssuer() === id) {
+      return;
+    }
+    const trustline = account.getTrustline(asset);
+    if (!trustline) {
+      this._add(index, "op_no_trust", id, undefined, asset);
+      return;
+    }
+    if (!trustline.is_authorized) {
+      this._add(index, "op_not_authorized", id, undefined, asset);
+      return;
+    }
+    const room = new BigNumber(trustline.limit)
+      .minus(trustline.balance)
+      .minus(trustline.buying_liabilities)
+      .minus(_tracked(this.received, id, asset));
+    if (room.lt(amount)) {
+      this._add(index, "op_line_full", id, undefined, asset);
+    }
+    this._track(this.received, id, asset, new BigNumber(amount));
+  }
+
+  /**
+   * Balance left to send, after reserves, selling liabilities and what
+   * earlier operations sent. Unlimited for the issuer of the asset.
+   */
+  private _spendable(account: AccountResponse, asset: Asset): BigNumber {
+    if (!asset.isNative() && asset.getIssuer() === account.account_id) {
+      return new BigNumber(Infinity);
+    }
+    return new BigNumber(
+      account.getSpendableBalance(asset, this.baseReserve),
+    ).minus(_tracked(this.sent, account.account_id, asset));
+  }
+
+  private _checkSignatures(
+    transaction: Transaction | FeeBumpTransaction,
+    id: string,
+    level: AccountResponse.ThresholdLevel,
+    index: number | undefined,
+  ): void {
+    const account = this.accounts[id] as AccountResponse;
+    const needed = Math.max(account.getThreshold(level), 1);
+    const signers = account.getTransactionSigners(transaction);
+    if (account.getSignerWeight(signers) < needed) {
+      this._add(
+        index,
+        index === undefined ? "tx_bad_auth" : "op_bad_auth",
+        id,
+        `The signatures don't meet the ${level} threshold (${needed}) of ${id}.`,
+      );
+    }
+  }
+
+  private _track(
+    amounts: { [id: string]: { [asset: string]: BigNumber } },
+    id: string,
+    asset: Asset,
+    amount: BigNumber,
+  ): void {
+    const key = _assetKey(asset);
+    amounts[id] = amounts[id] || {};
+    amounts[id][key] = _tracked(amounts, id, asset).plus(amount);
+  }
+
+  private _add(
+    operationIndex: number | undefined,
+    code: string,
+    account: string,
+    message?: string,
+    asset?: Asset,
+  ): void {
+    const finding: Server.PreflightFinding = {
+      code,
+      account,
+      message: message || explainResultCode(code),
+    };
+    if (operationIndex !== undefined) {
+      finding.operationIndex = operationIndex;
+    }
+    if (asset) {
+      finding.asset = _assetKey(asset);
+    }
+    this.findings.push(finding);
+  }
+}
+
+function _unwrap(
+  transaction: Transaction | FeeBumpTransaction,
+): { inner: Transaction; feeSource: string } {
+  return transaction instanceof FeeBumpTransaction
+    ? { inner: transaction.innerTransaction, feeSource: transaction.feeSource }
+    : { inner: transaction, feeSource: transaction.source };
+}
+
+/**
+ * Loads an account with {@link Server#loadAccount}.
+ * @private
+ * @param {Server} server Server to load the account from.
+ * @param {string} id Account ID.
+ * @returns {Promise<AccountResponse|undefined>} The account, or `undefined`
+ * if it doesn't exist.
+ */
+export async function loadAccountIfExists(
+  server: Server,
+  id: string,
+): Promise<AccountResponse | undefined> {
+  try {
+    return await server.loadAccount(id);
+  } catch (e) {
+    if (e instanceof NotFoundError) {
+      return undefined;
+    }
+    throw e;
+  }
+}
+
+function _tracked(
+  amounts: { [id: string]: { [asset: string]: BigNumber } },
+  id: string,
+  asset: Asset,
+): BigNumber {
+  return (amounts[id] || {})[_assetKey(asset)] || new BigNumber(0);
+}
+
+function _assetKey(asset: Asset): string {
+  return asset.isNative()
+    ? "native"
+    : `${asset.getCode()}:${asset.getIssuer()}`;
+}
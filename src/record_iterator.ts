@@ -0,0 +1,138 @@
+import { CursorCheckpoint, CursorStoreOptions } from "./cursor_store";
+import { Millennium } from "./millennium_api";
+import { ServerApi } from "./server_api";
+
+export interface RecordIteratorOptions extends CursorStoreOptions {
+  /**
+   * Stop after this many records have been yielded, default: no limit.
+   */
+  maxRecords?: number;
+}
+
+/**
+ * Walks every record of a collection endpoint, following the `next` link of
+ * each {@link ServerApi.CollectionPage} until the server returns an empty
+ * page.
+ *
+ * Do not create this object directly, use {@link CallBuilder#iterate}.
+ *
+ * ```js
+ * const records = server.operations().forAccount(accountId).iterate();
+ * for await (const op of records) {
+ *   console.log(op.type);
+ * }
+ * // checkpoint, and later resume with `.cursor(records.pagingToken)`
+ * console.log(records.pagingToken);
+ * ```
+ *
+ * With a `cursorStore`, the iteration starts from the stored cursor, and the
+ * cursor of each processed record is stored: with `ack: "auto"` when the
+ * next record is read, with `ack: "manual"` on {@link RecordIterator#ack}.
+ * @class RecordIterator
+ * @param {function} firstPage Function that requests the first page, from
+ * the given cursor if any.
+ * @param {object} [options] Iterator options.
+ * @param {number} [options.maxRecords] Stop after this many records.
+ * @param {CursorCheckpoint} [checkpoint] Checkpoint of the cursor.
+ */
+export class RecordIterator<T extends Millennium.BaseResponse>
+  implements AsyncIterableIterator<T> {
+  /**
+   * `paging_token` of the last record yielded, `undefined` until the first
+   * record is read. Use it with {@link CallBuilder#cursor} to resume.
+   */
+  public pagingToken?: string;
+  /**
+   * Number of records yielded so far.
+   */
+  public count: number = 0;
+
+  private page?: ServerApi.CollectionPage<T>;
+  private index: number = 0;
+  private done: boolean = false;
+  private ackedToken?: string;
+
+  constructor(
+    private readonly firstPage: (
+      cursor?: string,
+    ) => Promise<ServerApi.CollectionPage<T>>,
+    private readonly options: RecordIteratorOptions = {},
+    private readonly checkpoint?: CursorCheckpoint,
+  ) {}
+
+  public [Symbol.asyncIterator](): AsyncIterableIterator<T> {
+    return this;
+  }
+
+  /**
+   * Reads the next record, requesting the next page when the current one is
+   * exhausted.
+   * @returns {Promise<IteratorResult>} The next record, or `done` once an
+   * empty page was returned or `maxRecords` was reached.
+   */
+  public async next(): Promise<IteratorResult<T>> {
+    if (this.options.ack !== "manual") {
+      await this.ack();
+    }
+    if (this.done || this._reachedMax()) {
+      return this.return();
+    }
+
+    if (!this.page) {
+      const cursor = this.checkpoint ? await this.checkpoint.load() : undefined;
+      this.page = await this.firstPage(cursor);
+      this.index = 0;
+      if (!this.page || !Array.isArray(this.page.records)) {
+        this.done = true;
+        throw new Error("iterate() can only be used on collection endpoints");
+      }
+    } else if (this.index >= this.page.records.length) {
+      this.page = await this.page.next();
+      this.index = 0;
+    }
+
+    if (this.page.records.length === 0) {
+      return this.return();
+    }
+
+    const record: any = this.page.records[this.index];
+    this.index += 1;
+    this.count += 1;
+    if (record.paging_token) {
+      this.pagingToken = record.paging_token;
+    }
+
+    return { done: false, value: record };
+  }
+
+  /**
+   * Marks the last record read as processed, storing its cursor in the
+   * `cursorStore`. Does nothing without a store.
+   * @returns {Promise<void>} Resolves once the cursor was stored.
+   */
+  public async ack(): Promise<void> {
+    const token = this.pagingToken;
+    if (!this.checkpoint || !token || token === this.ackedToken) {
+      return;
+    }
+    this.ackedToken = token;
+    await this.checkpoint.save(token);
+  }
+
+  /**
+   * Stops the iteration. Called automatically when leaving a `for await`
+   * loop early.
+   * @returns {Promise<IteratorResult>} A finished iterator result.
+   */
+  public async return(): Promise<IteratorResult<T>> {
+    this.done = true;
+    return { done: true, value: undefined };
+  }
+
+  private _reachedMax(): boolean {
+    return (
+      typeof this.options.maxRecords === "number" &&
+      this.count >= this.options.maxRecords
+    );
+  }
+}
@@ -0,0 +1,191 @@
+import { xdr } from "aiblocks-base-sdk";
+
+import { decodeOperationResults } from "./operation_results";
+
+/**
+ * Result codes in the format of the `extras.result_codes` field Millennium
+ * returns for failed submissions, e.g. `tx_failed` and `op_underfunded`.
+ */
+export interface ResultCodes {
+  transaction: string;
+  operations?: string[];
+}
+
+// XDR code names that Millennium doesn't derive mechanically.
+const CODE_OVERRIDES: { [xdrName: string]: string } = {
+  txNoAccount: "tx_no_source_account",
+  opNoAccount: "op_no_source_account",
+  createAccountAlreadyExist: "op_already_exists",
+  pathPaymentStrictReceiveOverSendmax: "op_over_source_max",
+  pathPaymentStrictSendUnderDestmin: "op_under_dest_min",
+  manageSellOfferNotFound: "op_offer_not_found",
+  manageBuyOfferNotFound: "op_offer_not_found",
+  allowTrustNoTrustLine: "op_no_trustline",
+  allowTrustTrustNotRequired: "op_not_required",
+  accountMergeSeqnumTooFar: "op_seq_num_too_far",
+  manageDataNameNotFound: "op_data_name_not_found",
+  manageDataInvalidName: "op_data_invalid_name",
+};
+
+const EXPLANATIONS: { [code: string]: string } = {
+  tx_success: "The transaction succeeded.",
+  tx_failed:
+    "One of the operations failed, see the operation codes. None of the operations were applied.",
+  tx_too_early: "The ledger close time was before the transaction's minTime.",
+  tx_too_late:
+    "The ledger close time was after the transaction's maxTime. Build and sign a new transaction.",
+  tx_missing_operation: "The transaction has no operations.",
+  tx_bad_seq:
+    "The sequence number doesn't match the source account's next sequence number. Reload the account and rebuild the transaction.",
+  tx_bad_auth:
+    "Not enough valid signatures, or the transaction was signed for a different network.",
+  tx_insufficient_balance:
+    "The fee would bring the source account below its reserve.",
+  tx_no_source_account: "The source account doesn't exist.",
+  tx_insufficient_fee:
+    "The fee is lower than the network's minimum for this number of operations. Retry with a higher fee.",
+  tx_bad_auth_extra: "The transaction has unused signatures.",
+  tx_internal_error: "The network failed with an unknown error.",
+  tx_not_supported: "The transaction type isn't supported by the network.",
+  tx_fee_bump_inner_success: "The fee bump's inner transaction succeeded.",
+  tx_fee_bump_inner_failed:
+    "The fee bump's inner transaction failed, see the operation codes.",
+  tx_bad_sponsorship:
+    "A sponsorship was left open: a beginSponsoringFutureReserves operation has no matching endSponsoringFutureReserves.",
+
+  op_success: "The operation succeeded.",
+  op_bad_auth:
+    "Not enough valid signatures for the operation's source account.",
+  op_no_source_account: "The operation's source account doesn't exist.",
+  op_not_supported: "The operation isn't supported by the network.",
+  op_too_many_subentries:
+    "The account would exceed the maximum number of subentries (trustlines, offers, signers and data entries).",
+  op_exceeded_work_limit:
+    "The operation crossed too many offers. Split it into smaller operations.",
+  op_too_many_sponsoring:
+    "The account would sponsor too many entries or accounts.",
+  op_malformed: "The operation's parameters are invalid.",
+  op_underfunded:
+    "The source account doesn't have enough available balance, after reserves and selling liabilities.",
+  op_src_no_trust: "The source account has no trustline for the asset sent.",
+  op_src_not_authorized:
+    "The source account isn't authorized by the issuer to send the asset.",
+  op_no_destination: "The destination account doesn't exist.",
+  op_no_trust: "The account has no trustline for the asset.",
+  op_not_authorized:
+    "The account isn't authorized by the issuer to hold the asset.",
+  op_line_full:
+    "The destination's trustline limit or balance would be exceeded.",
+  op_no_issuer: "The asset's issuer doesn't exist.",
+  op_too_few_offers:
+    "There are not enough offers in the orderbook to complete the path.",
+  op_cross_self: "The offer would cross an offer of the same account.",
+  op_over_source_max:
+    "The path payment would send more than the given sendMax.",
+  op_under_dest_min:
+    "The path payment would deliver less than the given destMin.",
+  op_sell_no_trust: "The account has no trustline for the asset it sells.",
+  op_buy_no_trust: "The account has no trustline for the asset it buys.",
+  op_sell_not_authorized: "The account isn't authorized to sell the asset.",
+  op_buy_not_authorized: "The account isn't authorized to buy the asset.",
+  op_sell_no_issuer: "The issuer of the asset sold doesn't exist.",
+  op_buy_no_issuer: "The issuer of the asset bought doesn't exist.",
+  op_offer_not_found: "The offer to update or delete doesn't exist.",
+  op_low_reserve:
+    "The account doesn't have enough native balance for the reserve of the new entry or account.",
+  op_already_exists: "The account to create already exists.",
+  op_too_many_signers: "The account would exceed the maximum of 20 signers.",
+  op_bad_flags: "The flags to set and clear are inconsistent.",
+  op_invalid_inflation: "The inflation destination doesn't exist.",
+  op_cant_change: "The flag can't be changed because the account is immutable.",
+  op_unknown_flag: "The flag is unknown.",
+  op_threshold_out_of_range: "A threshold or weight is larger than 255.",
+  op_bad_signer: "The signer is the account's own master key.",
+  op_invalid_home_domain: "The home domain is invalid.",
+  op_invalid_limit:
+    "The trustline limit is lower than the current balance and liabilities.",
+  op_self_not_allowed: "The account can't trust or authorize itself.",
+  op_no_trustline: "The trustor has no trustline for the asset.",
+  op_not_required:
+    "The issuer doesn't require authorization (AUTH_REQUIRED_FLAG isn't set).",
+  op_cant_revoke:
+    "Authorization can't be revoked because AUTH_REVOCABLE_FLAG isn't set.",
+  op_no_account: "The destination account doesn't exist.",
+  op_immutable_set: "The account has AUTH_IMMUTABLE_FLAG set.",
+  op_has_sub_entries:
+    "The account still has trustlines, offers, signers or data entries.",
+  op_seq_num_too_far: "The account's sequence number is too high to be merged.",
+  op_dest_full: "The destination can't receive the merged balance.",
+  op_is_sponsor: "The account still sponsors other entries or accounts.",
+  op_not_time: "Inflation can't run yet.",
+  op_not_supported_yet: "The network doesn't support this operation yet.",
+  op_data_name_not_found: "The data entry to delete doesn't exist.",
+  op_data_invalid_name: "The data entry name is invalid.",
+  op_bad_seq: "The sequence number to bump to is invalid.",
+  op_does_not_exist: "The claimable balance doesn't exist.",
+  op_cannot_claim:
+    "The account isn't a claimant of the balance, or its predicate isn't satisfied.",
+  op_already_sponsored:
+    "The account's future reserves are already being sponsored.",
+  op_recursive:
+    "The sponsored account is itself sponsoring the sponsor's future reserves.",
+  op_not_sponsored: "No sponsorship of future reserves is open.",
+  op_not_sponsor: "The account doesn't sponsor the entry.",
+  op_only_transferable: "The sponsorship can only be transferred, not removed.",
+};
+
+function _toCode(prefix: string, xdrName: string, strip: string): string {
+  if (CODE_OVERRIDES[xdrName]) {
+    return CODE_OVERRIDES[xdrName];
+  }
+  const snakeCase = xdrName
+    .slice(strip.length)
+    .replace(/([A-Z])/g, "_$1")
+    .toLowerCase();
+  return `${prefix}${snakeCase}`;
+}
+
+/**
+ * Derives Millennium-style result codes from a base64 `TransactionResult`
+ * XDR. Useful for transaction records, which only carry `result_xdr`.
+ * @param {string} resultXdr Base64-encoded `TransactionResult`.
+ * @returns {ResultCodes} The transaction code and, when the operations were
+ * evaluated, one code per operation.
+ */
+export function resultCodesFromXDR(resultXdr: string): ResultCodes {
+  // TODO: fix aiblocks-base-sdk types.
+  const result: any = (xdr.TransactionResult.fromXDR as any)(
+    resultXdr,
+    "base64",
+  );
+  const codes: ResultCodes = {
+    transaction: _toCode("tx", result.result().switch().name, "tx"),
+  };
+
+  const operationResults = decodeOperationResults(resultXdr);
+  if (operationResults.length) {
+    codes.operations = operationResults.map((operation) => {
+      if (operation.code !== "opInner") {
+        return _toCode("op", operation.code, "op");
+      }
+      // createPassiveSellOffer reuses the manageSellOffer result codes
+      const strip =
+        operation.type === "createPassiveSellOffer"
+          ? "manageSellOffer"
+          : (operation.type as string);
+      return _toCode("op", operation.resultCode as string, strip);
+    });
+  }
+
+  return codes;
+}
+
+/**
+ * Returns an English explanation of a Millennium result code, e.g.
+ * `op_underfunded` or `tx_bad_seq`.
+ * @param {string} code Transaction or operation result code.
+ * @returns {string} Explanation of the code.
+ */
+export function explainResultCode(code: string): string {
+  return EXPLANATIONS[code] || `Unknown result code "${code}".`;
+}
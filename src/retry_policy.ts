@@ -0,0 +1,153 @@
+import axios, { AxiosError } from "axios";
+
+/**
+ * How failed Millennium requests are retried. Set it globally with
+ * {@link Config.setRetryPolicy} or per server with the `retry` option of
+ * {@link Server}.
+ */
+export interface RetryPolicy {
+  /**
+   * Number of times a request is retried after the first attempt, default:
+   * `0` (retries disabled).
+   */
+  maxRetries: number;
+  /**
+   * Delay before the first retry in ms, default: `500`.
+   */
+  initialDelay: number;
+  /**
+   * Upper bound of any single delay in ms, default: `30000`.
+   */
+  maxDelay: number;
+  /**
+   * Factor the delay grows by after each retry, default: `2`.
+   */
+  backoffFactor: number;
+  /**
+   * Randomize each delay between 0 and the computed backoff ("full jitter"),
+   * default: `true`.
+   */
+  jitter: boolean;
+  /**
+   * HTTP statuses that are retried, default: `[429, 502, 503, 504]`.
+   * Requests that fail without a response (network errors, timeouts) are
+   * always retried.
+   */
+  retryOnStatus: number[];
+}
+
+export const DEFAULT_RETRY_POLICY: RetryPolicy = {
+  maxRetries: 0,
+  initialDelay: 500,
+  maxDelay: 30 * 1000,
+  backoffFactor: 2,
+  jitter: true,
+  retryOnStatus: [429, 502, 503, 504],
+};
+
+/**
+ * Returns true if the given axios error may succeed when sent again.
+ * @private
+ * @param {AxiosError} error Error thrown by axios.
+ * @param {RetryPolicy} policy Retry policy.
+ * @returns {boolean} Whether the request should be retried.
+ */
+export function isRetryable(error: AxiosError, policy: RetryPolicy): boolean {
+  if (!error || axios.isCancel(error)) {
+    return false;
+  }
+  if (!error.response) {
+    // no response at all: the connection failed or timed out
+    return error.isAxiosError === true;
+  }
+  return policy.retryOnStatus.indexOf(error.response.status) >= 0;
+}
+
+/**
+ * Computes how long to wait before the given retry. `Retry-After` wins over
+ * the exhausted `X-RateLimit-Reset` window, which wins over the exponential
+ * backoff; the result never exceeds `policy.maxDelay`.
+ * @private
+ * @param {AxiosError} error Error of the failed attempt.
+ * @param {number} retry Retry number, starting at 1.
+ * @param {RetryPolicy} policy Retry policy.
+ * @returns {number} Delay in ms.
+ */
+export function getRetryDelay(
+  error: AxiosError,
+  retry: number,
+  policy: RetryPolicy,
+): number {
+  const headers = (error && error.response && error.response.headers) || {};
+
+  const retryAfter = headers["retry-after"];
+  if (retryAfter !== undefined) {
+    const seconds = Number(retryAfter);
+    const delay = isNaN(seconds)
+      ? Date.parse(retryAfter) - Date.now()
+      : seconds * 1000;
+    if (!isNaN(delay)) {
+      return Math.min(Math.max(delay, 0), policy.maxDelay);
+    }
+  }
+
+  // Millennium reports the seconds left in the current rate limit window.
+  if (
+    headers["x-ratelimit-remaining"] !== undefined &&
+    Number(headers["x-ratelimit-remaining"]) <= 0 &&
+    !isNaN(Number(headers["x-ratelimit-reset"]))
+  ) {
+    return Math.min(
+      Math.max(Number(headers["x-ratelimit-reset"]) * 1000, 0),
+      policy.maxDelay,
+    );
+  }
+
+  const backoff = Math.min(
+    policy.initialDelay * Math.pow(policy.backoffFactor, retry - 1),
+    policy.maxDelay,
+  );
+  return policy.jitter ? Math.floor(Math.random() * backoff) : backoff;
+}
+
+/**
+ * Runs `request` and retries it according to `policy` while it fails with a
+ * retryable error.
+ * @private
+ * @param {function} request Function that sends the request.
+ * @param {RetryPolicy} policy Retry policy.
+ * @param {function} [beforeRetry] Called before each retry. If it resolves
+ * to something other than `undefined`, that value is returned instead of
+ * sending the request again.
+ * @returns {Promise} The response of the first attempt that succeeded.
+ */
+export async function withRetry<T>(
+  request: () => Promise<T>,
+  policy: RetryPolicy,
+  beforeRetry?: () => Promise<T | undefined>,
+): Promise<T> {
+  let retry = 0;
+
+  for (;;) {
+    try {
+      return await request();
+    } catch (error) {
+      if (retry >= policy.maxRetries || !isRetryable(error, policy)) {
+        throw error;
+      }
+      retry += 1;
+      await sleep(getRetryDelay(error, retry, policy));
+
+      if (beforeRetry) {
+        const result = await beforeRetry();
+        if (result !== undefined) {
+          return result;
+        }
+      }
+    }
+  }
+}
+
+function sleep(ms: number): Promise<void> {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
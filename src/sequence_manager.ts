@@ -0,0 +1,333 @@
+/* tslint:disable:no-namespace */
+import { Account, FeeBumpTransaction, Transaction } from "aiblocks-base-sdk";
+import BigNumber from "bignumber.js";
+
+import { TransactionFailedError } from "./errors";
+import { Millennium } from "./millennium_api";
+
+interface AccountSequences {
+  // last sequence number known to be in the ledger
+  chain: BigNumber;
+  // next sequence number that was never handed out
+  next: BigNumber;
+  // released numbers below `next`, handed out again first
+  free: string[];
+  // numbers handed out and neither released nor consumed yet
+  leased: { [sequence: string]: true };
+  // numbers of transactions whose submission failed without an outcome, to
+  // the `maxTime` (unix seconds, 0: unbounded) after which they can't make
+  // it into a ledger anymore
+  pending: { [sequence: string]: number };
+}
+
+// Transaction codes after which the sequence number was consumed.
+const CONSUMED_CODES = ["tx_failed", "tx_fee_bump_inner_failed"];
+
+/**
+ * SequenceManager hands out sequence numbers of a source account to several
+ * transaction builders in the same process, so they can submit concurrently
+ * without colliding with `tx_bad_seq`.
+ *
+ * Each {@link SequenceManager#lease} returns the next free sequence number
+ * together with an {@link Account} to build the transaction with. Once the
+ * transaction was submitted, {@link SequenceManager#consume} the lease; if it
+ * won't be submitted, {@link SequenceManager#release} it so the number is
+ * handed out again instead of leaving a gap.
+ *
+ * {@link SequenceManager#submitTransaction} does all of this, and on
+ * `tx_bad_seq` reloads the account and retries with a new number:
+ *
+ * ```js
+ * const sequences = new AiBlocksSdk.SequenceManager(server);
+ * await Promise.all(payments.map((payment) =>
+ *   sequences.submitTransaction(sourceKeypair.publicKey(), (account) => {
+ *     const tx = new AiBlocksSdk.TransactionBuilder(account, txOptions)
+ *       .addOperation(AiBlocksSdk.Operation.payment(payment))
+ *       .setTimeout(30)
+ *       .build();
+ *     tx.sign(sourceKeypair);
+ *     return tx;
+ *   }),
+ * ));
+ * ```
+ * @constructor
+ * @param {Server} server Server used to load accounts and submit.
+ * @param {object} [opts] Options object
+ * @param {number} [opts.maxAttempts] How many times
+ * {@link SequenceManager#submitTransaction} builds and submits a transaction
+ * that fails with `tx_bad_seq`, default: `3`.
+ */
+export class SequenceManager {
+  private readonly accounts: {
+    [accountId: string]: Promise<AccountSequences>;
+  } = {};
+  private readonly reconciling: {
+    [accountId: string]: Promise<void>;
+  } = {};
+
+  constructor(
+    private readonly server: SequenceManager.Server,
+    private readonly opts: SequenceManager.Options = {},
+  ) {}
+
+  /**
+   * Leases the next free sequence number of an account, loading the account
+   * with {@link Server#loadAccount} the first time.
+   * @param {string} accountId Source account.
+   * @returns {Promise<SequenceManager.Lease>} The leased number.
+   */
+  public async lease(accountId: string): Promise<SequenceManager.Lease> {
+    const sequences = await this._sequences(accountId);
+
+    let sequence: string;
+    if (sequences.free.length) {
+      sequence = sequences.free.shift() as string;
+    } else {
+      sequence = sequences.next.toString();
+      sequences.next = sequences.next.add(1);
+    }
+    sequences.leased[sequence] = true;
+
+    return {
+      accountId,
+      sequence,
+      // TransactionBuilder increments the sequence number of its source
+      account: new Account(
+        accountId,
+        new BigNumber(sequence).sub(1).toString(),
+      ),
+    };
+  }
+
+  /**
+   * Returns a leased number that won't be used (the transaction was never
+   * submitted, or was rejected without consuming it), so that it is handed
+   * out again.
+   * @param {SequenceManager.Lease} lease The lease to give back.
+   * @returns {Promise<void>}
+   */
+  public async release(lease: SequenceManager.Lease): Promise<void> {
+    const sequences = await this._sequences(lease.accountId);
+    if (!sequences.leased[lease.sequence]) {
+      return;
+    }
+    delete sequences.leased[lease.sequence];
+
+    if (new BigNumber(lease.sequence).lte(sequences.chain)) {
+      return;
+    }
+    sequences.free.push(lease.sequence);
+    sequences.free.sort((a, b) => new BigNumber(a).cmp(b));
+  }
+
+  /**
+   * Marks a leased number as used by a submitted transaction.
+   * @param {SequenceManager.Lease} lease The lease that was used.
+   * @returns {Promise<void>}
+   */
+  public async consume(lease: SequenceManager.Lease): Promise<void> {
+    const sequences = await this._sequences(lease.accountId);
+    delete sequences.leased[lease.sequence];
+  }
+
+  /**
+   * Reloads an account and reconciles the numbers handed out with its
+   * sequence number in the ledger: numbers the ledger moved past are dropped,
+   * and numbers above it that are neither leased nor free (their transaction
+   * never made it into a ledger) are handed out again. Numbers of
+   * transactions whose submission timed out are only handed out again once
+   * their time bounds have passed. Concurrent calls for the same account
+   * share one request.
+   * @param {string} accountId Source account.
+   * @returns {Promise<void>}
+   */
+  public reconcile(accountId: string): Promise<void> {
+    if (!this.reconciling[accountId]) {
+      this.reconciling[accountId] = this._reconcile(accountId).then(
+        () => {
+          delete this.reconciling[accountId];
+        },
+        (e) => {
+          delete this.reconciling[accountId];
+          throw e;
+        },
+      );
+    }
+    return this.reconciling[accountId];
+  }
+
+  /**
+   * Leases a sequence number, builds the transaction with `build` and
+   * submits it. If the submission fails with `tx_bad_seq`, the account is
+   * reconciled and the transaction is built again with a new number, up to
+   * `maxAttempts` times.
+   * @param {string} accountId Source account.
+   * @param {function} build Called with the {@link Account} to use as the
+   * transaction source, returns the signed transaction (or a promise of it).
+   * @param {object} [opts] Options passed to {@link Server#submitTransaction}.
+   * @returns {Promise} The response of {@link Server#submitTransaction}.
+   */
+  public async submitTransaction(
+    accountId: string,
+    build: (
+      account: Account,
+    ) =>
+      | Transaction
+      | FeeBumpTransaction
+      | Promise<Transaction | FeeBumpTransaction>,
+    opts: SequenceManager.SubmitTransactionOptions = {},
+  ): Promise<Millennium.SubmitTransactionResponse> {
+    const maxAttempts = this.opts.maxAttempts || 3;
+
+    for (let attempt = 1; ; attempt++) {
+      const lease = await this.lease(accountId);
+
+      let transaction;
+      try {
+        transaction = await build(lease.account);
+      } catch (e) {
+        await this.release(lease);
+        throw e;
+      }
+
+      try {
+        const response = await this.server.submitTransaction(transaction, opts);
+        await this.consume(lease);
+        return response;
+      } catch (e) {
+        if (!(e instanceof TransactionFailedError)) {
+          // the transaction may still make it into a ledger; the number is
+          // handed out again once its time bounds have passed
+          await this._markPending(lease, transaction);
+          throw e;
+        }
+        if (CONSUMED_CODES.indexOf(e.transactionCode) >= 0) {
+          await this.consume(lease);
+          throw e;
+        }
+
+        await this.release(lease);
+        if (e.transactionCode !== "tx_bad_seq" || attempt >= maxAttempts) {
+          throw e;
+        }
+        await this.reconcile(accountId);
+      }
+    }
+  }
+
+  private _sequences(accountId: string): Promise<AccountSequences> {
+    if (!this.accounts[accountId]) {
+      this.accounts[accountId] = this.server.loadAccount(accountId).then(
+        (account) => {
+          const chain = new BigNumber(account.sequenceNumber());
+          return {
+            chain,
+            next: chain.add(1),
+            free: [],
+            leased: {},
+            pending: {},
+          };
+        },
+        (e) => {
+          delete this.accounts[accountId];
+          throw e;
+        },
+      );
+    }
+    return this.accounts[accountId];
+  }
+
+  private async _markPending(
+    lease: SequenceManager.Lease,
+    transaction: Transaction | FeeBumpTransaction,
+  ): Promise<void> {
+    const sequences = await this._sequences(lease.accountId);
+    delete sequences.leased[lease.sequence];
+    const inner =
+      transaction instanceof FeeBumpTransaction
+        ? transaction.innerTransaction
+        : transaction;
+    sequences.pending[lease.sequence] = inner.timeBounds
+      ? Number(inner.timeBounds.maxTime)
+      : 0;
+  }
+
+  private async _reconcile(accountId: string): Promise<void> {
+    const account = await this.server.loadAccount(accountId);
+    const sequences = await this._sequences(accountId);
+    const chain = new BigNumber(account.sequenceNumber());
+    const now = Math.floor(Date.now() / 1000);
+
+    const pending: { [sequence: string]: number } = {};
+    Object.keys(sequences.pending).forEach((sequence) => {
+      const maxTime = sequences.pending[sequence];
+      if (new BigNumber(sequence).gt(chain) && (!maxTime || maxTime >= now)) {
+        pending[sequence] = maxTime;
+      }
+    });
+
+    const leased = Object.keys(sequences.leased)
+      .map((sequence) => new BigNumber(sequence))
+      .filter((sequence) => sequence.gt(chain));
+    sequences.leased = {};
+    leased.forEach((sequence) => {
+      sequences.leased[sequence.toString()] = true;
+    });
+
+    let next = chain.add(1);
+    leased
+      .concat(Object.keys(pending).map((sequence) => new BigNumber(sequence)))
+      .forEach((sequence) => {
+        if (sequence.gte(next)) {
+          next = sequence.add(1);
+        }
+      });
+
+    const free = [];
+    for (let i = chain.add(1); i.lt(next); i = i.add(1)) {
+      if (!sequences.leased[i.toString()] && !(i.toString() in pending)) {
+        free.push(i.toString());
+      }
+    }
+
+    sequences.chain = chain;
+    sequences.next = next;
+    sequences.free = free;
+    sequences.pending = pending;
+  }
+}
+
+export namespace SequenceManager {
+  export interface Options {
+    maxAttempts?: number;
+  }
+
+  /**
+   * The methods of {@link Server} a SequenceManager uses. It is typed
+   * against this rather than `Server`, which uses SequenceManager itself.
+   */
+  export interface Server {
+    loadAccount(accountId: string): Promise<{ sequenceNumber(): string }>;
+    submitTransaction(
+      transaction: Transaction | FeeBumpTransaction,
+      opts?: SubmitTransactionOptions,
+    ): Promise<Millennium.SubmitTransactionResponse>;
+  }
+
+  export interface SubmitTransactionOptions {
+    skipMemoRequiredCheck?: boolean;
+  }
+
+  export interface Lease {
+    accountId: string;
+    /**
+     * The leased sequence number, used by the transaction built from
+     * `account`.
+     */
+    sequence: string;
+    /**
+     * Source account to build the transaction with.
+     */
+    account: Account;
+  }
+}
@@ -1,25 +1,30 @@
 /* tslint:disable:variable-name no-namespace */
 import {
   Asset,
+  BASE_FEE,
   FeeBumpTransaction,
-  StrKey,
+  Keypair,
+  Memo,
+  Operation,
   Transaction,
-  xdr,
+  TransactionBuilder,
 } from "aiblocks-base-sdk";
+import { AxiosInstance } from "axios";
 import BigNumber from "bignumber.js";
-import isEmpty from "lodash/isEmpty";
-import merge from "lodash/merge";
 import URI from "urijs";
 
-import { CallBuilder } from "./call_builder";
+import { CallBuilder, CallBuilderOptions } from "./call_builder";
 import { Config } from "./config";
 import {
   AccountRequiresMemoError,
   BadResponseError,
   NotFoundError,
+  TransactionExpiredError,
+  TransactionFailedError,
 } from "./errors";
 
 import { AccountCallBuilder } from "./account_call_builder";
+import { buildAccountCloseTransactions } from "./account_close";
 import { AccountResponse } from "./account_response";
 import { AssetsCallBuilder } from "./assets_call_builder";
 import { ClaimableBalanceCallBuilder } from "./claimable_balances_call_builder";
@@ -29,29 +34,110 @@ import { LedgerCallBuilder } from "./ledger_call_builder";
 import { Millennium } from "./millennium_api";
 import { OfferCallBuilder } from "./offer_call_builder";
 import { OperationCallBuilder } from "./operation_call_builder";
+import { decodeOperationResults } from "./operation_results";
 import { OrderbookCallBuilder } from "./orderbook_call_builder";
 import { PathCallBuilder } from "./path_call_builder";
 import { PaymentCallBuilder } from "./payment_call_builder";
+import { preflightTransaction } from "./preflight";
+import { SequenceManager } from "./sequence_manager";
+import { ServerApi } from "./server_api";
 import { StrictReceivePathCallBuilder } from "./strict_receive_path_call_builder";
 import { StrictSendPathCallBuilder } from "./strict_send_path_call_builder";
 import { TradeAggregationCallBuilder } from "./trade_aggregation_call_builder";
 import { TradesCallBuilder } from "./trades_call_builder";
 import { TransactionCallBuilder } from "./transaction_call_builder";
 
-import MillenniumAxiosClient, {
+import {
+  createHttpClient,
   getCurrentServerTime,
+  ServerTime,
 } from "./millennium_axios_client";
+import { RetryPolicy, withRetry } from "./retry_policy";
 
 export const SUBMIT_TRANSACTION_TIMEOUT = 60 * 1000;
 
-const SECTORS_IN_DELO = 10000000;
-
 // ACCOUNT_REQUIRES_MEMO is the base64 encoding of "1".
 // SEP 29 uses this value to define transaction memo requirements for incoming payments.
 const ACCOUNT_REQUIRES_MEMO = "MQ==";
 
-function _getAmountInDelos(amt: BigNumber) {
-  return new BigNumber(amt).div(SECTORS_IN_DELO).toString();
+// Payments with equal keys can share a transaction.
+function _memoKey(memo?: Memo): string {
+  if (!memo || memo.type === "none") {
+    return "";
+  }
+  const value = Buffer.isBuffer(memo.value)
+    ? memo.value.toString("hex")
+    : String(memo.value);
+  return `${memo.type}:${value}`;
+}
+
+function _sleep(ms: number): Promise<void> {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+// A submission that ended like this may or may not have reached a ledger.
+function _isSubmitTimeout(error: any): boolean {
+  if (!error) {
+    return false;
+  }
+  if (error.code === "ECONNABORTED") {
+    return true;
+  }
+  if (error.response && error.response.status === 504) {
+    return true;
+  }
+  return error.isAxiosError === true && !error.response;
+}
+
+// The submission failed without telling whether the transaction was
+// applied: it timed out, or Millennium failed with a 5xx.
+function _isUnknownOutcome(error: any): boolean {
+  return (
+    _isSubmitTimeout(error) ||
+    !!(error && error.response && error.response.status >= 500)
+  );
+}
+
+// Millennium rejected the transaction with `extras.result_codes`.
+function _hasResultCodes(error: any): boolean {
+  return !!(
+    error &&
+    error.response &&
+    error.response.data &&
+    error.response.data.extras &&
+    error.response.data.extras.result_codes
+  );
+}
+
+/**
+ * Turns a transaction submission response into the value resolved by
+ * {@link Server#submitTransaction}, adding the decoded `operationResults`
+ * and, when the transaction contains `manageOffer` operations,
+ * `offerResults`.
+ * @private
+ * @param {object} response Response whose `data` is Millennium's response.
+ * @returns {object} The response data with the decoded results.
+ */
+function _parseSubmitTransactionResponse(response: {
+  data: any;
+}): Millennium.SubmitTransactionResponse {
+  if (!response.data.result_xdr) {
+    return response.data;
+  }
+
+  const operationResults = decodeOperationResults(response.data.result_xdr);
+
+  const offerResults = operationResults
+    .filter(
+      (result) =>
+        result.type === "manageBuyOffer" || result.type === "manageSellOffer",
+    )
+    .map((result) => result.offer);
+
+  return Object.assign({}, response.data, {
+    operationResults,
+    offerResults: offerResults.length ? offerResults : undefined,
+  });
 }
 
 /**
@@ -63,6 +149,8 @@ function _getAmountInDelos(amt: BigNumber) {
  * @param {boolean} [opts.allowHttp] - Allow connecting to http servers, default: `false`. This must be set to false in production deployments! You can also use {@link Config} class to set this globally.
  * @param {string} [opts.appName] - Allow set custom header `X-App-Name`, default: `undefined`.
  * @param {string} [opts.appVersion] - Allow set custom header `X-App-Version`, default: `undefined`.
+ * @param {number} [opts.timeout] - Request timeout in ms for this server, default: the global timeout of {@link Config}, read when the server is created. Transaction submissions always use {@link SUBMIT_TRANSACTION_TIMEOUT}.
+ * @param {RetryPolicy} [opts.retry] - Retry policy for requests sent to this server (e.g. `{ maxRetries: 3 }`), merged over the global one. You can also use {@link Config} class to set this globally.
  */
 export class Server {
   /**
@@ -72,6 +160,16 @@ export class Server {
    */
   public readonly serverURL: URI;
 
+  /**
+   * HTTP client owned by this server. Every call builder created from this
+   * server sends its requests through it, so headers, timeouts and
+   * interceptors added here don't affect other servers.
+   */
+  public readonly httpClient: AxiosInstance;
+
+  private readonly serverTimeMap: Record<string, ServerTime> = {};
+  private readonly callBuilderOptions: CallBuilderOptions;
+
   constructor(serverURL: string, opts: Server.Options = {}) {
     this.serverURL = URI(serverURL);
 
@@ -80,7 +178,7 @@ export class Server {
         ? Config.isAllowHttp()
         : opts.allowHttp;
 
-    const customHeaders: any = {};
+    const customHeaders: Record<string, string> = {};
 
     if (opts.appName) {
       customHeaders["X-App-Name"] = opts.appName;
@@ -88,14 +186,19 @@ export class Server {
     if (opts.appVersion) {
       customHeaders["X-App-Version"] = opts.appVersion;
     }
-    if (!isEmpty(customHeaders)) {
-      MillenniumAxiosClient.interceptors.request.use((config) => {
-        // merge the custom headers with an existing headers
-        config.headers = merge(customHeaders, config.headers);
 
-        return config;
-      });
-    }
+    this.httpClient = createHttpClient({
+      headers: customHeaders,
+      timeout:
+        typeof opts.timeout === "undefined"
+          ? Config.getTimeout()
+          : opts.timeout,
+      serverTimeMap: this.serverTimeMap,
+    });
+    this.callBuilderOptions = {
+      httpClient: this.httpClient,
+      retry: opts.retry,
+    };
 
     if (this.serverURL.protocol() !== "https" && !allowHttp) {
       throw new Error("Cannot connect to insecure millennium server");
@@ -136,8 +239,11 @@ export class Server {
     seconds: number,
     _isRetry: boolean = false,
   ): Promise<Server.Timebounds> {
-    // MillenniumAxiosClient instead of this.ledgers so we can get at them headers
-    const currentTime = getCurrentServerTime(this.serverURL.hostname());
+    // httpClient instead of this.ledgers so we can get at them headers
+    const currentTime = getCurrentServerTime(
+      this.serverURL.hostname(),
+      this.serverTimeMap,
+    );
 
     if (currentTime) {
       return {
@@ -156,7 +262,7 @@ export class Server {
 
     // otherwise, retry (by calling the root endpoint)
     // toString automatically adds the trailing slash
-    await MillenniumAxiosClient.get(URI(this.serverURL as any).toString());
+    await this.httpClient.get(URI(this.serverURL as any).toString());
     return await this.fetchTimebounds(seconds, true);
   }
 
@@ -172,6 +278,22 @@ export class Server {
     return parseInt(response.last_ledger_base_fee, 10) || 100;
   }
 
+  /**
+   * Fetch the base reserve from the latest ledger.
+   * @returns {Promise<string>} Promise that resolves to the base reserve,
+   * as an amount of the native asset, e.g. `"0.5000000"`.
+   */
+  public async fetchBaseReserve(): Promise<string> {
+    const page = await this.ledgers()
+      .order("desc")
+      .limit(1)
+      .call();
+
+    return new BigNumber(page.records[0].base_reserve_in_sectors)
+      .div(1e7)
+      .toFixed(7);
+  }
+
   /**
    * Fetch the fee stats endpoint.
    * @see [Fee Stats](https://www.aiblocks.io/developers/millennium/reference/endpoints/fee-stats.html)
@@ -180,6 +302,7 @@ export class Server {
   public async feeStats(): Promise<Millennium.FeeStatsResponse> {
     const cb = new CallBuilder<Millennium.FeeStatsResponse>(
       URI(this.serverURL as any),
+      this.callBuilderOptions,
     );
     cb.filter.push(["fee_stats"]);
     return cb.call();
@@ -279,6 +402,25 @@ export class Server {
    * * If `wasPartiallyFilled` is true, you can tell the user that
    *   `amountBought` or `amountSold` have already been transferred.
    *
+   * The response also carries `operationResults`, one entry per operation
+   * with its result code and what it did, for example the amounts sent and
+   * received by a path payment, the ID of a created claimable balance or the
+   * balance moved by an account merge. See
+   * {@link OperationResults.OperationResult} and
+   * {@link decodeOperationResults}, which decodes the `result_xdr` of any
+   * transaction record the same way.
+   *
+   * If a retry policy is configured (see {@link Config.setRetryPolicy} and
+   * the `retry` option of {@link Server}), submissions that fail with a
+   * retryable status or time out are sent again. Before each resend the
+   * transaction hash is looked up, so a transaction that already made it into
+   * a ledger is not submitted twice.
+   *
+   * If Millennium rejects the transaction with result codes (`tx_bad_seq`,
+   * `op_underfunded`, ...), the promise rejects with a
+   * {@link TransactionFailedError} holding the codes, their explanations and
+   * the decoded result and envelope.
+   *
    * @see [Post
    * Transaction](https://www.aiblocks.io/developers/millennium/reference/endpoints/transactions-create.html)
    * @param {Transaction|FeeBumpTransaction} transaction - The transaction to submit.
@@ -304,167 +446,37 @@ export class Server {
         .toXDR()
         .toString("base64"),
     );
-
-    return MillenniumAxiosClient.post(
-      URI(this.serverURL as any)
-        .segment("transactions")
-        .toString(),
-      `tx=${tx}`,
-      { timeout: SUBMIT_TRANSACTION_TIMEOUT },
+    const hash = transaction.hash().toString("hex");
+
+    return withRetry(
+      () =>
+        this.httpClient.post(
+          URI(this.serverURL as any)
+            .segment("transactions")
+            .toString(),
+          `tx=${tx}`,
+          { timeout: SUBMIT_TRANSACTION_TIMEOUT },
+        ),
+      this._getRetryPolicy(),
+      // resubmitting is safe, so a failed lookup just means another attempt
+      () =>
+        this._findSubmittedTransaction(hash).catch((e) => {
+          if (e instanceof TransactionFailedError) {
+            throw e;
+          }
+          return undefined;
+        }),
     )
-      .then((response) => {
-        if (!response.data.result_xdr) {
-          return response.data;
-        }
-
-        // TODO: fix aiblocks-base-sdk types.
-        const responseXDR: xdr.TransactionResult = (xdr.TransactionResult
-          .fromXDR as any)(response.data.result_xdr, "base64");
-
-        // TODO: fix aiblocks-base-sdk types.
-        const results = (responseXDR as any).result().value();
-
-        let offerResults;
-        let hasManageOffer;
-
-        if (results.length) {
-          offerResults = results
-            // TODO: fix aiblocks-base-sdk types.
-            .map((result: any, i: number) => {
-              if (
-                result.value().switch().name !== "manageBuyOffer" &&
-                result.value().switch().name !== "manageSellOffer"
-              ) {
-                return null;
-              }
-
-              hasManageOffer = true;
-
-              let amountBought = new BigNumber(0);
-              let amountSold = new BigNumber(0);
-
-              const offerSuccess = result
-                .value()
-                .value()
-                .success();
-
-              const offersClaimed = offerSuccess
-                .offersClaimed()
-                // TODO: fix aiblocks-base-sdk types.
-                .map((offerClaimed: any) => {
-                  const claimedOfferAmountBought = new BigNumber(
-                    // amountBought is a js-xdr hyper
-                    offerClaimed.amountBought().toString(),
-                  );
-                  const claimedOfferAmountSold = new BigNumber(
-                    // amountBought is a js-xdr hyper
-                    offerClaimed.amountSold().toString(),
-                  );
-
-                  // This is an offer that was filled by the one just submitted.
-                  // So this offer has an _opposite_ bought/sold frame of ref
-                  // than from what we just submitted!
-                  // So add this claimed offer's bought to the SOLD count and vice v
-
-                  amountBought = amountBought.add(claimedOfferAmountSold);
-                  amountSold = amountSold.add(claimedOfferAmountBought);
-
-                  const sold = Asset.fromOperation(offerClaimed.assetSold());
-                  const bought = Asset.fromOperation(
-                    offerClaimed.assetBought(),
-                  );
-
-                  const assetSold = {
-                    type: sold.getAssetType(),
-                    assetCode: sold.getCode(),
-                    issuer: sold.getIssuer(),
-                  };
-
-                  const assetBought = {
-                    type: bought.getAssetType(),
-                    assetCode: bought.getCode(),
-                    issuer: bought.getIssuer(),
-                  };
-
-                  return {
-                    sellerId: StrKey.encodeEd25519PublicKey(
-                      offerClaimed.sellerId().ed25519(),
-                    ),
-                    offerId: offerClaimed.offerId().toString(),
-                    assetSold,
-                    amountSold: _getAmountInDelos(claimedOfferAmountSold),
-                    assetBought,
-                    amountBought: _getAmountInDelos(claimedOfferAmountBought),
-                  };
-                });
-
-              const effect = offerSuccess.offer().switch().name;
-
-              let currentOffer;
-
-              if (
-                typeof offerSuccess.offer().value === "function" &&
-                offerSuccess.offer().value()
-              ) {
-                const offerXDR = offerSuccess.offer().value();
-
-                currentOffer = {
-                  offerId: offerXDR.offerId().toString(),
-                  selling: {},
-                  buying: {},
-                  amount: _getAmountInDelos(offerXDR.amount().toString()),
-                  price: {
-                    n: offerXDR.price().n(),
-                    d: offerXDR.price().d(),
-                  },
-                };
-
-                const selling = Asset.fromOperation(offerXDR.selling());
-
-                currentOffer.selling = {
-                  type: selling.getAssetType(),
-                  assetCode: selling.getCode(),
-                  issuer: selling.getIssuer(),
-                };
-
-                const buying = Asset.fromOperation(offerXDR.buying());
-
-                currentOffer.buying = {
-                  type: buying.getAssetType(),
-                  assetCode: buying.getCode(),
-                  issuer: buying.getIssuer(),
-                };
-              }
-
-              return {
-                offersClaimed,
-                effect,
-                operationIndex: i,
-                currentOffer,
-
-                // this value is in sectors so divide it out
-                amountBought: _getAmountInDelos(amountBought),
-                amountSold: _getAmountInDelos(amountSold),
-
-                isFullyOpen:
-                  !offersClaimed.length && effect !== "manageOfferDeleted",
-                wasPartiallyFilled:
-                  !!offersClaimed.length && effect !== "manageOfferDeleted",
-                wasImmediatelyFilled:
-                  !!offersClaimed.length && effect === "manageOfferDeleted",
-                wasImmediatelyDeleted:
-                  !offersClaimed.length && effect === "manageOfferDeleted",
-              };
-            })
-            // TODO: fix aiblocks-base-sdk types.
-            .filter((result: any) => !!result);
-        }
-
-        return Object.assign({}, response.data, {
-          offerResults: hasManageOffer ? offerResults : undefined,
-        });
-      })
+      .then(_parseSubmitTransactionResponse)
       .catch((response) => {
+        if (_hasResultCodes(response)) {
+          return Promise.reject(
+            new TransactionFailedError(
+              "Transaction submission failed",
+              response.response,
+            ),
+          );
+        }
         if (response instanceof Error) {
           return Promise.reject(response);
         }
@@ -477,32 +489,392 @@ export class Server {
       });
   }
 
+  /**
+   * Submits a transaction and waits until it is final, surviving the
+   * submission timeouts (`504` or {@link SUBMIT_TRANSACTION_TIMEOUT}) after
+   * which you can't tell whether the transaction made it into a ledger.
+   *
+   * Whenever a submission times out, the transaction hash is looked up with
+   * `transactions().transaction(hash)`. If the transaction isn't there yet, the
+   * same envelope is submitted again (which is safe, AiBlocks never applies a
+   * transaction twice), until the transaction is found or a ledger closed
+   * after its timebounds `maxTime` without including it. The latest ledger
+   * is checked rather than the clock, which may be off. Lookup errors other
+   * than `404` are passed through, since the outcome is unknown then.
+   *
+   * The transaction must have a finite `maxTime`, otherwise there is no point
+   * in time after which it is known not to have been applied.
+   *
+   * ```javascript
+   * try {
+   *   const response = await server.submitTransactionAndWait(transaction);
+   *   console.log("included in ledger", response.ledger);
+   * } catch (err) {
+   *   if (err instanceof AiBlocksSdk.TransactionExpiredError) {
+   *     // never applied, build and sign a new transaction
+   *   }
+   * }
+   * ```
+   *
+   * @param {Transaction|FeeBumpTransaction} transaction - The transaction to submit.
+   * @param {object} [opts] Options object
+   * @param {boolean} [opts.skipMemoRequiredCheck] - Allow skipping memo
+   * required check, default: `false`.
+   * @param {number} [opts.pollInterval] - Time to wait between two lookups of
+   * the transaction hash in ms, default: `5000`.
+   * @returns {Promise} Promise that resolves with the same response as
+   * {@link Server#submitTransaction} once the transaction is included, or
+   * rejects with {@link TransactionFailedError} if it failed or with
+   * {@link TransactionExpiredError} if it expired.
+   */
+  public async submitTransactionAndWait(
+    transaction: Transaction | FeeBumpTransaction,
+    opts: Server.SubmitTransactionAndWaitOptions = {},
+  ): Promise<Millennium.SubmitTransactionResponse> {
+    const innerTransaction =
+      transaction instanceof FeeBumpTransaction
+        ? transaction.innerTransaction
+        : transaction;
+    const maxTime = innerTransaction.timeBounds
+      ? parseInt(innerTransaction.timeBounds.maxTime, 10)
+      : 0;
+
+    if (!maxTime) {
+      throw new Error(
+        "submitTransactionAndWait requires a transaction with a finite maxTime",
+      );
+    }
+
+    if (!opts.skipMemoRequiredCheck) {
+      await this.checkMemoRequired(transaction);
+    }
+
+    const hash = transaction.hash().toString("hex");
+    const pollInterval =
+      typeof opts.pollInterval === "undefined" ? 5000 : opts.pollInterval;
+    let timedOut = false;
+
+    for (;;) {
+      try {
+        return await this.submitTransaction(transaction, {
+          skipMemoRequiredCheck: true,
+        });
+      } catch (e) {
+        if (!_isSubmitTimeout(e)) {
+          // after a timeout, a resubmission may be rejected (e.g. with
+          // `tx_bad_seq`) because an earlier attempt was applied meanwhile
+          const applied = timedOut
+            ? await this._findSubmittedTransaction(hash)
+            : undefined;
+          if (applied) {
+            return _parseSubmitTransactionResponse(applied);
+          }
+          throw e;
+        }
+        timedOut = true;
+      }
+
+      const found = await this._findSubmittedTransaction(hash);
+      if (found) {
+        return _parseSubmitTransactionResponse(found);
+      }
+
+      // The clock may be off, so the transaction only expires once a ledger
+      // closed after maxTime (no later ledger can include it) and it still
+      // isn't found.
+      if (
+        this._currentServerTime() > maxTime &&
+        (await this._ledgerClosedAfter(maxTime))
+      ) {
+        const applied = await this._findSubmittedTransaction(hash);
+        if (applied) {
+          return _parseSubmitTransactionResponse(applied);
+        }
+        throw new TransactionExpiredError(
+          `Transaction ${hash} expired at ${maxTime} without being included in a ledger`,
+          hash,
+          maxTime,
+        );
+      }
+
+      await _sleep(pollInterval);
+    }
+  }
+
+  /**
+   * Submits a transaction and, if it is rejected with `tx_insufficient_fee`
+   * or its submission times out without it making it into a ledger (which
+   * is what happens to underpaying transactions during surge pricing), wraps
+   * the signed transaction in a {@link FeeBumpTransaction} paid by
+   * `opts.feePayer` and submits that instead.
+   *
+   * Each fee bump raises the fee per operation by `opts.feeStep`, until
+   * `opts.maxFee` is reached; the last error is thrown if even that fee isn't
+   * enough. All attempts share the inner transaction, so at most one of them
+   * is ever applied.
+   *
+   * ```javascript
+   * const response = await server.submitTransactionWithFeeBump(transaction, {
+   *   feePayer: feePayerKeypair,
+   *   feeStep: 200,
+   *   maxFee: 2000,
+   * });
+   * ```
+   *
+   * @param {Transaction|FeeBumpTransaction} transaction - The signed
+   * transaction to submit. For a fee bump transaction, its inner transaction
+   * is bumped.
+   * @param {object} opts Options object
+   * @param {Keypair} opts.feePayer - Keypair that pays for and signs the fee
+   * bump transactions.
+   * @param {number} opts.maxFee - Highest fee per operation, in sectors.
+   * @param {number} [opts.feeStep] - How much the fee per operation rises
+   * with each fee bump, in sectors, default: the fee per operation of the
+   * inner transaction.
+   * @param {boolean} [opts.skipMemoRequiredCheck] - Allow skipping memo
+   * required check, default: `false`.
+   * @returns {Promise} Promise that resolves with the response of
+   * {@link Server#submitTransaction} for the attempt that was applied.
+   */
+  public async submitTransactionWithFeeBump(
+    transaction: Transaction | FeeBumpTransaction,
+    opts: Server.SubmitTransactionWithFeeBumpOptions,
+  ): Promise<Millennium.SubmitTransactionResponse> {
+    const innerTransaction =
+      transaction instanceof FeeBumpTransaction
+        ? transaction.innerTransaction
+        : transaction;
+    const operationCount = innerTransaction.operations.length;
+    const innerFee = Math.ceil(
+      parseInt(innerTransaction.fee, 10) / operationCount,
+    );
+    const feeStep = opts.feeStep || innerFee;
+
+    if (!opts.skipMemoRequiredCheck) {
+      await this.checkMemoRequired(transaction);
+    }
+
+    const hash = innerTransaction.hash().toString("hex");
+    let attempt = transaction;
+    let fee =
+      transaction instanceof FeeBumpTransaction
+        ? Math.ceil(parseInt(transaction.fee, 10) / (operationCount + 1))
+        : innerFee;
+    let timedOut = false;
+
+    for (;;) {
+      try {
+        return await this.submitTransaction(attempt, {
+          skipMemoRequiredCheck: true,
+        });
+      } catch (e) {
+        const insufficientFee =
+          e instanceof TransactionFailedError &&
+          e.transactionCode === "tx_insufficient_fee";
+        const timeout = _isSubmitTimeout(e);
+
+        if (timeout || timedOut) {
+          timedOut = true;
+          // an earlier attempt may have been applied meanwhile
+          const found = await this._findSubmittedTransaction(hash);
+          if (found) {
+            return _parseSubmitTransactionResponse(found);
+          }
+        }
+        if ((!insufficientFee && !timeout) || fee >= opts.maxFee) {
+          throw e;
+        }
+      }
+
+      fee = Math.min(fee + feeStep, opts.maxFee);
+      attempt = TransactionBuilder.buildFeeBumpTransaction(
+        opts.feePayer,
+        fee.toString(),
+        innerTransaction,
+        innerTransaction.networkPassphrase,
+      );
+      attempt.sign(opts.feePayer);
+    }
+  }
+
+  /**
+   * Sends many payments from one source account, packed into transactions
+   * of at most `opts.maxOperations` payments each. Payments with a memo are
+   * only packed with payments sharing the same memo.
+   *
+   * Before anything is submitted, the destinations of payments without a
+   * memo are checked for SEP-29 memo requirements; those payments fail with
+   * {@link AccountRequiresMemoError}. Sequence numbers are handed out by a
+   * {@link SequenceManager}, and up to `opts.concurrency` transactions are
+   * submitted at a time. A transaction whose submission times out or fails
+   * with a `5xx` is looked up, and waited for with
+   * {@link Server#submitTransactionAndWait} if it isn't there yet, so every
+   * payment ends up either applied or known not to be.
+   *
+   * The returned report has one result per payment, in order. Failed
+   * payments were not applied and can safely be sent again:
+   *
+   * ```javascript
+   * let report = await server.batchPayments(source, payments, {
+   *   signers: [sourceKeypair],
+   *   networkPassphrase: AiBlocksSdk.Networks.TESTNET,
+   * });
+   * if (report.failed.length) {
+   *   report = await server.batchPayments(
+   *     source,
+   *     report.failed.map((result) => result.payment),
+   *     options,
+   *   );
+   * }
+   * ```
+   *
+   * @param {string} source - Source account of the transactions.
+   * @param {Server.BatchPayment[]} payments - Payments to send, each with a
+   * `destination`, `asset`, `amount` and optional `memo` and operation
+   * `source`.
+   * @param {object} opts Options object
+   * @param {Keypair[]} opts.signers - Keypairs every transaction is signed
+   * with.
+   * @param {string} opts.networkPassphrase - Network the transactions are
+   * built for.
+   * @param {string} [opts.fee] - Fee per operation in sectors, default:
+   * `BASE_FEE`.
+   * @param {number} [opts.timeout] - Timeout of the transactions in seconds,
+   * default: `30`.
+   * @param {number} [opts.maxOperations] - Payments per transaction, at most
+   * and by default `100`.
+   * @param {number} [opts.concurrency] - Transactions submitted at a time,
+   * default: `1`.
+   * @param {SequenceManager} [opts.sequenceManager] - Sequence manager to
+   * share with other builders of the source account.
+   * @param {boolean} [opts.skipMemoRequiredCheck] - Allow skipping memo
+   * required check, default: `false`.
+   * @returns {Promise<Server.BatchPaymentsReport>} The status of every
+   * payment.
+   */
+  public async batchPayments(
+    source: string,
+    payments: Server.BatchPayment[],
+    opts: Server.BatchPaymentsOptions,
+  ): Promise<Server.BatchPaymentsReport> {
+    const maxOperations = Math.min(opts.maxOperations || 100, 100);
+    const results: Server.BatchPaymentResult[] = [];
+
+    const destinations: { [destination: string]: Promise<boolean> } = {};
+    if (!opts.skipMemoRequiredCheck) {
+      for (let i = 0; i < payments.length; i++) {
+        const { destination, memo } = payments[i];
+        if (memo && memo.type !== "none") {
+          continue;
+        }
+        try {
+          // sequentially, see checkMemoRequired
+          if (!destinations[destination]) {
+            destinations[destination] = this._accountRequiresMemo(destination);
+          }
+          if (await destinations[destination]) {
+            throw new AccountRequiresMemoError(
+              "account requires memo",
+              destination,
+              i,
+            );
+          }
+        } catch (e) {
+          results[i] = {
+            index: i,
+            payment: payments[i],
+            status: "failed",
+            error: e,
+          };
+        }
+      }
+    }
+
+    // group the payments to send by memo, then split the groups
+    const groups: { [memo: string]: number[] } = {};
+    const memos: { [memo: string]: Memo | undefined } = {};
+    payments.forEach((payment, i) => {
+      if (results[i]) {
+        return;
+      }
+      const key = _memoKey(payment.memo);
+      groups[key] = (groups[key] || []).concat(i);
+      memos[key] = payment.memo;
+    });
+    const batches: Array<{ memo?: Memo; indexes: number[] }> = [];
+    Object.keys(groups).forEach((key) => {
+      for (let i = 0; i < groups[key].length; i += maxOperations) {
+        batches.push({
+          memo: memos[key],
+          indexes: groups[key].slice(i, i + maxOperations),
+        });
+      }
+    });
+
+    const sequences = opts.sequenceManager || new SequenceManager(this);
+    const submitNext = async (): Promise<void> => {
+      for (let batch = batches.shift(); batch; batch = batches.shift()) {
+        await this._submitPaymentBatch(
+          source,
+          payments,
+          batch,
+          opts,
+          sequences,
+          results,
+        );
+      }
+    };
+    const workers = [];
+    for (let i = 0; i < Math.max(opts.concurrency || 1, 1); i++) {
+      workers.push(submitNext());
+    }
+    await Promise.all(workers);
+
+    return {
+      results,
+      successful: results.filter((result) => result.status === "success"),
+      failed: results.filter((result) => result.status === "failed"),
+    };
+  }
+
   /**
    * @returns {AccountCallBuilder} New {@link AccountCallBuilder} object configured by a current Millennium server configuration.
    */
   public accounts(): AccountCallBuilder {
-    return new AccountCallBuilder(URI(this.serverURL as any));
+    return new AccountCallBuilder(
+      URI(this.serverURL as any),
+      this.callBuilderOptions,
+    );
   }
 
   /**
    * @returns {ClaimableBalanceCallBuilder} New {@link ClaimableBalanceCallBuilder} object configured by a current Millennium server configuration.
    */
   public claimableBalances(): ClaimableBalanceCallBuilder {
-    return new ClaimableBalanceCallBuilder(URI(this.serverURL as any));
+    return new ClaimableBalanceCallBuilder(
+      URI(this.serverURL as any),
+      this.callBuilderOptions,
+    );
   }
 
   /**
    * @returns {LedgerCallBuilder} New {@link LedgerCallBuilder} object configured by a current Millennium server configuration.
    */
   public ledgers(): LedgerCallBuilder {
-    return new LedgerCallBuilder(URI(this.serverURL as any));
+    return new LedgerCallBuilder(
+      URI(this.serverURL as any),
+      this.callBuilderOptions,
+    );
   }
 
   /**
    * @returns {TransactionCallBuilder} New {@link TransactionCallBuilder} object configured by a current Millennium server configuration.
    */
   public transactions(): TransactionCallBuilder {
-    return new TransactionCallBuilder(URI(this.serverURL as any));
+    return new TransactionCallBuilder(
+      URI(this.serverURL as any),
+      this.callBuilderOptions,
+    );
   }
 
   /**
@@ -520,7 +892,10 @@ export class Server {
    * @returns {OfferCallBuilder} New {@link OfferCallBuilder} object
    */
   public offers(): OfferCallBuilder {
-    return new OfferCallBuilder(URI(this.serverURL as any));
+    return new OfferCallBuilder(
+      URI(this.serverURL as any),
+      this.callBuilderOptions,
+    );
   }
 
   /**
@@ -533,6 +908,7 @@ export class Server {
       URI(this.serverURL as any),
       selling,
       buying,
+      this.callBuilderOptions,
     );
   }
 
@@ -541,14 +917,20 @@ export class Server {
    * @returns {TradesCallBuilder} New {@link TradesCallBuilder} object configured by a current Millennium server configuration.
    */
   public trades(): TradesCallBuilder {
-    return new TradesCallBuilder(URI(this.serverURL as any));
+    return new TradesCallBuilder(
+      URI(this.serverURL as any),
+      this.callBuilderOptions,
+    );
   }
 
   /**
    * @returns {OperationCallBuilder} New {@link OperationCallBuilder} object configured by a current Millennium server configuration.
    */
   public operations(): OperationCallBuilder {
-    return new OperationCallBuilder(URI(this.serverURL as any));
+    return new OperationCallBuilder(
+      URI(this.serverURL as any),
+      this.callBuilderOptions,
+    );
   }
 
   /**
@@ -587,6 +969,7 @@ export class Server {
       source,
       destinationAsset,
       destinationAmount,
+      this.callBuilderOptions,
     );
   }
 
@@ -615,6 +998,7 @@ export class Server {
       sourceAsset,
       sourceAmount,
       destination,
+      this.callBuilderOptions,
     );
   }
 
@@ -623,7 +1007,10 @@ export class Server {
    * Millennium server configuration.
    */
   public payments(): PaymentCallBuilder {
-    return new PaymentCallBuilder(URI(this.serverURL as any) as any);
+    return new PaymentCallBuilder(
+      URI(this.serverURL as any) as any,
+      this.callBuilderOptions,
+    );
   }
 
   /**
@@ -631,7 +1018,10 @@ export class Server {
    * Millennium server configuration
    */
   public effects(): EffectCallBuilder {
-    return new EffectCallBuilder(URI(this.serverURL as any) as any);
+    return new EffectCallBuilder(
+      URI(this.serverURL as any) as any,
+      this.callBuilderOptions,
+    );
   }
 
   /**
@@ -641,7 +1031,11 @@ export class Server {
    * @private
    */
   public friendbot(address: string): FriendbotBuilder {
-    return new FriendbotBuilder(URI(this.serverURL as any), address);
+    return new FriendbotBuilder(
+      URI(this.serverURL as any),
+      address,
+      this.callBuilderOptions,
+    );
   }
 
   /**
@@ -650,7 +1044,10 @@ export class Server {
    * @returns {AssetsCallBuilder} New AssetsCallBuilder instance
    */
   public assets(): AssetsCallBuilder {
-    return new AssetsCallBuilder(URI(this.serverURL as any));
+    return new AssetsCallBuilder(
+      URI(this.serverURL as any),
+      this.callBuilderOptions,
+    );
   }
 
   /**
@@ -663,7 +1060,7 @@ export class Server {
       .accountId(accountId)
       .call();
 
-    return new AccountResponse(res);
+    return new AccountResponse(res, this);
   }
 
   /**
@@ -693,6 +1090,7 @@ export class Server {
       end_time,
       resolution,
       offset,
+      this.callBuilderOptions,
     );
   }
 
@@ -745,35 +1143,305 @@ export class Server {
       }
       destinations.add(destination);
 
-      // skip M account checks since it implies a memo
-      if (destination.startsWith("M")) {
-        continue;
+      if (await this._accountRequiresMemo(destination)) {
+        throw new AccountRequiresMemoError(
+          "account requires memo",
+          destination,
+          i,
+        );
       }
+    }
+  }
+
+  /**
+   * Predicts why a transaction would fail, before paying a fee to submit it.
+   *
+   * Loads the transaction's source account, fee source, and each operation's
+   * source and destination, and the base reserve of the latest ledger, then
+   * checks:
+   * * the sequence number (`tx_bad_seq`);
+   * * the native balance left for the fee after reserves
+   *   (`tx_insufficient_balance`) and for native payments
+   *   (`op_underfunded`, `op_low_reserve`);
+   * * trustlines of the assets sent and received (`op_src_no_trust`,
+   *   `op_no_trust`), their authorization (`op_src_not_authorized`,
+   *   `op_not_authorized`), balances (`op_underfunded`) and limits
+   *   (`op_line_full`);
+   * * destinations (`op_no_destination`, `op_no_account`,
+   *   `op_already_exists`);
+   * * the weight of the signatures against the threshold each source
+   *   account requires (`tx_bad_auth`, `op_bad_auth`), including
+   *   pre-authorized transaction and hash(x) signers.
+   *
+   * Operations are checked in order, against the balances left by the
+   * previous ones. The ledger may still change before the transaction is
+   * applied, and offers crossed by path payments aren't simulated, so an
+   * empty list doesn't guarantee success.
+   *
+   * ```javascript
+   * const findings = await server.preflight(transaction);
+   * findings.forEach((finding) => {
+   *   console.log(finding.operationIndex, finding.code, finding.message);
+   * });
+   * ```
+   *
+   * @param {Transaction|FeeBumpTransaction} transaction - The transaction to
+   * check.
+   * @returns {Promise<Server.PreflightFinding[]>} The predicted failures, each
+   * with the result code it would fail with. Transaction-level findings have
+   * no `operationIndex`.
+   */
+  public async preflight(
+    transaction: Transaction | FeeBumpTransaction,
+  ): Promise<Server.PreflightFinding[]> {
+    return preflightTransaction(this, transaction);
+  }
+
+  /**
+   * Builds the transactions that close an account: they remove its offers,
+   * data entries, trustlines and extra signers, then merge it into
+   * `destination`.
+   *
+   * The balance of each trustline is sent to `destination` before the
+   * trustline is removed. Issuers get their own assets back. Whatever can't
+   * be done by the account itself is reported as a blocker instead, with the
+   * result code the merge would fail with:
+   * * `op_no_account`: `destination` doesn't exist;
+   * * `op_no_trust`, `op_not_authorized`, `op_line_full`: `destination`
+   *   can't receive the balance of an asset. Sell the asset, return it to
+   *   its issuer, or have `destination` trust it first;
+   * * `op_src_not_authorized`: the issuer froze the account's balance;
+   * * `op_is_sponsor`: the account sponsors other accounts' entries;
+   * * `op_immutable_set`: the account's flags are immutable.
+   *
+   * The extra signers are removed by the last transaction, together with
+   * the merge, so they can still sign the transactions before it. With
+   * blockers, the transactions contain the cleanup that is possible, but
+   * neither the signer removals nor the merge. Build them again once the
+   * blockers are resolved.
+   *
+   * The transactions use consecutive sequence numbers of the account, must
+   * be submitted in order, and are not signed:
+   *
+   * ```javascript
+   * const { transactions, blockers } = await server.buildAccountCloseTransactions(
+   *   accountId,
+   *   destination,
+   *   { networkPassphrase: AiBlocksSdk.Networks.TESTNET },
+   * );
+   * if (blockers.length) {
+   *   throw new Error(blockers.map((blocker) => blocker.message).join(" "));
+   * }
+   * for (const transaction of transactions) {
+   *   transaction.sign(keypair);
+   *   await server.submitTransaction(transaction);
+   * }
+   * ```
+   *
+   * @param {string} accountId - The account to close.
+   * @param {string} destination - The account receiving its balances.
+   * @param {object} opts Options object
+   * @param {string} opts.networkPassphrase - Network the transactions are
+   * built for.
+   * @param {string} [opts.fee] - Fee per operation in sectors, default:
+   * `BASE_FEE`.
+   * @param {number} [opts.timeout] - Timeout of the transactions in seconds,
+   * default: `300`.
+   * @returns {Promise<Server.AccountClosePlan>} The transactions, in order,
+   * and the blockers.
+   */
+  public async buildAccountCloseTransactions(
+    accountId: string,
+    destination: string,
+    opts: Server.AccountCloseOptions,
+  ): Promise<Server.AccountClosePlan> {
+    return buildAccountCloseTransactions(this, accountId, destination, opts);
+  }
+
+  /**
+   * Builds, submits and records the results of one transaction of
+   * {@link Server#batchPayments}.
+   * @private
+   * @returns {Promise<void>}
+   */
+  private async _submitPaymentBatch(
+    source: string,
+    payments: Server.BatchPayment[],
+    batch: { memo?: Memo; indexes: number[] },
+    opts: Server.BatchPaymentsOptions,
+    sequences: SequenceManager,
+    results: Server.BatchPaymentResult[],
+  ): Promise<void> {
+    let transaction: Transaction | undefined;
+    let error: any;
+
+    try {
+      await sequences.submitTransaction(
+        source,
+        (account) => {
+          const builder = new TransactionBuilder(account, {
+            fee: opts.fee || BASE_FEE,
+            networkPassphrase: opts.networkPassphrase,
+          });
+          batch.indexes.forEach((i) => {
+            const payment = payments[i];
+            builder.addOperation(
+              Operation.payment({
+                destination: payment.destination,
+                asset: payment.asset,
+                amount: payment.amount,
+                source: payment.source,
+              }),
+            );
+          });
+          if (batch.memo) {
+            builder.addMemo(batch.memo);
+          }
+          transaction = builder.setTimeout(opts.timeout || 30).build();
+          transaction.sign(...opts.signers);
+          return transaction;
+        },
+        { skipMemoRequiredCheck: true },
+      );
+    } catch (e) {
+      error = e;
+    }
 
+    if (error && _isUnknownOutcome(error) && transaction) {
+      // the transaction may have been applied anyway: look it up, and wait
+      // until it is final if it isn't there yet
       try {
-        const account = await this.loadAccount(destination);
-        if (
-          account.data_attr["config.memo_required"] === ACCOUNT_REQUIRES_MEMO
-        ) {
-          throw new AccountRequiresMemoError(
-            "account requires memo",
-            destination,
-            i,
-          );
+        const found = await this._findSubmittedTransaction(
+          transaction.hash().toString("hex"),
+        );
+        if (!found) {
+          await this.submitTransactionAndWait(transaction, {
+            skipMemoRequiredCheck: true,
+          });
         }
+        error = undefined;
       } catch (e) {
-        if (e instanceof AccountRequiresMemoError) {
-          throw e;
-        }
+        error = e;
+      }
+    }
 
-        // fail if the error is different to account not found
-        if (!(e instanceof NotFoundError)) {
-          throw e;
+    batch.indexes.forEach((i, operationIndex) => {
+      const result: Server.BatchPaymentResult = {
+        index: i,
+        payment: payments[i],
+        status: error ? "failed" : "success",
+      };
+      if (transaction) {
+        result.transactionHash = transaction.hash().toString("hex");
+      }
+      if (error) {
+        result.error = error;
+        const operationCode =
+          error instanceof TransactionFailedError &&
+          error.operationCodes[operationIndex];
+        if (operationCode) {
+          result.resultCode = operationCode.code;
         }
+      }
+      results[i] = result;
+    });
+  }
 
-        continue;
+  /**
+   * @private
+   * @param {string} destination Destination account ID.
+   * @returns {Promise<boolean>} Whether the destination requires a memo per
+   * SEP-29.
+   */
+  private async _accountRequiresMemo(destination: string): Promise<boolean> {
+    // skip M account checks since it implies a memo
+    if (destination.startsWith("M")) {
+      return false;
+    }
+
+    try {
+      const account = await this.loadAccount(destination);
+      return (
+        account.data_attr["config.memo_required"] === ACCOUNT_REQUIRES_MEMO
+      );
+    } catch (e) {
+      // fail if the error is different to account not found
+      if (!(e instanceof NotFoundError)) {
+        throw e;
+      }
+      return false;
+    }
+  }
+
+  /**
+   * @private
+   * @returns {number} This server's current time in seconds, falling back to
+   * the local time if it hasn't been recorded yet.
+   */
+  private _currentServerTime(): number {
+    return (
+      getCurrentServerTime(this.serverURL.hostname(), this.serverTimeMap) ||
+      Math.floor(Date.now() / 1000)
+    );
+  }
+
+  /**
+   * @private
+   * @returns {RetryPolicy} The global retry policy merged with this server's.
+   */
+  private _getRetryPolicy(): RetryPolicy {
+    return Object.assign(
+      {},
+      Config.getRetryPolicy(),
+      this.callBuilderOptions.retry,
+    );
+  }
+
+  /**
+   * @private
+   * @param {number} time Time in seconds.
+   * @returns {Promise<boolean>} Whether the latest ledger closed after `time`.
+   */
+  private async _ledgerClosedAfter(time: number): Promise<boolean> {
+    const { records } = await this.ledgers()
+      .order("desc")
+      .limit(1)
+      .call();
+    return records.length > 0 && Date.parse(records[0].closed_at) / 1000 > time;
+  }
+
+  /**
+   * Looks up a transaction that may already have been applied before it is
+   * submitted again.
+   * @private
+   * @param {string} hash Hex-encoded transaction hash.
+   * @returns {Promise<object|undefined>} A submit-like response with the
+   * transaction record, or `undefined` if Millennium responds with `404`.
+   * Rejects with any other error of the lookup.
+   */
+  private async _findSubmittedTransaction(
+    hash: string,
+  ): Promise<{ data: any } | undefined> {
+    let record: ServerApi.TransactionRecord;
+    try {
+      record = await this.transactions()
+        .transaction(hash)
+        .call();
+    } catch (e) {
+      if (e instanceof NotFoundError) {
+        return undefined;
       }
+      throw e;
+    }
+
+    if (record.successful === false) {
+      throw new TransactionFailedError(
+        `Transaction submission failed. Transaction ${hash} was included in ledger ${record.ledger_attr} but failed`,
+        { data: record },
+      );
     }
+
+    return { data: record };
   }
 }
 
@@ -782,6 +1450,8 @@ export namespace Server {
     allowHttp?: boolean;
     appName?: string;
     appVersion?: string;
+    timeout?: number;
+    retry?: Partial<RetryPolicy>;
   }
 
   export interface Timebounds {
@@ -792,4 +1462,116 @@ export namespace Server {
   export interface SubmitTransactionOptions {
     skipMemoRequiredCheck?: boolean;
   }
+
+  export interface SubmitTransactionAndWaitOptions
+    extends SubmitTransactionOptions {
+    pollInterval?: number;
+  }
+
+  export interface SubmitTransactionWithFeeBumpOptions
+    extends SubmitTransactionOptions {
+    feePayer: Keypair;
+    maxFee: number;
+    feeStep?: number;
+  }
+
+  export interface BatchPayment {
+    destination: string;
+    asset: Asset;
+    amount: string;
+    memo?: Memo;
+    /**
+     * Source account of the payment operation, default: the transaction
+     * source.
+     */
+    source?: string;
+  }
+
+  export interface BatchPaymentsOptions extends SubmitTransactionOptions {
+    signers: Keypair[];
+    networkPassphrase: string;
+    fee?: string;
+    timeout?: number;
+    maxOperations?: number;
+    concurrency?: number;
+    sequenceManager?: SequenceManager;
+  }
+
+  export interface BatchPaymentResult {
+    /**
+     * Index of the payment in the `payments` argument.
+     */
+    index: number;
+    payment: BatchPayment;
+    /**
+     * `failed` payments were not applied and can be sent again.
+     */
+    status: "success" | "failed";
+    transactionHash?: string;
+    /**
+     * Operation result code of a failed transaction, e.g. `op_underfunded`,
+     * or `op_success` for a payment that failed with another one.
+     */
+    resultCode?: string;
+    error?: any;
+  }
+
+  export interface BatchPaymentsReport {
+    /**
+     * One result per payment, in the order of the `payments` argument.
+     */
+    results: BatchPaymentResult[];
+    successful: BatchPaymentResult[];
+    failed: BatchPaymentResult[];
+  }
+
+  export interface PreflightFinding {
+    /**
+     * Index of the operation that would fail, absent for transaction-level
+     * findings such as `tx_bad_seq`.
+     */
+    operationIndex?: number;
+    /**
+     * Result code the submission would likely fail with, e.g.
+     * `op_no_trust`.
+     */
+    code: string;
+    /**
+     * Account the finding is about, e.g. the destination lacking a
+     * trustline.
+     */
+    account: string;
+    /**
+     * Asset involved, `native` or `CODE:ISSUER`.
+     */
+    asset?: string;
+    message: string;
+  }
+
+  export interface AccountCloseOptions {
+    networkPassphrase: string;
+    fee?: string;
+    timeout?: number;
+  }
+
+  export interface AccountCloseBlocker {
+    /**
+     * Result code the merge would fail with, e.g. `op_no_trust`.
+     */
+    code: string;
+    /**
+     * Asset whose balance can't be sent, `CODE:ISSUER`.
+     */
+    asset?: string;
+    message: string;
+  }
+
+  export interface AccountClosePlan {
+    /**
+     * Transactions to sign and submit in order. The last one merges the
+     * account, unless there are blockers.
+     */
+    transactions: Transaction[];
+    blockers: AccountCloseBlocker[];
+  }
 }
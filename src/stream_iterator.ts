@@ -0,0 +1,287 @@
+import { StreamReconnectEvent, StreamStats } from "./call_builder";
+import { CursorCheckpoint, CursorStoreOptions } from "./cursor_store";
+
+export interface StreamIteratorOptions<T = any> extends CursorStoreOptions {
+  /**
+   * Maximum number of records buffered while the consumer is busy, default:
+   * `100`.
+   */
+  bufferSize?: number;
+  /**
+   * What to do when the buffer is full, default: `"pause"`.
+   * * `"pause"`: close the connection, and reopen it from the last buffered
+   *   record's `paging_token` once the consumer caught up. No record is lost.
+   * * `"drop"`: keep the connection open and discard incoming records,
+   *   reporting each one to `onoverflow`.
+   */
+  overflow?: "pause" | "drop";
+  /**
+   * Called with each record discarded by the `"drop"` overflow mode.
+   */
+  onoverflow?: (record: T) => void;
+  /**
+   * Called with connection errors. The stream reconnects by itself.
+   */
+  onerror?: (error: any) => void;
+  /**
+   * Custom stream connection timeout in ms, default is 15 seconds.
+   */
+  reconnectTimeout?: number;
+  /**
+   * Called each time the connection is (re)opened, including when it
+   * resumes after a pause.
+   */
+  onopen?: () => void;
+  /**
+   * Called with `{attempt, reason}` before each reconnection.
+   */
+  onreconnect?: (event: StreamReconnectEvent) => void;
+  /**
+   * Called with the stream stats each time no message was received for
+   * `idleTimeout` ms.
+   */
+  onidle?: (stats: StreamStats) => void;
+  /**
+   * Time without messages after which `onidle` is called, default is 60
+   * seconds.
+   */
+  idleTimeout?: number;
+  /**
+   * How to receive messages, default: `"auto"`, see {@link CallBuilder#stream}.
+   */
+  transport?: "auto" | "eventsource" | "polling";
+  /**
+   * Time between two requests of the polling transport in ms, default is 5
+   * seconds.
+   */
+  pollInterval?: number;
+  /**
+   * Drop records whose `paging_token` isn't greater than the last one
+   * delivered, see {@link CallBuilder#stream}.
+   */
+  ordered?: boolean;
+}
+
+/**
+ * Handlers passed to the function that opens the underlying stream.
+ */
+export interface StreamHandlers<T> {
+  onmessage: (record: T) => void;
+  onerror: (error: any) => void;
+}
+
+/**
+ * Async iterator over the records of a stream, with a bounded buffer so a
+ * slow consumer doesn't make messages pile up.
+ *
+ * Do not create this object directly, use {@link CallBuilder#streamIterator}.
+ *
+ * ```js
+ * const payments = server.payments().cursor("now").streamIterator({
+ *   bufferSize: 50,
+ * });
+ * for await (const payment of payments) {
+ *   await handle(payment); // the stream pauses while this is slow
+ * }
+ * ```
+ *
+ * With a `cursorStore`, the stream starts from the stored cursor, and the
+ * cursor of each processed record is stored: with `ack: "auto"` when the
+ * next record is requested, with `ack: "manual"` on
+ * {@link StreamIterator#ack}.
+ * @class StreamIterator
+ * @param {function} start Function that opens the stream with the given
+ * handlers, from the given cursor if any, and returns a function that closes
+ * it. Called again to resume after a pause.
+ * @param {object} [options] Iterator options, see
+ * {@link CallBuilder#streamIterator}.
+ * @param {CursorCheckpoint} [checkpoint] Checkpoint of the cursor.
+ */
+export class StreamIterator<T> implements AsyncIterableIterator<T> {
+  /**
+   * `paging_token` of the last record yielded.
+   */
+  public pagingToken?: string;
+  /**
+   * Number of records discarded by the `"drop"` overflow mode.
+   */
+  public dropped: number = 0;
+  /**
+   * Whether the connection is closed because the buffer is full.
+   */
+  public paused: boolean = false;
+
+  private readonly buffer: T[] = [];
+  private readonly waiting: Array<{
+    resolve: (result: IteratorResult<T>) => void;
+    reject: (error: any) => void;
+  }> = [];
+  private closeStream?: () => void;
+  private done: boolean = false;
+  private started: boolean = false;
+  private ackedToken?: string;
+
+  constructor(
+    private readonly start: (
+      handlers: StreamHandlers<T>,
+      cursor?: string,
+    ) => () => void,
+    private readonly options: StreamIteratorOptions<T> = {},
+    private readonly checkpoint?: CursorCheckpoint,
+  ) {}
+
+  public [Symbol.asyncIterator](): AsyncIterableIterator<T> {
+    return this;
+  }
+
+  /**
+   * Waits for the next record, opening the stream on the first call.
+   * @returns {Promise<IteratorResult>} The next record, or `done` once
+   * {@link StreamIterator#return} was called.
+   */
+  public async next(): Promise<IteratorResult<T>> {
+    if (this.checkpoint && this.options.ack !== "manual") {
+      await this.ack();
+    }
+    return this._next();
+  }
+
+  /**
+   * Marks the last record yielded as processed, storing its cursor in the
+   * `cursorStore`. Does nothing without a store.
+   * @returns {Promise<void>} Resolves once the cursor was stored.
+   */
+  public async ack(): Promise<void> {
+    const token = this.pagingToken;
+    if (!this.checkpoint || !token || token === this.ackedToken) {
+      return;
+    }
+    this.ackedToken = token;
+    await this.checkpoint.save(token);
+  }
+
+  /**
+   * Closes the connection and ends the iteration. Called automatically when
+   * leaving a `for await` loop early.
+   * @returns {Promise<IteratorResult>} A finished iterator result.
+   */
+  public async return(): Promise<IteratorResult<T>> {
+    const result: IteratorResult<T> = { done: true, value: undefined };
+    this.done = true;
+    this.buffer.length = 0;
+    this._close();
+    this.waiting.splice(0).forEach(({ resolve }) => resolve(result));
+    return result;
+  }
+
+  private _next(): Promise<IteratorResult<T>> {
+    if (this.buffer.length) {
+      const record = this.buffer.shift() as T;
+      if (this.paused && this.buffer.length <= this._bufferSize() / 2) {
+        this.paused = false;
+        this._open();
+      }
+      return Promise.resolve(this._yield(record));
+    }
+    if (this.done) {
+      return this.return();
+    }
+    if (!this.closeStream && !this.paused) {
+      this._open();
+    }
+    return new Promise((resolve, reject) =>
+      this.waiting.push({ resolve, reject }),
+    );
+  }
+
+  private _open(): void {
+    const handlers: StreamHandlers<T> = {
+      onmessage: (record) => this._onMessage(record),
+      onerror: (error) => {
+        if (this.options.onerror) {
+          this.options.onerror(error);
+        }
+      },
+    };
+
+    if (this.started || !this.checkpoint) {
+      this.started = true;
+      this.closeStream = this.start(handlers);
+      return;
+    }
+
+    // load the stored cursor before the first connection only; a resumed
+    // stream continues from the last buffered record
+    this.started = true;
+    let cancelled = false;
+    this.closeStream = () => {
+      cancelled = true;
+    };
+    this.checkpoint.load().then(
+      (cursor) => {
+        if (!cancelled) {
+          this.closeStream = this.start(handlers, cursor);
+        }
+      },
+      (error) => {
+        if (!cancelled) {
+          this.done = true;
+          this.closeStream = undefined;
+          this.waiting.splice(0).forEach(({ reject }) => reject(error));
+        }
+      },
+    );
+  }
+
+  private _close(): void {
+    if (this.closeStream) {
+      this.closeStream();
+      this.closeStream = undefined;
+    }
+  }
+
+  private _onMessage(record: T): void {
+    if (this.done) {
+      return;
+    }
+
+    const waiter = this.waiting.shift();
+    if (waiter) {
+      waiter.resolve(this._yield(record));
+      return;
+    }
+
+    if (this.buffer.length >= this._bufferSize()) {
+      if (this.options.overflow === "drop") {
+        this.dropped += 1;
+        if (this.options.onoverflow) {
+          this.options.onoverflow(record);
+        }
+        return;
+      }
+      // a message that arrived while closing; keep it, the cursor is
+      // already past it
+    }
+
+    this.buffer.push(record);
+    if (
+      this.options.overflow !== "drop" &&
+      this.buffer.length >= this._bufferSize()
+    ) {
+      this.paused = true;
+      this._close();
+    }
+  }
+
+  private _yield(record: T): IteratorResult<T> {
+    const pagingToken = (record as any).paging_token;
+    if (pagingToken) {
+      this.pagingToken = pagingToken;
+    }
+    return { done: false, value: record };
+  }
+
+  private _bufferSize(): number {
+    return this.options.bufferSize || 100;
+  }
+}
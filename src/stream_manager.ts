@@ -0,0 +1,194 @@
+/* tslint:disable:no-namespace */
+import { EventSourceOptions, StreamHandle } from "./call_builder";
+import { Server } from "./server";
+import { ServerApi } from "./server_api";
+
+// Fields of payment and effect records that name an involved account.
+const ACCOUNT_FIELDS = ["from", "to", "account", "funder", "into"];
+
+/**
+ * StreamManager watches many accounts over a single connection: it streams
+ * the global `payments()` or `effects()` endpoint once, and routes each
+ * record to the subscribers of the accounts it involves (its `from`, `to`,
+ * `account`, `funder` or `into` field). Subscriptions can be added and
+ * removed at any time.
+ *
+ * The stream opens with the first subscription and stays open until
+ * {@link StreamManager#close}.
+ *
+ * ```js
+ * const manager = new AiBlocksSdk.StreamManager(server, {
+ *   onerror: (error) => console.error(error),
+ * });
+ * const subscription = manager.subscribe(accountId, (payment) => {
+ *   console.log(payment.amount);
+ * });
+ * // later
+ * subscription.unsubscribe();
+ * ```
+ * @constructor
+ * @param {Server} server Server to stream from.
+ * @param {object} [opts] Options object, also passed to
+ * {@link CallBuilder#stream}.
+ * @param {"payments"|"effects"} [opts.endpoint] Endpoint to stream, default:
+ * `payments`.
+ * @param {string} [opts.cursor] Cursor to start from, default: `now`.
+ * @param {function} [opts.onerror] Called with stream errors and errors
+ * thrown by subscribers.
+ */
+export class StreamManager {
+  private readonly subscriptions: {
+    [accountId: string]: StreamManager.Subscription[];
+  } = {};
+  private handle?: StreamHandle;
+  // paging_token of the last record received, to reopen from
+  private lastCursor?: string;
+
+  constructor(
+    private readonly server: Server,
+    private readonly opts: StreamManager.Options = {},
+  ) {}
+
+  /**
+   * Health metrics of the shared stream, `undefined` until it opens.
+   * @returns {StreamHandle|undefined} The handle of the shared stream.
+   */
+  public get stream(): StreamHandle | undefined {
+    return this.handle;
+  }
+
+  /**
+   * Accounts with at least one subscriber.
+   * @returns {string[]} The watched account IDs.
+   */
+  public get accounts(): string[] {
+    return Object.keys(this.subscriptions);
+  }
+
+  /**
+   * Routes the records involving `accountId` to `onmessage`, opening the
+   * shared stream if it isn't open yet.
+   * @param {string} accountId Account to watch.
+   * @param {function} onmessage Called with each record involving the
+   * account, once per record.
+   * @returns {StreamManager.Subscription} The subscription, to unsubscribe.
+   */
+  public subscribe(
+    accountId: string,
+    onmessage: (record: StreamManager.Record) => void,
+  ): StreamManager.Subscription {
+    const subscription: StreamManager.Subscription = {
+      accountId,
+      onmessage,
+      unsubscribe: () => this.unsubscribe(subscription),
+    };
+    this.subscriptions[accountId] = (
+      this.subscriptions[accountId] || []
+    ).concat(subscription);
+
+    if (!this.handle) {
+      this._open();
+    }
+    return subscription;
+  }
+
+  /**
+   * Stops routing records to a subscription. The shared stream stays open.
+   * @param {StreamManager.Subscription} subscription Subscription returned
+   * by {@link StreamManager#subscribe}.
+   * @returns {void}
+   */
+  public unsubscribe(subscription: StreamManager.Subscription): void {
+    const remaining = (this.subscriptions[subscription.accountId] || []).filter(
+      (other) => other !== subscription,
+    );
+    if (remaining.length) {
+      this.subscriptions[subscription.accountId] = remaining;
+    } else {
+      delete this.subscriptions[subscription.accountId];
+    }
+  }
+
+  /**
+   * Closes the shared stream. A later subscription opens it again, from the
+   * last record received.
+   * @returns {void}
+   */
+  public close(): void {
+    if (this.handle) {
+      this.handle.close();
+      this.handle = undefined;
+    }
+  }
+
+  private _open(): void {
+    const builder =
+      this.opts.endpoint === "effects"
+        ? this.server.effects()
+        : this.server.payments();
+
+    this.handle = builder
+      .cursor(this.lastCursor || this.opts.cursor || "now")
+      .stream(
+        Object.assign({}, this.opts, {
+          onmessage: (record: any) => this._route(record),
+        }),
+      );
+  }
+
+  private _route(record: StreamManager.Record): void {
+    if (record.paging_token) {
+      this.lastCursor = record.paging_token;
+    }
+
+    const notified: StreamManager.Subscription[] = [];
+    ACCOUNT_FIELDS.forEach((field) => {
+      const accountId = (record as any)[field];
+      if (typeof accountId !== "string") {
+        return;
+      }
+      (this.subscriptions[accountId] || []).forEach((subscription) => {
+        // e.g. payments to self
+        if (notified.indexOf(subscription) >= 0) {
+          return;
+        }
+        notified.push(subscription);
+        try {
+          subscription.onmessage(record);
+        } catch (e) {
+          if (this.opts.onerror) {
+            this.opts.onerror(e);
+          }
+        }
+      });
+    });
+  }
+}
+
+export namespace StreamManager {
+  export type Record = ServerApi.OperationRecord | ServerApi.EffectRecord;
+
+  export interface Options
+    extends Pick<
+      EventSourceOptions<Record>,
+      | "onerror"
+      | "onopen"
+      | "onreconnect"
+      | "onidle"
+      | "reconnectTimeout"
+      | "idleTimeout"
+      | "transport"
+      | "pollInterval"
+      | "cursorStore"
+      | "cursorKey"
+    > {
+    endpoint?: "payments" | "effects";
+    cursor?: string;
+  }
+
+  export interface Subscription {
+    accountId: string;
+    onmessage: (record: Record) => void;
+    unsubscribe: () => void;
+  }
+}
@@ -1,5 +1,5 @@
 import { Asset } from "aiblocks-base-sdk";
-import { CallBuilder } from "./call_builder";
+import { CallBuilder, CallBuilderOptions } from "./call_builder";
 import { ServerApi } from "./server_api";
 
 /**
@@ -37,8 +37,9 @@ export class StrictReceivePathCallBuilder extends CallBuilder<
     source: string | Asset[],
     destinationAsset: Asset,
     destinationAmount: string,
+    options?: CallBuilderOptions,
   ) {
-    super(serverUrl);
+    super(serverUrl, options);
     this.url.segment("paths/strict-receive");
 
     if (typeof source === "string") {
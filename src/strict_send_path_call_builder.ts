@@ -1,5 +1,5 @@
 import { Asset } from "aiblocks-base-sdk";
-import { CallBuilder } from "./call_builder";
+import { CallBuilder, CallBuilderOptions } from "./call_builder";
 import { ServerApi } from "./server_api";
 
 /**
@@ -37,8 +37,9 @@ export class StrictSendPathCallBuilder extends CallBuilder<
     sourceAsset: Asset,
     sourceAmount: string,
     destination: string | Asset[],
+    options?: CallBuilderOptions,
   ) {
-    super(serverUrl);
+    super(serverUrl, options);
 
     this.url.segment("paths/strict-send");
 
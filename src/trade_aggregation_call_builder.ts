@@ -1,6 +1,6 @@
 /* tslint:disable: variable-name */
 import { Asset } from "aiblocks-base-sdk";
-import { CallBuilder } from "./call_builder";
+import { CallBuilder, CallBuilderOptions } from "./call_builder";
 import { BadRequestError } from "./errors";
 import { Millennium } from "./millennium_api";
 import { ServerApi } from "./server_api";
@@ -40,8 +40,9 @@ export class TradeAggregationCallBuilder extends CallBuilder<
     end_time: number,
     resolution: number,
     offset: number,
+    options?: CallBuilderOptions,
   ) {
-    super(serverUrl);
+    super(serverUrl, options);
 
     this.url.segment("trade_aggregations");
     if (!base.isNative()) {
@@ -3,14 +3,20 @@ import {
   BASE_FEE,
   FeeBumpTransaction,
   Keypair,
+  Memo,
+  MemoID,
+  MemoNone,
   Operation,
+  StrKey,
   TimeoutInfinite,
   Transaction,
   TransactionBuilder,
 } from "aiblocks-base-sdk";
 import clone from "lodash/clone";
 import randomBytes from "randombytes";
+import { AiBlocksTomlResolver } from "./aiblocks_toml_resolver";
 import { InvalidSep10ChallengeError } from "./errors";
+import { muxedAccountFromXdr, muxedAccountToXdr } from "./muxed_account";
 import { ServerApi } from "./server_api";
 
 /**
@@ -29,11 +35,17 @@ export namespace Utils {
    * @param {string} homeDomain The fully qualified domain name of the service requiring authentication
    * @param {number} [timeout=300] Challenge duration (default to 5 minutes).
    * @param {string} networkPassphrase The network passphrase. If you pass this argument then timeout is required.
+   * @param {string} [memo] The ID memo to attach to the challenge, for clients that share an account and tell users apart by memo. Not allowed with a muxed `clientAccountID`.
+   * @param {string} [clientDomain] The home domain of the client (wallet) requesting authentication. Adds a `client_domain` Manage Data operation the client domain must sign.
+   * @param {string} [clientSigningKey] The `SIGNING_KEY` of the client domain, see {@link Utils.fetchClientDomainSigningKey}. Required with `clientDomain`.
    * @example
    * import { Utils, Keypair, Networks }  from 'aiblocks-sdk'
    *
    * let serverKeyPair = Keypair.fromSecret("server-secret")
    * let challenge = Utils.buildChallengeTx(serverKeyPair, "client-aiblocks-account-id", "SDF", 300, Networks.TESTNET)
+   *
+   * // The client account may be a muxed (M...) account, or share a G... account with a memo
+   * let memoChallenge = Utils.buildChallengeTx(serverKeyPair, "client-aiblocks-account-id", "SDF", 300, Networks.TESTNET, "1234")
    * @returns {string} A base64 encoded string of the raw TransactionEnvelope xdr struct for the transaction.
    */
   export function buildChallengeTx(
@@ -42,10 +54,18 @@ export namespace Utils {
     homeDomain: string,
     timeout: number = 300,
     networkPassphrase: string,
+    memo: string | null = null,
+    clientDomain: string | null = null,
+    clientSigningKey: string | null = null,
   ): string {
-    if (clientAccountID.startsWith("M")) {
+    if (clientAccountID.startsWith("M") && memo) {
+      throw Error(
+        "Invalid memo: a memo cannot be used with a multiplexed clientAccountID.",
+      );
+    }
+    if (clientDomain && !clientSigningKey) {
       throw Error(
-        "Invalid clientAccountID: multiplexed accounts are not supported.",
+        "Invalid clientSigningKey: it is required with a clientDomain.",
       );
     }
 
@@ -59,23 +79,36 @@ export namespace Utils {
     // turned into binary represents 8 bits = 1 bytes.
     const value = randomBytes(48).toString("base64");
 
-    const transaction = new TransactionBuilder(account, {
+    // The base SDK can't use M... addresses as operation sources.
+    const operation = Operation.manageData({
+      name: `${homeDomain} auth`,
+      value,
+    });
+    operation.sourceAccount(muxedAccountToXdr(clientAccountID));
+
+    const builder = new TransactionBuilder(account, {
       fee: BASE_FEE,
       networkPassphrase,
       timebounds: {
         minTime: now,
         maxTime: now + timeout,
       },
-    })
-      .addOperation(
+    }).addOperation(operation);
+
+    if (memo) {
+      builder.addMemo(Memo.id(memo));
+    }
+    if (clientDomain) {
+      builder.addOperation(
         Operation.manageData({
-          name: `${homeDomain} auth`,
-          value,
-          source: clientAccountID,
+          name: "client_domain",
+          value: clientDomain,
+          source: clientSigningKey!,
         }),
-      )
-      .build();
+      );
+    }
 
+    const transaction = builder.build();
     transaction.sign(serverKeypair);
 
     return transaction
@@ -84,11 +117,43 @@ export namespace Utils {
       .toString();
   }
 
+  /**
+   * Looks up the `SIGNING_KEY` of a client domain in its `aiblocks.toml`, to
+   * build a challenge with a `client_domain` operation.
+   *
+   * @see [SEP0010: AiBlocks Web Authentication](https://github.com/aiblocks/aiblocks-protocol/blob/master/ecosystem/sep-0010.md).
+   * @function
+   * @memberof Utils
+   * @param {string} clientDomain The home domain of the client.
+   * @param {object} [opts] Options object, see {@link AiBlocksTomlResolver.resolve}.
+   * @example
+   * const clientSigningKey = await Utils.fetchClientDomainSigningKey("wallet.com");
+   * const challenge = Utils.buildChallengeTx(serverKeyPair, clientAccountID, "SDF", 300, Networks.TESTNET, null, "wallet.com", clientSigningKey);
+   * @returns {Promise<string>} The signing key.
+   */
+  export async function fetchClientDomainSigningKey(
+    clientDomain: string,
+    opts: AiBlocksTomlResolver.AiBlocksTomlResolveOptions = {},
+  ): Promise<string> {
+    const tomlObject = await AiBlocksTomlResolver.resolve(clientDomain, opts);
+    const signingKey = tomlObject.SIGNING_KEY;
+    if (
+      typeof signingKey !== "string" ||
+      !StrKey.isValidEd25519PublicKey(signingKey)
+    ) {
+      throw new Error(
+        `aiblocks.toml of ${clientDomain} does not contain a valid SIGNING_KEY field`,
+      );
+    }
+    return signingKey;
+  }
+
   /**
    * readChallengeTx reads a SEP 10 challenge transaction and returns the decoded
    * transaction and client account ID contained within.
    *
-   * It also verifies that the transaction has been signed by the server.
+   * It also verifies that the transaction has been signed by the server, and
+   * that a memo, if any, is an ID memo for a non-muxed client account.
    *
    * It does not verify that the transaction has been signed by the client or
    * that any signatures other than the server's on the transaction are valid. Use
@@ -103,14 +168,21 @@ export namespace Utils {
    * @param {string} serverAccountID The server's aiblocks account (public key).
    * @param {string} networkPassphrase The network passphrase, e.g.: 'Test SDF Network ; September 2015'.
    * @param {string|string[]} [homeDomains] The home domain that is expected to be included in the first Manage Data operation's string key. If an array is provided, one of the domain names in the array must match.
-   * @returns {Transaction|string|string} The actual transaction and the aiblocks public key (master key) used to sign the Manage Data operation, and matched home domain.
+   * @returns {Transaction|string|string|string|string|string} The actual transaction, the client account (a G... key, or an M... muxed account) in the source of the first Manage Data operation, the matched home domain, the ID memo of the transaction, and the domain and signing key of the `client_domain` Manage Data operation. The last three are `null` when the transaction has none.
    */
   export function readChallengeTx(
     challengeTx: string,
     serverAccountID: string,
     networkPassphrase: string,
     homeDomains: string | string[],
-  ): { tx: Transaction; clientAccountID: string; matchedHomeDomain: string } {
+  ): {
+    tx: Transaction;
+    clientAccountID: string;
+    matchedHomeDomain: string;
+    memo: string | null;
+    clientDomain: string | null;
+    clientSigningKey: string | null;
+  } {
     if (serverAccountID.startsWith("M")) {
       throw Error(
         "Invalid serverAccountID: multiplexed accounts are not supported.",
@@ -158,7 +230,10 @@ export namespace Utils {
         "The transaction's operation should contain a source account",
       );
     }
-    const clientAccountID: string = operation.source!;
+    // TODO: fix aiblocks-base-sdk types.
+    const clientAccountID = muxedAccountFromXdr(
+      (transaction as any).tx.operations()[0].sourceAccount(),
+    );
 
     if (operation.type !== "manageData") {
       throw new InvalidSep10ChallengeError(
@@ -166,6 +241,22 @@ export namespace Utils {
       );
     }
 
+    // verify memo
+    let memo: string | null = null;
+    if (transaction.memo.type !== MemoNone) {
+      if (clientAccountID.startsWith("M")) {
+        throw new InvalidSep10ChallengeError(
+          "The transaction has a memo but the client account ID is a muxed account",
+        );
+      }
+      if (transaction.memo.type !== MemoID) {
+        throw new InvalidSep10ChallengeError(
+          "The transaction's memo must be of type `id`",
+        );
+      }
+      memo = transaction.memo.value as string;
+    }
+
     // verify timebounds
     if (
       transaction.timeBounds &&
@@ -216,13 +307,26 @@ export namespace Utils {
       );
     }
 
-    // verify any subsequent operations are manage data ops and source account is the server
+    // verify any subsequent operations are manage data ops and source account
+    // is the server, except for the client_domain operation
+    let clientDomain: string | null = null;
+    let clientSigningKey: string | null = null;
     for (const op of subsequentOperations) {
       if (op.type !== "manageData") {
         throw new InvalidSep10ChallengeError(
           "The transaction has operations that are not of type 'manageData'",
         );
       }
+      if (op.name === "client_domain") {
+        if (clientSigningKey || !op.source || !op.value) {
+          throw new InvalidSep10ChallengeError(
+            "The transaction has an invalid 'client_domain' operation",
+          );
+        }
+        clientDomain = op.value.toString();
+        clientSigningKey = op.source;
+        continue;
+      }
       if (op.source !== serverAccountID) {
         throw new InvalidSep10ChallengeError(
           "The transaction has operations that are unrecognized",
@@ -230,7 +334,14 @@ export namespace Utils {
       }
     }
 
-    return { tx: transaction, clientAccountID, matchedHomeDomain };
+    return {
+      tx: transaction,
+      clientAccountID,
+      matchedHomeDomain,
+      memo,
+      clientDomain,
+      clientSigningKey,
+    };
   }
 
   /**
@@ -249,8 +360,15 @@ export namespace Utils {
    *  - No client signatures are found on the transaction.
    *  - One or more signatures in the transaction are not identifiable as the
    *    server account or one of the signers provided in the arguments.
+   *  - The transaction has a `client_domain` operation but isn't signed by its
+   *    source account, the client domain's signing key.
    *  - The signatures are all valid but do not meet the threshold.
    *
+   * The signature of the client domain doesn't count towards the threshold,
+   * even if its signing key is also a signer of the account: it vouches for
+   * the client application, not for the account. For a muxed (M...) client
+   * account, pass the signers and threshold of its G... account.
+   *
    * @see [SEP0010: AiBlocks Web Authentication](https://github.com/aiblocks/aiblocks-protocol/blob/master/ecosystem/sep-0010.md).
    * @function
    * @memberof Utils
@@ -314,16 +432,24 @@ export namespace Utils {
   ): string[] {
     const signers = signerSummary.map((signer) => signer.key);
 
-    const signersFound = verifyChallengeTxSigners(
+    const challenge = readChallengeTx(
       challengeTx,
       serverAccountID,
       networkPassphrase,
-      signers,
       homeDomains,
     );
+    const signersFound = verifyChallengeSigners(
+      challenge,
+      serverAccountID,
+      signers,
+    );
+    const { clientSigningKey } = challenge;
 
     let weight = 0;
     for (const signer of signersFound) {
+      if (signer === clientSigningKey) {
+        continue;
+      }
       const sigWeight =
         signerSummary.find((s) => s.key === signer)?.weight || 0;
       weight += sigWeight;
@@ -354,6 +480,11 @@ export namespace Utils {
    *  - No client signatures are found on the transaction.
    *  - One or more signatures in the transaction are not identifiable as the
    *    server account or one of the signers provided in the arguments.
+   *  - The transaction has a `client_domain` operation but isn't signed by its
+   *    source account, the client domain's signing key.
+   *
+   * The client domain's signing key isn't returned, unless it is also one of
+   * the signers provided in the arguments.
    *
    * @see [SEP0010: AiBlocks Web Authentication](https://github.com/aiblocks/aiblocks-protocol/blob/master/ecosystem/sep-0010.md).
    * @function
@@ -402,12 +533,32 @@ export namespace Utils {
     homeDomains: string | string[],
   ): string[] {
     // Read the transaction which validates its structure.
-    const { tx } = readChallengeTx(
+    const challenge = readChallengeTx(
       challengeTx,
       serverAccountID,
       networkPassphrase,
       homeDomains,
     );
+    return verifyChallengeSigners(challenge, serverAccountID, signers);
+  }
+
+  /**
+   * Verifies the signatures of a challenge read by {@link readChallengeTx},
+   * see {@link verifyChallengeTxSigners}.
+   *
+   * @function
+   * @memberof Utils
+   * @param {object} challenge The result of {@link readChallengeTx}.
+   * @param {string} serverAccountID The server's aiblocks account (public key).
+   * @param {string[]} signers The signers public keys.
+   * @returns {string[]} The list of signers public keys that have signed the transaction, excluding the server account ID.
+   */
+  function verifyChallengeSigners(
+    challenge: ReturnType<typeof readChallengeTx>,
+    serverAccountID: string,
+    signers: string[],
+  ): string[] {
+    const { tx, clientSigningKey } = challenge;
 
     // Ensure the server account ID is an address and not a seed.
     let serverKP: Keypair;
@@ -457,6 +608,16 @@ export namespace Utils {
       ...Array.from(clientSigners),
     ];
 
+    // The client domain must sign too, but it isn't a signer of the client
+    // account.
+    const clientDomainSigner =
+      clientSigningKey && !clientSigners.has(clientSigningKey)
+        ? clientSigningKey
+        : null;
+    if (clientDomainSigner) {
+      allSigners.push(clientDomainSigner);
+    }
+
     const signersFound: string[] = gatherTxSigners(tx, allSigners);
 
     // Confirm we matched a signature to the server signer.
@@ -466,8 +627,17 @@ export namespace Utils {
       );
     }
 
+    // Confirm we matched a signature to the client domain signer.
+    if (clientSigningKey && signersFound.indexOf(clientSigningKey) === -1) {
+      throw new InvalidSep10ChallengeError(
+        "Transaction not signed by the source account of the 'client_domain' ManageData operation: '" +
+          clientSigningKey +
+          "'",
+      );
+    }
+
     // Confirm we matched at least one given signer with the transaction signatures
-    if (signersFound.length === 1) {
+    if (signersFound.length === (clientDomainSigner ? 2 : 1)) {
       throw new InvalidSep10ChallengeError(
         "None of the given signers match the transaction signatures",
       );
@@ -480,8 +650,11 @@ export namespace Utils {
       );
     }
 
-    // Remove the server public key before returning
+    // Remove the server and client domain public keys before returning
     signersFound.splice(signersFound.indexOf(serverKP.publicKey()), 1);
+    if (clientDomainSigner) {
+      signersFound.splice(signersFound.indexOf(clientDomainSigner), 1);
+    }
 
     return signersFound;
   }
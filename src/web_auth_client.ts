@@ -0,0 +1,293 @@
+/* tslint:disable:no-namespace */
+import { Keypair, Transaction } from "aiblocks-base-sdk";
+import axios from "axios";
+import URI from "urijs";
+
+import { AiBlocksTomlResolver } from "./aiblocks_toml_resolver";
+import { Config } from "./config";
+import { BadResponseError, InvalidSep10ChallengeError } from "./errors";
+import { decodeJwt, JwtClaims } from "./jwt";
+import { Utils } from "./utils";
+
+/**
+ * WebAuthClient authenticates accounts with a
+ * [SEP-10](https://github.com/aiblocks/aiblocks-protocol/blob/master/ecosystem/sep-0010.md)
+ * web authentication server, the client half of {@link Utils.buildChallengeTx}
+ * and {@link Utils.verifyChallengeTxThreshold}.
+ *
+ * It requests a challenge transaction for the account, checks that the
+ * server's signing key signed it with {@link Utils.readChallengeTx}, signs it
+ * with the account's keypairs and exchanges it for a JSON Web Token.
+ * {@link WebAuthClient#getToken} caches tokens until shortly before they
+ * expire.
+ *
+ * ```js
+ * const auth = await AiBlocksSdk.WebAuthClient.createForDomain("acme.com", {
+ *   networkPassphrase: AiBlocksSdk.Networks.TESTNET,
+ * });
+ * const { token } = await auth.getToken(keypair.publicKey(), [keypair]);
+ * axios.get("https://acme.com/kyc", {
+ *   headers: { Authorization: `Bearer ${token}` },
+ * });
+ * ```
+ * @constructor
+ * @param {string} authEndpoint The `WEB_AUTH_ENDPOINT` of the server.
+ * @param {string} serverSigningKey The `SIGNING_KEY` of the server.
+ * @param {string} homeDomain Domain of the server's `aiblocks.toml`.
+ * @param {object} opts Options object
+ * @param {string} opts.networkPassphrase The network passphrase.
+ * @param {boolean} [opts.allowHttp] - Allow connecting to http servers,
+ * default: `false`. This must be set to false in production deployments! You
+ * can also use {@link Config} class to set this globally.
+ * @param {number} [opts.timeout] - Allow a timeout, default: 0. You can also
+ * use {@link Config} class to set this globally.
+ * @param {string} [opts.clientDomain] - Home domain of the wallet, sent as
+ * `client_domain`. Its signing keypair must be one of the signers.
+ * @param {number} [opts.refreshMargin] - Seconds before a cached token
+ * expires when {@link WebAuthClient#getToken} requests a new one, default:
+ * `60`.
+ */
+export class WebAuthClient {
+  private readonly authEndpoint: URI;
+  private readonly timeout: number;
+  private readonly tokens: {
+    [account: string]: Promise<WebAuthClient.Token>;
+  } = {};
+
+  /**
+   * Creates a `WebAuthClient` from the `WEB_AUTH_ENDPOINT` and `SIGNING_KEY`
+   * of the `aiblocks.toml` file of a domain.
+   * @param {string} domain Domain to get the `aiblocks.toml` file of.
+   * @param {object} opts Options object, see {@link WebAuthClient}.
+   * @returns {Promise<WebAuthClient>} A `Promise` that resolves to the
+   * client, or rejects if `aiblocks.toml` lacks one of the fields.
+   */
+  public static async createForDomain(
+    domain: string,
+    opts: WebAuthClient.Options,
+  ): Promise<WebAuthClient> {
+    const tomlObject = await AiBlocksTomlResolver.resolve(domain, opts);
+    if (!tomlObject.WEB_AUTH_ENDPOINT) {
+      throw new Error("aiblocks.toml does not contain WEB_AUTH_ENDPOINT field");
+    }
+    if (!tomlObject.SIGNING_KEY) {
+      throw new Error("aiblocks.toml does not contain SIGNING_KEY field");
+    }
+    return new WebAuthClient(
+      tomlObject.WEB_AUTH_ENDPOINT,
+      tomlObject.SIGNING_KEY,
+      domain,
+      opts,
+    );
+  }
+
+  constructor(
+    authEndpoint: string,
+    private readonly serverSigningKey: string,
+    private readonly homeDomain: string,
+    private readonly opts: WebAuthClient.Options,
+  ) {
+    this.authEndpoint = URI(authEndpoint);
+
+    const allowHttp =
+      typeof opts.allowHttp === "undefined"
+        ? Config.isAllowHttp()
+        : opts.allowHttp;
+
+    this.timeout =
+      typeof opts.timeout === "undefined" ? Config.getTimeout() : opts.timeout;
+
+    if (this.authEndpoint.protocol() !== "https" && !allowHttp) {
+      throw new Error("Cannot connect to insecure web auth server");
+    }
+  }
+
+  /**
+   * Requests a challenge transaction for an account, and validates it.
+   * @param {string} account Account to authenticate, a `G...` key or an
+   * `M...` muxed account.
+   * @returns {Promise<Transaction>} The challenge, signed by the server.
+   * @throws {InvalidSep10ChallengeError} If the challenge is invalid, isn't
+   * for `account`, or isn't signed by the server's signing key.
+   */
+  public async getChallenge(account: string): Promise<Transaction> {
+    const url = this.authEndpoint
+      .clone()
+      .setQuery({ account, home_domain: this.homeDomain });
+    if (this.opts.clientDomain) {
+      url.setQuery("client_domain", this.opts.clientDomain);
+    }
+    const data = await this._request(
+      axios.get(url.toString(), { timeout: this.timeout }),
+    );
+
+    if (
+      data.network_passphrase &&
+      data.network_passphrase !== this.opts.networkPassphrase
+    ) {
+      throw new InvalidSep10ChallengeError(
+        `The challenge is for the network "${data.network_passphrase}"`,
+      );
+    }
+    if (typeof data.transaction !== "string") {
+      throw new BadResponseError(
+        "The challenge response has no transaction",
+        data,
+      );
+    }
+
+    const { tx, clientAccountID, clientDomain } = Utils.readChallengeTx(
+      data.transaction,
+      this.serverSigningKey,
+      this.opts.networkPassphrase,
+      this.homeDomain,
+    );
+    if (clientAccountID !== account) {
+      throw new InvalidSep10ChallengeError(
+        `The challenge is for the account ${clientAccountID}`,
+      );
+    }
+    if ((this.opts.clientDomain || null) !== clientDomain) {
+      throw new InvalidSep10ChallengeError(
+        `The challenge is for the client domain ${clientDomain}`,
+      );
+    }
+    if (!Utils.verifyTxSignedBy(tx, this.serverSigningKey)) {
+      throw new InvalidSep10ChallengeError(
+        "The challenge is not signed by the server's signing key",
+      );
+    }
+    return tx;
+  }
+
+  /**
+   * Authenticates an account: requests a challenge, signs it with `signers`
+   * and exchanges it for a token. Doesn't use the token cache.
+   * @param {string} account Account to authenticate.
+   * @param {Keypair[]} signers Keypairs to sign the challenge with: the
+   * account's master key, or signers meeting its medium threshold, and the
+   * signing keypair of `clientDomain` if set.
+   * @returns {Promise<WebAuthClient.Token>} The token and its claims.
+   */
+  public async authenticate(
+    account: string,
+    signers: Keypair[],
+  ): Promise<WebAuthClient.Token> {
+    const challenge = await this.getChallenge(account);
+    challenge.sign(...signers);
+
+    const data = await this._request(
+      axios.post(
+        this.authEndpoint.toString(),
+        { transaction: challenge.toXDR() },
+        { timeout: this.timeout },
+      ),
+    );
+    if (typeof data.token !== "string") {
+      throw new BadResponseError("The token response has no token", data);
+    }
+
+    let claims: JwtClaims;
+    try {
+      claims = decodeJwt(data.token);
+    } catch (e) {
+      throw new BadResponseError(e.message, data);
+    }
+    return {
+      token: data.token,
+      account,
+      expiresAt: new Date(claims.exp * 1000),
+      claims,
+    };
+  }
+
+  /**
+   * Returns the cached token of an account, authenticating it first if there
+   * is none or if it expires within `refreshMargin` seconds. Concurrent calls
+   * share one authentication.
+   * @param {string} account Account to authenticate.
+   * @param {Keypair[]} signers Keypairs to sign the challenge with.
+   * @returns {Promise<WebAuthClient.Token>} A token that is still valid.
+   */
+  public async getToken(
+    account: string,
+    signers: Keypair[],
+  ): Promise<WebAuthClient.Token> {
+    const cached = this.tokens[account];
+    if (cached) {
+      const token = await cached.catch(() => undefined);
+      if (token && !this._expiresSoon(token)) {
+        return token;
+      }
+      if (this.tokens[account] !== cached) {
+        // another call is already refreshing it
+        return this.getToken(account, signers);
+      }
+    }
+
+    const authenticating = this.authenticate(account, signers);
+    this.tokens[account] = authenticating;
+    authenticating.catch(() => {
+      if (this.tokens[account] === authenticating) {
+        delete this.tokens[account];
+      }
+    });
+    return authenticating;
+  }
+
+  /**
+   * Forgets the cached tokens, e.g. after the server rejected one.
+   * @param {string} [account] Account whose token to forget, default: all.
+   * @returns {void}
+   */
+  public clearTokens(account?: string): void {
+    Object.keys(this.tokens).forEach((key) => {
+      if (account === undefined || key === account) {
+        delete this.tokens[key];
+      }
+    });
+  }
+
+  private _expiresSoon(token: WebAuthClient.Token): boolean {
+    const margin =
+      this.opts.refreshMargin === undefined ? 60 : this.opts.refreshMargin;
+    return token.expiresAt.getTime() - margin * 1000 <= Date.now();
+  }
+
+  private async _request(request: Promise<any>): Promise<any> {
+    try {
+      return (await request).data;
+    } catch (e) {
+      if (e.response) {
+        throw new BadResponseError(
+          `Web auth server responded: ${e.response.status} ${e.response.statusText}`,
+          e.response.data,
+        );
+      }
+      throw e;
+    }
+  }
+}
+
+export namespace WebAuthClient {
+  export interface Options {
+    networkPassphrase: string;
+    allowHttp?: boolean;
+    timeout?: number;
+    clientDomain?: string;
+    refreshMargin?: number;
+  }
+
+  export interface Token {
+    /**
+     * The encoded JWT, to send as `Authorization: Bearer <token>`.
+     */
+    token: string;
+    account: string;
+    expiresAt: Date;
+    /**
+     * Claims of the token, decoded without verifying its signature.
+     */
+    claims: JwtClaims;
+  }
+}
@@ -0,0 +1,292 @@
+/* tslint:disable:no-namespace */
+import { Keypair, StrKey } from "aiblocks-base-sdk";
+
+import { InvalidJwtError } from "./errors";
+import { JwtClaims, signJwt, verifyJwt } from "./jwt";
+import { decodeMuxedAccount, isValidMuxedAccount } from "./muxed_account";
+import { loadAccountIfExists } from "./preflight";
+import { Server } from "./server";
+import { Utils } from "./utils";
+
+/**
+ * WebAuthServer implements the endpoints of a
+ * [SEP-10](https://github.com/aiblocks/aiblocks-protocol/blob/master/ecosystem/sep-0010.md)
+ * web authentication server, without depending on an HTTP framework: the
+ * handlers take the query, body and headers of a request and resolve to a
+ * status and a JSON body.
+ *
+ * {@link WebAuthServer#token} verifies the signed challenge against the
+ * signers and medium threshold of the client account. When the account
+ * doesn't exist, the challenge must be signed by its master key only. Tokens
+ * are JSON Web Tokens signed with `jwtSecret`; protect other routes with
+ * {@link WebAuthServer#verifyRequest}.
+ *
+ * Clients may authenticate muxed (`M...`) accounts, or users of a shared
+ * account with a `memo`: the `sub` claim is then the `M...` address, or the
+ * account and memo joined by a colon. A `client_domain` adds the client
+ * domain's signature to the requirements and to the `client_domain` claim.
+ *
+ * ```js
+ * const auth = new AiBlocksSdk.WebAuthServer({
+ *   server: new AiBlocksSdk.Server("https://millennium-testnet.aiblocks.io"),
+ *   signingKeypair: AiBlocksSdk.Keypair.fromSecret(process.env.SIGNING_SECRET),
+ *   networkPassphrase: AiBlocksSdk.Networks.TESTNET,
+ *   homeDomains: "acme.com",
+ *   authEndpoint: "https://acme.com/auth",
+ *   jwtSecret: process.env.JWT_SECRET,
+ * });
+ *
+ * app.get("/auth", async (req, res) => {
+ *   const { status, body } = await auth.challenge(req);
+ *   res.status(status).json(body);
+ * });
+ * app.post("/auth", async (req, res) => {
+ *   const { status, body } = await auth.token(req);
+ *   res.status(status).json(body);
+ * });
+ * app.get("/kyc", (req, res) => {
+ *   const { sub } = auth.verifyRequest(req); // throws InvalidJwtError
+ * });
+ * ```
+ * @constructor
+ * @param {object} opts Options object
+ * @param {Server} opts.server Server to load client accounts from.
+ * @param {Keypair} opts.signingKeypair Keypair of the `SIGNING_KEY` in
+ * `aiblocks.toml`, which signs the challenges.
+ * @param {string} opts.networkPassphrase The network passphrase.
+ * @param {string|string[]} opts.homeDomains Home domain(s) the server
+ * accepts. Challenges are for the first one unless the client asks for
+ * another with `home_domain`.
+ * @param {string} opts.authEndpoint The `WEB_AUTH_ENDPOINT` in
+ * `aiblocks.toml`, used as the `iss` claim of the tokens.
+ * @param {string|Buffer} opts.jwtSecret Key to sign the tokens with.
+ * @param {number} [opts.challengeTimeout] Seconds a challenge is valid for,
+ * default: `300`.
+ * @param {number} [opts.tokenTimeout] Seconds a token is valid for, default:
+ * `86400`.
+ */
+export class WebAuthServer {
+  private readonly homeDomains: string[];
+
+  constructor(private readonly opts: WebAuthServer.Options) {
+    this.homeDomains =
+      typeof opts.homeDomains === "string"
+        ? [opts.homeDomains]
+        : opts.homeDomains;
+    if (!this.homeDomains.length) {
+      throw new Error("At least one home domain is required");
+    }
+    if (!opts.jwtSecret || !opts.jwtSecret.length) {
+      throw new Error("jwtSecret is required");
+    }
+  }
+
+  /**
+   * Handles `GET <WEB_AUTH_ENDPOINT>?account=...`, with the optional
+   * `home_domain`, `memo` and `client_domain` parameters. The signing key of
+   * `client_domain` is looked up in its `aiblocks.toml`.
+   * @param {WebAuthServer.Request} request The request; its `query` is read.
+   * @returns {Promise<WebAuthServer.Response>} `200` with the `transaction`
+   * and `network_passphrase`, or `400` with an `error`.
+   */
+  public async challenge(
+    request: WebAuthServer.Request,
+  ): Promise<WebAuthServer.Response> {
+    const query = request.query || {};
+    const account = query.account;
+    if (
+      typeof account !== "string" ||
+      !(StrKey.isValidEd25519PublicKey(account) || isValidMuxedAccount(account))
+    ) {
+      return _error("account is missing or invalid");
+    }
+    const homeDomain =
+      query.home_domain === undefined ? this.homeDomains[0] : query.home_domain;
+    if (this.homeDomains.indexOf(homeDomain) === -1) {
+      return _error(
+        `home_domain must be one of ${this.homeDomains.join(", ")}`,
+      );
+    }
+
+    const clientDomain = query.client_domain || null;
+    let clientSigningKey = null;
+    if (clientDomain) {
+      try {
+        clientSigningKey = await Utils.fetchClientDomainSigningKey(
+          clientDomain,
+        );
+      } catch (e) {
+        return _error(`client_domain is invalid: ${e.message}`);
+      }
+    }
+
+    let transaction;
+    try {
+      transaction = Utils.buildChallengeTx(
+        this.opts.signingKeypair,
+        account,
+        homeDomain,
+        this.opts.challengeTimeout === undefined
+          ? 300
+          : this.opts.challengeTimeout,
+        this.opts.networkPassphrase,
+        query.memo || null,
+        clientDomain,
+        clientSigningKey,
+      );
+    } catch (e) {
+      return _error(e.message);
+    }
+    return {
+      status: 200,
+      body: {
+        transaction,
+        network_passphrase: this.opts.networkPassphrase,
+      },
+    };
+  }
+
+  /**
+   * Handles `POST <WEB_AUTH_ENDPOINT>` with the signed challenge as the
+   * `transaction` field of a JSON or form body.
+   * @param {WebAuthServer.Request} request The request; its `body` is read.
+   * @returns {Promise<WebAuthServer.Response>} `200` with the `token`, or
+   * `400` with an `error` if the challenge is invalid or not signed by enough
+   * of the client's signers. Rejects if the client account can't be loaded.
+   */
+  public async token(
+    request: WebAuthServer.Request,
+  ): Promise<WebAuthServer.Response> {
+    const transaction = request.body && request.body.transaction;
+    if (typeof transaction !== "string") {
+      return _error("transaction is required");
+    }
+    const serverAccountID = this.opts.signingKeypair.publicKey();
+    const { networkPassphrase } = this.opts;
+
+    let challenge;
+    try {
+      challenge = Utils.readChallengeTx(
+        transaction,
+        serverAccountID,
+        networkPassphrase,
+        this.homeDomains,
+      );
+    } catch (e) {
+      return _error(e.message);
+    }
+
+    const { tx, clientAccountID, memo, clientDomain } = challenge;
+    // Muxed accounts are authenticated by the signers of their G... account.
+    const accountId = clientAccountID.startsWith("M")
+      ? decodeMuxedAccount(clientAccountID).accountId
+      : clientAccountID;
+    const account = await loadAccountIfExists(this.opts.server, accountId);
+    try {
+      if (account) {
+        Utils.verifyChallengeTxThreshold(
+          transaction,
+          serverAccountID,
+          networkPassphrase,
+          account.getThreshold("med"),
+          account.signers,
+          this.homeDomains,
+        );
+      } else {
+        Utils.verifyChallengeTxSigners(
+          transaction,
+          serverAccountID,
+          networkPassphrase,
+          [accountId],
+          this.homeDomains,
+        );
+      }
+    } catch (e) {
+      return _error(e.message);
+    }
+
+    const now = Math.floor(Date.now() / 1000);
+    const claims: JwtClaims = {
+      iss: this.opts.authEndpoint,
+      sub: memo ? `${clientAccountID}:${memo}` : clientAccountID,
+      iat: now,
+      exp:
+        now +
+        (this.opts.tokenTimeout === undefined ? 86400 : this.opts.tokenTimeout),
+      jti: tx.hash().toString("hex"),
+    };
+    if (clientDomain) {
+      claims.client_domain = clientDomain;
+    }
+    const token = signJwt(claims, this.opts.jwtSecret);
+    return { status: 200, body: { token } };
+  }
+
+  /**
+   * Verifies a token issued by {@link WebAuthServer#token}.
+   * @param {string} token The encoded token.
+   * @returns {JwtClaims} Its claims; `sub` is the authenticated account.
+   * @throws {InvalidJwtError} If the token is invalid or has expired.
+   */
+  public verifyToken(token: string): JwtClaims {
+    return verifyJwt(token, this.opts.jwtSecret, {
+      issuer: this.opts.authEndpoint,
+    });
+  }
+
+  /**
+   * Verifies the `Authorization: Bearer <token>` header of a request to a
+   * protected route.
+   * @param {WebAuthServer.Request} request The request; its `headers` are
+   * read.
+   * @returns {JwtClaims} The claims of the token.
+   * @throws {InvalidJwtError} If the header is missing, or its token is
+   * invalid or has expired.
+   */
+  public verifyRequest(request: WebAuthServer.Request): JwtClaims {
+    const headers = request.headers || {};
+    const name = Object.keys(headers).find(
+      (key) => key.toLowerCase() === "authorization",
+    );
+    const header = name === undefined ? undefined : headers[name];
+    const match = /^Bearer\s+(\S+)$/i.exec(
+      Array.isArray(header) ? header[0] : header || "",
+    );
+    if (!match) {
+      throw new InvalidJwtError("Missing bearer token");
+    }
+    return this.verifyToken(match[1]);
+  }
+}
+
+function _error(error: string): WebAuthServer.Response {
+  return { status: 400, body: { error } };
+}
+
+export namespace WebAuthServer {
+  export interface Options {
+    server: Server;
+    signingKeypair: Keypair;
+    networkPassphrase: string;
+    homeDomains: string | string[];
+    authEndpoint: string;
+    jwtSecret: string | Buffer;
+    challengeTimeout?: number;
+    tokenTimeout?: number;
+  }
+
+  /**
+   * The parts of an HTTP request the handlers read, e.g. an Express or Koa
+   * request with a parsed body.
+   */
+  export interface Request {
+    query?: { [key: string]: any };
+    body?: any;
+    headers?: { [key: string]: string | string[] | undefined };
+  }
+
+  export interface Response {
+    status: number;
+    body: any;
+  }
+}
@@ -80,4 +80,154 @@ describe("integration tests: streaming", function(done) {
         });
     });
   });
+
+  it("resumes from and checkpoints to a cursor store", function(done) {
+    let server;
+    let closeStream;
+    const cursorStore = new AiBlocksSdk.MemoryCursorStore();
+
+    const requestHandler = (request, response) => {
+      const query = url.parse(request.url, true).query;
+      if (query.cursor !== "100") {
+        done("unexpected cursor " + query.cursor);
+        return;
+      }
+
+      response.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive'
+      });
+      response.write(
+        'retry: 10\ndata: {"id":"101","paging_token":"101"}\n\n'
+      );
+    };
+
+    server = http.createServer(requestHandler);
+    server.listen(port, (err) => {
+      if (err) {
+        done(err);
+        return;
+      }
+
+      cursorStore.set("/operations", "100").then(() => {
+        closeStream = new AiBlocksSdk.Server(`http://localhost:${port}`, {
+          allowHttp: true,
+        })
+          .operations()
+          .stream({
+            cursorStore,
+            onmessage: () => Promise.resolve(),
+            onerror: (err) => {
+              done(err);
+            },
+          });
+      });
+
+      setTimeout(() => {
+        cursorStore.get("/operations").then((cursor) => {
+          closeStream();
+          server.close();
+          done(cursor === "101" ? undefined : "cursor not stored: " + cursor);
+        });
+      }, 500);
+    });
+  });
+
+  it("reports lifecycle events and stats", function(done) {
+    let server;
+    let handle;
+    let requests = 0;
+    const events = [];
+
+    const requestHandler = (request, response) => {
+      requests += 1;
+      response.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive'
+      });
+      if (requests === 1) {
+        response.write("retry: 10\nevent: close\ndata: byebye\n\n");
+        return;
+      }
+      response.write('retry: 10\ndata: {"id":"1","paging_token":"1"}\n\n');
+    };
+
+    server = http.createServer(requestHandler);
+    server.listen(port, (err) => {
+      if (err) {
+        done(err);
+        return;
+      }
+
+      handle = new AiBlocksSdk.Server(`http://localhost:${port}`, {
+        allowHttp: true,
+      })
+        .operations()
+        .stream({
+          onopen: () => events.push("open"),
+          onreconnect: (event) => events.push(event),
+          onmessage: () => {
+            handle.close();
+            server.close();
+            try {
+              expect(events).to.deep.equal([
+                "open",
+                { attempt: 1, reason: "close" },
+                "open",
+              ]);
+              expect(handle.messagesReceived).to.equal(1);
+              expect(handle.reconnectCount).to.equal(1);
+              expect(handle.lastMessageTime).to.be.instanceOf(Date);
+              done();
+            } catch (e) {
+              done(e);
+            }
+          },
+          onerror: (err) => {
+            done(err);
+          },
+        });
+    });
+  });
+
+  it("calls onidle when no message arrives", function(done) {
+    let server;
+    let handle;
+
+    const requestHandler = (request, response) => {
+      response.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive'
+      });
+      response.write("retry: 10\n\n");
+    };
+
+    server = http.createServer(requestHandler);
+    server.listen(port, (err) => {
+      if (err) {
+        done(err);
+        return;
+      }
+
+      handle = new AiBlocksSdk.Server(`http://localhost:${port}`, {
+        allowHttp: true,
+      })
+        .operations()
+        .stream({
+          idleTimeout: 50,
+          onidle: (stats) => {
+            handle();
+            server.close();
+            expect(stats).to.deep.equal({
+              messagesReceived: 0,
+              reconnectCount: 0,
+            });
+            done();
+          },
+        });
+    });
+  });
 });
@@ -0,0 +1,329 @@
+describe('AccountResponse signers', function() {
+  const networkPassphrase = AiBlocksSdk.Networks.TESTNET;
+  const masterKeypair = AiBlocksSdk.Keypair.random();
+  const accountId = masterKeypair.publicKey();
+  const cosigner = AiBlocksSdk.Keypair.random();
+  const other = AiBlocksSdk.Keypair.random();
+  const destination = AiBlocksSdk.Keypair.random().publicKey();
+
+  function account(signers, thresholds) {
+    return new AiBlocksSdk.AccountResponse({
+      id: accountId,
+      account_id: accountId,
+      sequence: '100',
+      thresholds: Object.assign(
+        { low_threshold: 1, med_threshold: 2, high_threshold: 3 },
+        thresholds
+      ),
+      signers: signers || [
+        { key: accountId, weight: 1, type: 'ed25519_public_key' },
+        {
+          key: cosigner.publicKey(),
+          weight: 1,
+          type: 'ed25519_public_key'
+        }
+      ]
+    });
+  }
+
+  function build(operations) {
+    const builder = new AiBlocksSdk.TransactionBuilder(
+      new AiBlocksSdk.Account(accountId, '100'),
+      { fee: '100', networkPassphrase }
+    );
+    operations.forEach((operation) => builder.addOperation(operation));
+    return builder.setTimeout(30).build();
+  }
+
+  function payment(source) {
+    return AiBlocksSdk.Operation.payment({
+      destination,
+      asset: AiBlocksSdk.Asset.native(),
+      amount: '10',
+      source
+    });
+  }
+
+  describe('AccountResponse.getThresholdLevel', function() {
+    it('returns the level each operation type needs', function() {
+      const transaction = build([
+        AiBlocksSdk.Operation.bumpSequence({ bumpTo: '200' }),
+        AiBlocksSdk.Operation.allowTrust({
+          trustor: destination,
+          assetCode: 'USD',
+          authorize: true
+        }),
+        payment(),
+        AiBlocksSdk.Operation.setOptions({ homeDomain: 'example.com' }),
+        AiBlocksSdk.Operation.setOptions({ masterWeight: 0 }),
+        AiBlocksSdk.Operation.setOptions({
+          signer: { ed25519PublicKey: cosigner.publicKey(), weight: 1 }
+        }),
+        AiBlocksSdk.Operation.accountMerge({ destination })
+      ]);
+
+      expect(
+        transaction.operations.map((operation) =>
+          AiBlocksSdk.AccountResponse.getThresholdLevel(operation)
+        )
+      ).to.deep.equal(['low', 'low', 'med', 'med', 'high', 'high', 'high']);
+    });
+  });
+
+  describe('AccountResponse#getThreshold', function() {
+    it('returns the threshold of a level', function() {
+      const response = account();
+
+      expect(
+        ['low', 'med', 'high'].map((level) => response.getThreshold(level))
+      ).to.deep.equal([1, 2, 3]);
+    });
+  });
+
+  describe('AccountResponse#getSignerWeight', function() {
+    it('sums the weights of the given signers', function() {
+      const response = account();
+
+      expect(response.getSignerWeight([accountId])).to.equal(1);
+      expect(
+        response.getSignerWeight([accountId, cosigner.publicKey()])
+      ).to.equal(2);
+      expect(response.getSignerWeight([other.publicKey()])).to.equal(0);
+    });
+  });
+
+  describe('AccountResponse#getTransactionSigners', function() {
+    it('finds the signers with a valid signature', function() {
+      const transaction = build([payment()]);
+      transaction.sign(cosigner, other);
+      // a signature of the master key for another network
+      const wrongNetwork = new AiBlocksSdk.TransactionBuilder(
+        new AiBlocksSdk.Account(accountId, '100'),
+        { fee: '100', networkPassphrase: AiBlocksSdk.Networks.PUBLIC }
+      )
+        .addOperation(payment())
+        .setTimeout(30)
+        .build();
+      wrongNetwork.sign(masterKeypair);
+      transaction.signatures.push(wrongNetwork.signatures[0]);
+
+      expect(account().getTransactionSigners(transaction)).to.deep.equal([
+        cosigner.publicKey()
+      ]);
+    });
+
+    it('finds pre-authorized transaction and hash(x) signers', function() {
+      const preimage = Buffer.from('approval');
+      const transaction = build([payment()]);
+      transaction.signHashX(preimage);
+      const preAuthTx = AiBlocksSdk.StrKey.encodePreAuthTx(transaction.hash());
+      const hashX = AiBlocksSdk.StrKey.encodeSha256Hash(
+        AiBlocksSdk.hash(preimage)
+      );
+      const unused = AiBlocksSdk.StrKey.encodeSha256Hash(
+        AiBlocksSdk.hash(Buffer.from('other'))
+      );
+      const response = account([
+        { key: accountId, weight: 1, type: 'ed25519_public_key' },
+        { key: preAuthTx, weight: 1, type: 'preauth_tx' },
+        { key: hashX, weight: 1, type: 'sha256_hash' },
+        { key: unused, weight: 1, type: 'sha256_hash' }
+      ]);
+
+      expect(response.getTransactionSigners(transaction)).to.deep.equal([
+        preAuthTx,
+        hashX
+      ]);
+    });
+  });
+
+  describe('AccountResponse#checkSignatures', function() {
+    it('checks the thresholds of the transaction and the operations it sources', function() {
+      const transaction = build([
+        AiBlocksSdk.Operation.bumpSequence({ bumpTo: '200' }),
+        payment(other.publicKey()),
+        payment()
+      ]);
+      transaction.sign(masterKeypair);
+
+      let check = account().checkSignatures(transaction);
+
+      expect(check.authorized).to.equal(false);
+      expect(check.requirements).to.deep.equal([
+        { level: 'low', threshold: 1, weight: 1, met: true },
+        { operationIndex: 0, level: 'low', threshold: 1, weight: 1, met: true },
+        { operationIndex: 2, level: 'med', threshold: 2, weight: 1, met: false }
+      ]);
+
+      transaction.sign(cosigner);
+      check = account().checkSignatures(transaction);
+
+      expect(check.authorized).to.equal(true);
+    });
+
+    it('requires a signature when a threshold is 0', function() {
+      const transaction = build([payment()]);
+      const response = account(null, {
+        low_threshold: 0,
+        med_threshold: 0,
+        high_threshold: 0
+      });
+
+      expect(response.checkSignatures(transaction).authorized).to.equal(false);
+
+      transaction.sign(masterKeypair);
+
+      expect(response.checkSignatures(transaction).authorized).to.equal(true);
+    });
+
+    it('checks the outer signatures of the fee source of a fee bump', function() {
+      const inner = build([payment(other.publicKey())]);
+      inner.sign(other);
+      const transaction = AiBlocksSdk.TransactionBuilder.buildFeeBumpTransaction(
+        masterKeypair,
+        '200',
+        inner,
+        networkPassphrase
+      );
+      transaction.sign(masterKeypair);
+
+      expect(account().checkSignatures(transaction)).to.deep.equal({
+        authorized: false,
+        requirements: [
+          { level: 'low', threshold: 1, weight: 1, met: true },
+          // the account is also the inner source, which it didn't sign
+          { level: 'low', threshold: 1, weight: 0, met: false }
+        ]
+      });
+    });
+  });
+});
+
+describe('AccountResponse balances', function() {
+  const accountId = AiBlocksSdk.Keypair.random().publicKey();
+  const issuer = AiBlocksSdk.Keypair.random().publicKey();
+  const usd = new AiBlocksSdk.Asset('USD', issuer);
+  const eur = new AiBlocksSdk.Asset('EUR', issuer);
+  const usdLine = {
+    asset_type: 'credit_alphanum4',
+    asset_code: 'USD',
+    asset_issuer: issuer,
+    balance: '120.5000000',
+    limit: '1000.0000000',
+    buying_liabilities: '0.0000000',
+    selling_liabilities: '20.0000000',
+    is_authorized: true
+  };
+
+  function account(overrides, server) {
+    return new AiBlocksSdk.AccountResponse(
+      Object.assign(
+        {
+          id: accountId,
+          account_id: accountId,
+          sequence: '100',
+          subentry_count: 3,
+          num_sponsoring: 1,
+          num_sponsored: 2,
+          balances: [
+            usdLine,
+            {
+              asset_type: 'native',
+              balance: '10.0000000',
+              buying_liabilities: '0.0000000',
+              selling_liabilities: '1.5000000'
+            }
+          ]
+        },
+        overrides
+      ),
+      server
+    );
+  }
+
+  describe('AccountResponse#getTrustline', function() {
+    it('returns the trustline of an asset', function() {
+      expect(account().getTrustline(usd)).to.deep.equal(usdLine);
+      expect(account().getTrustline(eur)).to.be.undefined;
+    });
+  });
+
+  describe('AccountResponse#getBalance', function() {
+    it('returns the balance of an asset', function() {
+      const response = account();
+
+      expect(response.getBalance(AiBlocksSdk.Asset.native())).to.equal(
+        '10.0000000'
+      );
+      expect(response.getBalance(usd)).to.equal('120.5000000');
+      expect(response.getBalance(eur)).to.equal('0.0000000');
+    });
+  });
+
+  describe('AccountResponse#getMinimumBalance', function() {
+    it('counts subentries and sponsorships', function() {
+      // 0.5 × (2 + 3 + 1 - 2)
+      expect(account().getMinimumBalance('0.5000000')).to.equal('2.0000000');
+      expect(
+        account({ num_sponsored: 0 }).getMinimumBalance('0.5')
+      ).to.equal('3.0000000');
+    });
+
+    it('reads the base reserve of a ledger record', function() {
+      expect(
+        account().getMinimumBalance({
+          sequence: 7,
+          base_reserve: '0.5000000',
+          base_reserve_in_sectors: 5000000
+        })
+      ).to.equal('2.0000000');
+    });
+  });
+
+  describe('AccountResponse#getSpendableBalance', function() {
+    it('subtracts the minimum balance and selling liabilities', function() {
+      const response = account();
+
+      // 10 - 1.5 - 2
+      expect(
+        response.getSpendableBalance(AiBlocksSdk.Asset.native(), '0.5000000')
+      ).to.equal('6.5000000');
+      expect(response.getSpendableBalance(usd, '0.5000000')).to.equal(
+        '100.5000000'
+      );
+      expect(response.getSpendableBalance(eur, '0.5000000')).to.equal(
+        '0.0000000'
+      );
+    });
+
+    it('is never negative', function() {
+      expect(
+        account().getSpendableBalance(AiBlocksSdk.Asset.native(), '5')
+      ).to.equal('0.0000000');
+    });
+
+    it('fetches the base reserve if it is omitted', function() {
+      const server = new AiBlocksSdk.Server(
+        'https://millennium-live.aiblocks.io:1337'
+      );
+      const fetchBaseReserve = sinon.stub(server, 'fetchBaseReserve');
+      fetchBaseReserve.returns(Promise.resolve('0.5000000'));
+      const response = account({}, server);
+
+      return Promise.all([
+        response.getMinimumBalance(),
+        response.getSpendableBalance(AiBlocksSdk.Asset.native())
+      ]).then(([minimum, spendable]) => {
+        expect(minimum).to.equal('2.0000000');
+        expect(spendable).to.equal('6.5000000');
+        expect(fetchBaseReserve.calledTwice).to.equal(true);
+      });
+    });
+
+    it('requires the base reserve without a server', function() {
+      return account()
+        .getSpendableBalance(AiBlocksSdk.Asset.native())
+        .should.be.rejectedWith(/baseReserve is required/);
+    });
+  });
+});
@@ -15,3 +15,696 @@ describe('CallBuilder functions', function() {
   
 });
 
+describe('CallBuilder#iterate', function() {
+  beforeEach(function() {
+    this.server = new AiBlocksSdk.Server(
+      'https://millennium-live.aiblocks.io:1337'
+    );
+    this.axiosMock = sinon.mock(this.server.httpClient);
+  });
+
+  afterEach(function() {
+    this.axiosMock.verify();
+    this.axiosMock.restore();
+  });
+
+  function page(tokens, next) {
+    return {
+      _links: {
+        self: { href: 'https://millennium-live.aiblocks.io:1337/ledgers' },
+        next: {
+          href: `https://millennium-live.aiblocks.io:1337/ledgers?order=asc&limit=2&cursor=${next}`
+        },
+        prev: {
+          href: `https://millennium-live.aiblocks.io:1337/ledgers?order=desc&limit=2&cursor=${tokens[0]}`
+        }
+      },
+      _embedded: {
+        records: tokens.map((token) => ({
+          _links: {},
+          id: `ledger-${token}`,
+          paging_token: token
+        }))
+      }
+    };
+  }
+
+  function collect(iterator, ids = []) {
+    return iterator.next().then(({ done, value }) => {
+      if (done) {
+        return ids;
+      }
+      ids.push(value.id);
+      return collect(iterator, ids);
+    });
+  }
+
+  it('walks every page until an empty one is returned', function() {
+    this.axiosMock
+      .expects('get')
+      .withArgs(
+        sinon.match('https://millennium-live.aiblocks.io:1337/ledgers?limit=2')
+      )
+      .returns(Promise.resolve({ data: page(['1', '2'], '2') }));
+    this.axiosMock
+      .expects('get')
+      .withArgs(sinon.match('cursor=2'))
+      .returns(Promise.resolve({ data: page(['3'], '3') }));
+    this.axiosMock
+      .expects('get')
+      .withArgs(sinon.match('cursor=3'))
+      .returns(Promise.resolve({ data: page([], '3') }));
+
+    const iterator = this.server
+      .ledgers()
+      .limit(2)
+      .iterate();
+
+    return collect(iterator).then((ids) => {
+      expect(ids).to.deep.equal(['ledger-1', 'ledger-2', 'ledger-3']);
+      expect(iterator.pagingToken).to.equal('3');
+      expect(iterator.count).to.equal(3);
+    });
+  });
+
+  it('stops once maxRecords is reached', function() {
+    this.axiosMock
+      .expects('get')
+      .once()
+      .returns(Promise.resolve({ data: page(['1', '2'], '2') }));
+
+    const iterator = this.server
+      .ledgers()
+      .limit(2)
+      .iterate({ maxRecords: 1 });
+
+    return collect(iterator).then((ids) => {
+      expect(ids).to.deep.equal(['ledger-1']);
+      expect(iterator.pagingToken).to.equal('1');
+    });
+  });
+
+  it('resumes from and checkpoints to a cursor store', function() {
+    const cursorStore = new AiBlocksSdk.MemoryCursorStore();
+    this.axiosMock
+      .expects('get')
+      .withArgs(sinon.match('cursor=5'))
+      .returns(Promise.resolve({ data: page(['6', '7'], '7') }));
+    this.axiosMock
+      .expects('get')
+      .withArgs(sinon.match('cursor=7'))
+      .returns(Promise.resolve({ data: page([], '7') }));
+
+    const iterator = this.server.ledgers().iterate({ cursorStore });
+    const next = () =>
+      iterator
+        .next()
+        .then((result) =>
+          cursorStore.get('/ledgers').then((cursor) => [result, cursor])
+        );
+    return cursorStore
+      .set('/ledgers', '5')
+      .then(next)
+      .then(([{ value }, cursor]) => {
+        expect(value.id).to.equal('ledger-6');
+        expect(cursor).to.equal('5');
+        return next();
+      })
+      .then(([{ value }, cursor]) => {
+        expect(value.id).to.equal('ledger-7');
+        expect(cursor).to.equal('6');
+        return next();
+      })
+      .then(([{ done }, cursor]) => {
+        expect(done).to.equal(true);
+        expect(cursor).to.equal('7');
+      });
+  });
+
+  it('only checkpoints acknowledged records in manual mode', function() {
+    const cursorStore = new AiBlocksSdk.MemoryCursorStore();
+    this.axiosMock
+      .expects('get')
+      .once()
+      .returns(Promise.resolve({ data: page(['1', '2'], '2') }));
+
+    const iterator = this.server.ledgers().iterate({
+      cursorStore,
+      cursorKey: 'ledgers-job',
+      ack: 'manual'
+    });
+    return iterator
+      .next()
+      .then(() => iterator.next())
+      .then(() => cursorStore.get('ledgers-job'))
+      .then((cursor) => {
+        expect(cursor).to.equal(undefined);
+        return iterator.ack();
+      })
+      .then(() => cursorStore.get('ledgers-job'))
+      .then((cursor) => {
+        expect(cursor).to.equal('2');
+      });
+  });
+
+  it('stops on return()', function() {
+    this.axiosMock
+      .expects('get')
+      .once()
+      .returns(Promise.resolve({ data: page(['1', '2'], '2') }));
+
+    const iterator = this.server.ledgers().iterate();
+    return iterator
+      .next()
+      .then(() => iterator.return())
+      .then(() => iterator.next())
+      .then(({ done }) => {
+        expect(done).to.equal(true);
+      });
+  });
+});
+
+describe('CallBuilder#streamIterator', function() {
+  beforeEach(function() {
+    this.server = new AiBlocksSdk.Server(
+      'https://millennium-live.aiblocks.io:1337'
+    );
+    this.builder = this.server.payments();
+    this.opened = [];
+    this.closed = 0;
+    this.builder.stream = (options) => {
+      this.opened.push(options);
+      return () => {
+        this.closed += 1;
+      };
+    };
+  });
+
+  function record(token) {
+    return { id: `payment-${token}`, paging_token: token };
+  }
+
+  it('opens the stream lazily and hands records to waiters', function() {
+    const iterator = this.builder.streamIterator();
+    expect(this.opened.length).to.equal(0);
+
+    const next = iterator.next();
+    expect(this.opened.length).to.equal(1);
+    this.opened[0].onmessage(record('1'));
+
+    return next.then((result) => {
+      expect(result).to.deep.equal({ done: false, value: record('1') });
+      expect(iterator.pagingToken).to.equal('1');
+    });
+  });
+
+  it('pauses when the buffer is full and resumes once drained', function() {
+    const iterator = this.builder.streamIterator({ bufferSize: 4 });
+    iterator.next();
+    const { onmessage } = this.opened[0];
+    ['1', '2', '3', '4', '5'].forEach((token) => onmessage(record(token)));
+
+    expect(iterator.paused).to.equal(true);
+    expect(this.closed).to.equal(1);
+
+    const ids = [];
+    const nextId = () =>
+      iterator.next().then(({ value }) => {
+        ids.push(value.id);
+      });
+    return iterator
+      .next()
+      .then(({ value }) => {
+        expect(value.id).to.equal('payment-2');
+        expect(this.opened.length).to.equal(1);
+        return iterator.next();
+      })
+      .then(({ value }) => {
+        expect(value.id).to.equal('payment-3');
+        expect(iterator.paused).to.equal(false);
+        expect(this.opened.length).to.equal(2);
+
+        this.opened[1].onmessage(record('6'));
+        return nextId()
+          .then(nextId)
+          .then(nextId);
+      })
+      .then(() => {
+        expect(ids).to.deep.equal(['payment-4', 'payment-5', 'payment-6']);
+      });
+  });
+
+  it('drops records when the buffer is full in drop mode', function() {
+    const onoverflow = sinon.spy();
+    const iterator = this.builder.streamIterator({
+      bufferSize: 2,
+      overflow: 'drop',
+      onoverflow
+    });
+    iterator.next();
+    const { onmessage } = this.opened[0];
+    ['1', '2', '3', '4'].forEach((token) => onmessage(record(token)));
+
+    expect(this.closed).to.equal(0);
+    expect(iterator.dropped).to.equal(1);
+    expect(onoverflow.calledOnce).to.equal(true);
+    expect(onoverflow.firstCall.args[0]).to.deep.equal(record('4'));
+    return iterator
+      .next()
+      .then(({ value }) => {
+        expect(value.id).to.equal('payment-2');
+        return iterator.next();
+      })
+      .then(({ value }) => {
+        expect(value.id).to.equal('payment-3');
+      });
+  });
+
+  it('resumes from the stored cursor and checkpoints processed records', function() {
+    const cursorStore = new AiBlocksSdk.MemoryCursorStore();
+    const cursors = [];
+    this.builder.stream = (options) => {
+      cursors.push(this.builder.url.query(true).cursor);
+      this.opened.push(options);
+      return () => {};
+    };
+
+    const iterator = this.builder.streamIterator({ cursorStore });
+    let next;
+    return cursorStore
+      .set('/payments', '10')
+      .then(() => {
+        next = iterator.next();
+        return new Promise((resolve) => setTimeout(resolve, 0));
+      })
+      .then(() => {
+        expect(cursors).to.deep.equal(['10']);
+
+        this.opened[0].onmessage(record('11'));
+        this.opened[0].onmessage(record('12'));
+        return next;
+      })
+      .then(({ value }) => {
+        expect(value.id).to.equal('payment-11');
+        return cursorStore.get('/payments');
+      })
+      .then((cursor) => {
+        expect(cursor).to.equal('10');
+        return iterator.next();
+      })
+      .then(({ value }) => {
+        expect(value.id).to.equal('payment-12');
+        return cursorStore.get('/payments');
+      })
+      .then((cursor) => {
+        expect(cursor).to.equal('11');
+      });
+  });
+
+  it('forwards connection errors to onerror', function() {
+    const onerror = sinon.spy();
+    const iterator = this.builder.streamIterator({ onerror });
+    iterator.next();
+    this.opened[0].onerror(new Error('boom'));
+
+    expect(onerror.calledOnce).to.equal(true);
+  });
+
+  it('closes the stream and ends pending calls on return()', function() {
+    const iterator = this.builder.streamIterator();
+    const pending = iterator.next();
+
+    return iterator
+      .return()
+      .then((result) => {
+        expect(result).to.deep.equal({ done: true, value: undefined });
+        return pending;
+      })
+      .then((result) => {
+        expect(result).to.deep.equal({ done: true, value: undefined });
+        expect(this.closed).to.equal(1);
+
+        this.opened[0].onmessage(record('1'));
+        return iterator.next();
+      })
+      .then(({ done }) => {
+        expect(done).to.equal(true);
+      });
+  });
+});
+
+describe('CallBuilder#stream with the polling transport', function() {
+  beforeEach(function() {
+    this.server = new AiBlocksSdk.Server(
+      'https://millennium-live.aiblocks.io:1337'
+    );
+    this.get = sinon.stub(this.server.httpClient, 'get');
+  });
+
+  afterEach(function() {
+    this.get.restore();
+    if (this.close) {
+      this.close();
+    }
+  });
+
+  function page(tokens) {
+    return {
+      data: {
+        _links: {
+          next: { href: 'https://millennium-live.aiblocks.io:1337/payments' },
+          prev: { href: 'https://millennium-live.aiblocks.io:1337/payments' }
+        },
+        _embedded: {
+          records: tokens.map((token) => ({
+            id: `payment-${token}`,
+            paging_token: token
+          }))
+        }
+      }
+    };
+  }
+
+  function wait(ms) {
+    return new Promise((resolve) => setTimeout(resolve, ms));
+  }
+
+  it('polls in ascending order from the latest record for a now cursor', function() {
+    this.get.onCall(0).returns(Promise.resolve(page(['5'])));
+    this.get.onCall(1).returns(Promise.resolve(page(['6', '7'])));
+    this.get.onCall(2).returns(Promise.resolve(page([])));
+    this.get.returns(Promise.resolve(page([])));
+
+    const ids = [];
+    const onopen = sinon.spy();
+    this.close = this.server
+      .payments()
+      .cursor('now')
+      .limit(2)
+      .stream({
+        transport: 'polling',
+        pollInterval: 1000,
+        onopen,
+        onmessage: (payment) => ids.push(payment.id)
+      });
+    return wait(20).then(() => {
+      const urls = this.get.args.map((args) => args[0]);
+      expect(urls.length).to.equal(3);
+      expect(urls[0]).to.match(/order=desc/);
+      expect(urls[0]).to.match(/limit=1/);
+      expect(urls[0]).not.to.match(/cursor=/);
+      expect(urls[1]).to.match(/cursor=5/);
+      expect(urls[1]).to.match(/order=asc/);
+      expect(urls[2]).to.match(/cursor=7/);
+      expect(ids).to.deep.equal(['payment-6', 'payment-7']);
+      expect(onopen.calledOnce).to.equal(true);
+      expect(this.close.messagesReceived).to.equal(2);
+    });
+  });
+
+  it('delivers single resources only when they changed', function() {
+    const account = (sequence) => ({
+      data: { id: 'GABC', sequence }
+    });
+    this.get.onCall(0).returns(Promise.resolve(account('1')));
+    this.get.onCall(1).returns(Promise.resolve(account('1')));
+    this.get.returns(Promise.resolve(account('2')));
+
+    const sequences = [];
+    this.close = this.server
+      .accounts()
+      .accountId('GABC')
+      .stream({
+        transport: 'polling',
+        pollInterval: 5,
+        onmessage: (response) => sequences.push(response.sequence)
+      });
+    return wait(50).then(() => {
+      expect(sequences).to.deep.equal(['1', '2']);
+    });
+  });
+
+  it('reports handler errors and keeps polling', function() {
+    this.get.onCall(0).returns(Promise.resolve(page(['1', '2'])));
+    this.get.onCall(1).returns(Promise.resolve(page(['2', '3'])));
+    this.get.returns(Promise.resolve(page([])));
+
+    const failure = new Error('handler failed');
+    const ids = [];
+    const onerror = sinon.spy();
+    this.close = this.server.payments().stream({
+      transport: 'polling',
+      pollInterval: 5,
+      onerror,
+      onmessage: (payment) => {
+        ids.push(payment.id);
+        if (payment.id === 'payment-1') {
+          throw failure;
+        }
+      }
+    });
+
+    return wait(30).then(() => {
+      expect(ids).to.deep.equal(['payment-1', 'payment-2', 'payment-3']);
+      expect(this.get.args[1][0]).to.match(/cursor=1/);
+      expect(onerror.calledOnce).to.equal(true);
+      expect(onerror.firstCall.args[0]).to.equal(failure);
+    });
+  });
+
+  it('reports cursors that failed to be stored on manual ack', function() {
+    this.get.onCall(0).returns(Promise.resolve(page(['1'])));
+    this.get.returns(Promise.resolve(page([])));
+    const failure = new Error('store down');
+    const cursorStore = new AiBlocksSdk.MemoryCursorStore();
+    sinon.stub(cursorStore, 'set', () => Promise.reject(failure));
+
+    const onerror = sinon.spy();
+    this.close = this.server.payments().stream({
+      transport: 'polling',
+      pollInterval: 5,
+      cursorStore,
+      ack: 'manual',
+      onerror,
+      onmessage: (payment, ack) => {
+        ack();
+      }
+    });
+
+    return wait(30).then(() => {
+      expect(onerror.calledOnce).to.equal(true);
+      expect(onerror.firstCall.args[0]).to.equal(failure);
+    });
+  });
+
+  it('reports failed polls and retries', function() {
+    const failure = new Error('socket hang up');
+    this.get.onCall(0).returns(Promise.reject(failure));
+    this.get.returns(Promise.resolve(page([])));
+
+    const onerror = sinon.spy();
+    const onreconnect = sinon.spy();
+    const onopen = sinon.spy();
+    this.close = this.server.payments().stream({
+      transport: 'polling',
+      pollInterval: 5,
+      onerror,
+      onreconnect,
+      onopen
+    });
+    return wait(30).then(() => {
+      expect(onerror.calledOnce).to.equal(true);
+      expect(onerror.firstCall.args[0].message).to.equal('socket hang up');
+      expect(onreconnect.firstCall.args[0]).to.deep.equal({
+        attempt: 1,
+        reason: 'error'
+      });
+      expect(onopen.calledOnce).to.equal(true);
+      expect(this.close.reconnectCount).to.equal(1);
+    });
+  });
+
+  it('retries loading the cursor from the store', function() {
+    this.get.returns(Promise.resolve(page([])));
+    const failure = new Error('store down');
+    const cursorStore = new AiBlocksSdk.MemoryCursorStore();
+    let loads = 0;
+    sinon.stub(cursorStore, 'get', () => {
+      loads += 1;
+      return loads === 1 ? Promise.reject(failure) : Promise.resolve('7');
+    });
+
+    const onerror = sinon.spy();
+    this.close = this.server.payments().stream({
+      transport: 'polling',
+      pollInterval: 1000,
+      reconnectTimeout: 10,
+      cursorStore,
+      onerror
+    });
+
+    return wait(5)
+      .then(() => {
+        expect(onerror.calledOnce).to.equal(true);
+        expect(onerror.firstCall.args[0]).to.equal(failure);
+        expect(this.close.cursorLoadError).to.equal(failure);
+        expect(this.get.called).to.equal(false);
+        return wait(20);
+      })
+      .then(() => {
+        expect(loads).to.equal(2);
+        expect(this.close.cursorLoadError).to.equal(undefined);
+        expect(this.close.reconnectCount).to.equal(1);
+        expect(this.get.firstCall.args[0]).to.match(/cursor=7/);
+      });
+  });
+
+  it('polls for stream iterators with the polling transport', function() {
+    this.get.onCall(0).returns(Promise.resolve(page(['1', '2'])));
+    this.get.returns(Promise.resolve(page([])));
+
+    const iterator = this.server.payments().streamIterator({
+      transport: 'polling',
+      pollInterval: 5
+    });
+    this.close = () => iterator.return();
+
+    return iterator.next().then(({ value }) => {
+      expect(value.id).to.equal('payment-1');
+      expect(this.get.firstCall.args[0]).to.match(/order=asc/);
+    });
+  });
+});
+
+describe('CallBuilder#stream in ordered mode', function() {
+  beforeEach(function() {
+    this.server = new AiBlocksSdk.Server(
+      'https://millennium-live.aiblocks.io:1337'
+    );
+    this.get = sinon.stub(this.server.httpClient, 'get');
+  });
+
+  afterEach(function() {
+    this.get.restore();
+    if (this.close) {
+      this.close();
+    }
+  });
+
+  function page(records) {
+    return Promise.resolve({
+      data: {
+        _links: {
+          next: { href: 'https://millennium-live.aiblocks.io:1337/ledgers' },
+          prev: { href: 'https://millennium-live.aiblocks.io:1337/ledgers' }
+        },
+        _embedded: { records }
+      }
+    });
+  }
+
+  function ledger(sequence) {
+    return {
+      id: `ledger-${sequence}`,
+      paging_token: `${sequence}00`,
+      sequence
+    };
+  }
+
+  function wait(ms) {
+    return new Promise((resolve) => setTimeout(resolve, ms));
+  }
+
+  it('drops records that were already delivered', function() {
+    const effect = (token) => ({ id: token, paging_token: token });
+    this.get.onCall(0).returns(page([effect('100-1'), effect('100-2')]));
+    this.get.onCall(1).returns(page([effect('100-2'), effect('200-1')]));
+    this.get.returns(page([]));
+
+    const ids = [];
+    this.close = this.server.effects().stream({
+      transport: 'polling',
+      pollInterval: 5,
+      ordered: true,
+      onmessage: (record) => ids.push(record.id)
+    });
+    return wait(30).then(() => {
+      expect(ids).to.deep.equal(['100-1', '100-2', '200-1']);
+      expect(this.close.messagesReceived).to.equal(4);
+    });
+  });
+
+  it('reports handler errors and keeps delivering', function() {
+    const effect = (token) => ({ id: token, paging_token: token });
+    this.get.onCall(0).returns(page([effect('100-1'), effect('100-2')]));
+    this.get.returns(page([]));
+
+    const failure = new Error('handler failed');
+    const ids = [];
+    const onerror = sinon.spy();
+    this.close = this.server.effects().stream({
+      transport: 'polling',
+      pollInterval: 5,
+      ordered: true,
+      onerror,
+      onmessage: (record) => {
+        ids.push(record.id);
+        if (record.id === '100-1') {
+          throw failure;
+        }
+      }
+    });
+
+    return wait(30).then(() => {
+      expect(ids).to.deep.equal(['100-1', '100-2']);
+      expect(onerror.calledOnce).to.equal(true);
+      expect(onerror.firstCall.args[0]).to.equal(failure);
+    });
+  });
+
+  it('backfills skipped ledgers before continuing', function() {
+    this.get.onCall(0).returns(page([ledger(1)]));
+    this.get.onCall(1).returns(page([ledger(4)]));
+    this.get.onCall(2).returns(page([ledger(2), ledger(3)]));
+    this.get.returns(page([]));
+
+    const sequences = [];
+    this.close = this.server.ledgers().stream({
+      transport: 'polling',
+      pollInterval: 5,
+      ordered: true,
+      onmessage: (record) => sequences.push(record.sequence)
+    });
+    return wait(30).then(() => {
+      expect(sequences).to.deep.equal([1, 2, 3, 4]);
+      const backfill = this.get.args[2][0];
+      expect(backfill).to.match(/cursor=100/);
+      expect(backfill).to.match(/limit=2/);
+    });
+  });
+
+  it('reports failed backfills and continues', function() {
+    this.get.onCall(0).returns(page([ledger(1)]));
+    this.get.onCall(1).returns(page([ledger(3)]));
+    const failure = Promise.reject(new Error('socket hang up'));
+    failure.catch(() => {});
+    this.get.onCall(2).returns(failure);
+    this.get.returns(page([]));
+
+    const sequences = [];
+    const onerror = sinon.spy();
+    this.close = this.server.ledgers().stream({
+      transport: 'polling',
+      pollInterval: 5,
+      ordered: true,
+      onerror,
+      onmessage: (record) => sequences.push(record.sequence)
+    });
+    return wait(30).then(() => {
+      expect(sequences).to.deep.equal([1, 3]);
+      expect(onerror.firstCall.args[0].message).to.equal(
+        'Failed to backfill ledgers 2 to 2: socket hang up'
+      );
+    });
+  });
+});
@@ -0,0 +1,168 @@
+describe('ChannelPool', function() {
+  const baseKeypair = AiBlocksSdk.Keypair.random();
+  const destination = AiBlocksSdk.Keypair.random().publicKey();
+
+  function accountResponse(accountId, sequence) {
+    return new AiBlocksSdk.AccountResponse({
+      id: accountId,
+      account_id: accountId,
+      sequence,
+      balances: [],
+      signers: []
+    });
+  }
+
+  function payment() {
+    return AiBlocksSdk.Operation.payment({
+      destination,
+      asset: AiBlocksSdk.Asset.native(),
+      amount: '1'
+    });
+  }
+
+  beforeEach(function() {
+    this.server = new AiBlocksSdk.Server(
+      'https://millennium-live.aiblocks.io:1337'
+    );
+    this.created = {};
+    this.server.loadAccount = (accountId) => {
+      if (accountId === baseKeypair.publicKey()) {
+        return Promise.resolve(accountResponse(accountId, '10'));
+      }
+      if (!this.created[accountId]) {
+        return Promise.reject(new AiBlocksSdk.NotFoundError('not found', {}));
+      }
+      return Promise.resolve(accountResponse(accountId, '200'));
+    };
+    this.submitTransaction = sinon.spy((tx) => {
+      tx.operations.forEach((op) => {
+        this.created[op.destination] = true;
+      });
+      return Promise.resolve({});
+    });
+    this.server.submitTransaction = this.submitTransaction;
+    this.submitted = [];
+    this.server.submitTransactionAndWait = (tx) => {
+      this.submitted.push(tx);
+      return Promise.resolve({ hash: tx.hash().toString('hex') });
+    };
+    this.pool = new AiBlocksSdk.ChannelPool(this.server, {
+      baseKeypair,
+      networkPassphrase: AiBlocksSdk.Networks.TESTNET,
+      size: 2
+    });
+  });
+
+  it('creates channels on demand and submits from them', function() {
+    return Promise.all([
+      this.pool.submitTransaction([payment()]),
+      this.pool.submitTransaction([payment()])
+    ]).then(() => {
+      expect(this.pool.channels).to.have.length(2);
+      const creations = this.submitTransaction.args.map(([tx]) => tx);
+      expect(creations.map((tx) => tx.source)).to.deep.equal([
+        baseKeypair.publicKey(),
+        baseKeypair.publicKey()
+      ]);
+      expect(creations.map((tx) => tx.sequence)).to.deep.equal(['11', '12']);
+
+      const sources = this.submitted.map((tx) => tx.source).sort();
+      expect(sources).to.deep.equal(
+        this.pool.channels.map((keypair) => keypair.publicKey()).sort()
+      );
+      this.submitted.forEach((tx) => {
+        expect(tx.sequence).to.equal('201');
+        expect(tx.operations[0].source).to.equal(baseKeypair.publicKey());
+        expect(tx.signatures).to.have.length(2);
+      });
+    });
+  });
+
+  it("leaves the caller's operations as they are", function() {
+    const operation = payment();
+
+    return this.pool.submitTransaction([operation]).then(() => {
+      expect(operation.sourceAccount()).to.be.undefined;
+      expect(this.submitted[0].operations[0].source).to.equal(
+        baseKeypair.publicKey()
+      );
+    });
+  });
+
+  it('waits for a free channel once all are busy', function() {
+    let first;
+    let second;
+    let third;
+    let waiting;
+    return this.pool
+      .acquire()
+      .then((channel) => {
+        first = channel;
+        return this.pool.acquire();
+      })
+      .then((channel) => {
+        second = channel;
+        waiting = this.pool.acquire().then((next) => {
+          third = next;
+        });
+      })
+      .then(() => {
+        expect(third).to.equal(undefined);
+        this.pool.release(second);
+        return waiting;
+      })
+      .then(() => {
+        expect(third.keypair).to.equal(second.keypair);
+        expect(first.keypair).to.not.equal(second.keypair);
+      });
+  });
+
+  it('reuses existing channels and keeps their sequence numbers', function() {
+    const channel = AiBlocksSdk.Keypair.random();
+    this.created[channel.publicKey()] = true;
+    const pool = new AiBlocksSdk.ChannelPool(this.server, {
+      baseKeypair,
+      networkPassphrase: AiBlocksSdk.Networks.TESTNET,
+      size: 1,
+      channels: [channel]
+    });
+
+    return pool
+      .submitTransaction([payment()])
+      .then(() => pool.submitTransaction([payment()]))
+      .then(() => {
+        expect(this.submitTransaction.callCount).to.equal(0);
+        expect(this.submitted.map((tx) => tx.sequence)).to.deep.equal([
+          '201',
+          '202'
+        ]);
+      });
+  });
+
+  it('reloads the channel after a transaction that was not applied', function() {
+    this.server.submitTransactionAndWait = (tx) => {
+      this.submitted.push(tx);
+      return Promise.reject(new AiBlocksSdk.TransactionExpiredError('', '', 0));
+    };
+    const pool = new AiBlocksSdk.ChannelPool(this.server, {
+      baseKeypair,
+      networkPassphrase: AiBlocksSdk.Networks.TESTNET,
+      size: 1
+    });
+
+    return pool
+      .submitTransaction([payment()])
+      .should.be.rejectedWith(AiBlocksSdk.TransactionExpiredError)
+      .then(() =>
+        pool
+          .submitTransaction([payment()])
+          .should.be.rejectedWith(AiBlocksSdk.TransactionExpiredError)
+      )
+      .then(() => {
+        expect(this.submitted.map((tx) => tx.sequence)).to.deep.equal([
+          '201',
+          '201'
+        ]);
+      });
+  });
+});
@@ -0,0 +1,168 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+describe('cursor stores', function() {
+  describe('MemoryCursorStore', function() {
+    it('stores cursors by key', function() {
+      const store = new AiBlocksSdk.MemoryCursorStore();
+
+      return store
+        .get('/payments')
+        .then((cursor) => {
+          expect(cursor).to.equal(undefined);
+          return store.set('/payments', '12');
+        })
+        .then(() => store.set('/effects', '34'))
+        .then(() =>
+          Promise.all([store.get('/payments'), store.get('/effects')])
+        )
+        .then((cursors) => {
+          expect(cursors).to.deep.equal(['12', '34']);
+        });
+    });
+  });
+
+  describe('FileCursorStore', function() {
+    beforeEach(function() {
+      this.dir = fs.mkdtempSync(path.join(os.tmpdir(), 'cursor-store-'));
+      this.file = path.join(this.dir, 'cursors.json');
+    });
+
+    afterEach(function() {
+      fs.readdirSync(this.dir).forEach((name) =>
+        fs.unlinkSync(path.join(this.dir, name))
+      );
+      fs.rmdirSync(this.dir);
+    });
+
+    it('starts empty when the file does not exist', function() {
+      const store = new AiBlocksSdk.FileCursorStore(this.file);
+      return store.get('/payments').then((cursor) => {
+        expect(cursor).to.equal(undefined);
+      });
+    });
+
+    it('persists concurrent writes across instances', function() {
+      const store = new AiBlocksSdk.FileCursorStore(this.file);
+      return Promise.all([
+        store.set('/payments', '1'),
+        store.set('/effects', '2'),
+        store.set('/payments', '3')
+      ])
+        .then(() => {
+          const reopened = new AiBlocksSdk.FileCursorStore(this.file);
+          return Promise.all([
+            reopened.get('/payments'),
+            reopened.get('/effects')
+          ]);
+        })
+        .then((cursors) => {
+          expect(cursors).to.deep.equal(['3', '2']);
+          expect(JSON.parse(fs.readFileSync(this.file, 'utf8'))).to.deep.equal({
+            '/payments': '3',
+            '/effects': '2'
+          });
+        });
+    });
+
+    it('rejects on a corrupt file', function() {
+      fs.writeFileSync(this.file, '{');
+      const store = new AiBlocksSdk.FileCursorStore(this.file);
+      return store.get('/payments').should.be.rejectedWith(/Invalid cursor/);
+    });
+  });
+
+  describe('CursorCheckpoint', function() {
+    it('stores cursors in order once their records were processed', function() {
+      const store = new AiBlocksSdk.MemoryCursorStore();
+      const checkpoint = new AiBlocksSdk.CursorCheckpoint(store, '/payments');
+      let finishFirst;
+      const first = new Promise((resolve) => {
+        finishFirst = resolve;
+      });
+
+      const saves = [
+        checkpoint.save('1', first),
+        checkpoint.save('2', Promise.resolve())
+      ];
+      return new Promise((resolve) => setTimeout(resolve, 10))
+        .then(() => store.get('/payments'))
+        .then((cursor) => {
+          expect(cursor).to.equal(undefined);
+
+          finishFirst();
+          return Promise.all(saves);
+        })
+        .then(() => store.get('/payments'))
+        .then((cursor) => {
+          expect(cursor).to.equal('2');
+        });
+    });
+
+    it('stops storing cursors after a record failed', function() {
+      const store = new AiBlocksSdk.MemoryCursorStore();
+      const checkpoint = new AiBlocksSdk.CursorCheckpoint(store, '/payments');
+
+      return checkpoint
+        .save('1')
+        .then(() =>
+          checkpoint
+            .save('2', Promise.reject(new Error('handler failed')))
+            .should.be.rejectedWith(/handler failed/)
+        )
+        .then(() => checkpoint.save('3', Promise.resolve()))
+        .then(() => store.get('/payments'))
+        .then((cursor) => {
+          expect(cursor).to.equal('1');
+        });
+    });
+
+    it('keeps storing cursors after a store error', function() {
+      const store = new AiBlocksSdk.MemoryCursorStore();
+      const set = sinon.stub(store, 'set');
+      set.onFirstCall().returns(Promise.reject(new Error('store down')));
+      set.onSecondCall().returns(Promise.resolve());
+      const checkpoint = new AiBlocksSdk.CursorCheckpoint(store, '/payments');
+
+      return checkpoint
+        .save('1')
+        .should.be.rejectedWith(/store down/)
+        .then(() => checkpoint.save('2'))
+        .then(() => {
+          expect(set.secondCall.args).to.deep.equal(['/payments', '2']);
+        });
+    });
+
+    it('stores a cursor again after it failed to be stored', function() {
+      const store = new AiBlocksSdk.MemoryCursorStore();
+      const set = sinon.stub(store, 'set');
+      set.onFirstCall().returns(Promise.reject(new Error('store down')));
+      set.onSecondCall().returns(Promise.resolve());
+      const checkpoint = new AiBlocksSdk.CursorCheckpoint(store, '/payments');
+
+      return checkpoint
+        .save('2')
+        .should.be.rejectedWith(/store down/)
+        .then(() => checkpoint.save('2'))
+        .then(() => {
+          expect(set.secondCall.args).to.deep.equal(['/payments', '2']);
+        });
+    });
+
+    it('never stores an older cursor over a newer one', function() {
+      const store = new AiBlocksSdk.MemoryCursorStore();
+      const checkpoint = new AiBlocksSdk.CursorCheckpoint(store, '/payments');
+
+      return Promise.all([
+        checkpoint.save('100-2'),
+        checkpoint.save('100-1'),
+        checkpoint.save('99')
+      ])
+        .then(() => store.get('/payments'))
+        .then((cursor) => {
+          expect(cursor).to.equal('100-2');
+        });
+    });
+  });
+});
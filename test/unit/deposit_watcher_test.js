@@ -0,0 +1,210 @@
+describe('DepositWatcher', function() {
+  const hotWallet = 'GHOTWALLET';
+
+  beforeEach(function() {
+    this.server = new AiBlocksSdk.Server(
+      'https://millennium-live.aiblocks.io:1337'
+    );
+    this.calls = [];
+    this.streams = [];
+    const builder = {};
+    ['forAccount', 'join', 'cursor'].forEach((method) => {
+      builder[method] = (arg) => {
+        this.calls.push([method, arg]);
+        return builder;
+      };
+    });
+    builder.stream = (options) => {
+      this.streams.push(options);
+      const close = () => {};
+      close.close = close;
+      return close;
+    };
+    this.server.operations = () => builder;
+  });
+
+  function withTransaction(record, memo = '1234', memoType = 'id') {
+    return Object.assign(
+      {
+        id: record.paging_token,
+        transaction_hash: 'abc',
+        created_at: '2020-01-01T00:00:00Z',
+        transaction: () =>
+          Promise.resolve({ memo, memo_type: memoType, hash: 'abc' })
+      },
+      record
+    );
+  }
+
+  function payment(token, from, to, asset = {}) {
+    return withTransaction(
+      Object.assign(
+        {
+          paging_token: token,
+          type: 'payment',
+          from,
+          to,
+          amount: '10.0000000',
+          asset_type: 'native'
+        },
+        asset
+      )
+    );
+  }
+
+  it('streams the operations of the account with joined transactions', function() {
+    const watcher = new AiBlocksSdk.DepositWatcher(this.server, {
+      account: hotWallet,
+      ondeposit: () => {}
+    });
+    watcher.start();
+    watcher.start();
+
+    expect(this.streams.length).to.equal(1);
+    expect(this.calls).to.deep.equal([
+      ['forAccount', hotWallet],
+      ['join', 'transactions'],
+      ['cursor', 'now']
+    ]);
+    expect(this.streams[0].ordered).to.equal(true);
+  });
+
+  it('normalizes incoming payments and ignores outgoing ones', function() {
+    const watcher = new AiBlocksSdk.DepositWatcher(this.server, {
+      account: hotWallet,
+      ondeposit: () => {}
+    });
+
+    return Promise.all([
+      watcher.toDeposit(
+        payment('1', 'GSENDER', hotWallet, {
+          type: 'path_payment_strict_send',
+          asset_type: 'credit_alphanum4',
+          asset_code: 'USD',
+          asset_issuer: 'GISSUER'
+        })
+      ),
+      watcher.toDeposit(payment('2', hotWallet, 'GOTHER')),
+      watcher.toDeposit(
+        withTransaction({ paging_token: '3', type: 'manage_data' })
+      )
+    ]).then(([deposit, outgoing, other]) => {
+      expect(deposit).to.deep.equal({
+        id: '1',
+        pagingToken: '1',
+        type: 'path_payment_strict_send',
+        transactionHash: 'abc',
+        createdAt: '2020-01-01T00:00:00Z',
+        from: 'GSENDER',
+        amount: '10.0000000',
+        asset: 'USD:GISSUER',
+        memoType: 'id',
+        memo: '1234'
+      });
+      expect(outgoing).to.equal(undefined);
+      expect(other).to.equal(undefined);
+    });
+  });
+
+  it('reads the amount of merges and claims from their effects', function() {
+    const watcher = new AiBlocksSdk.DepositWatcher(this.server, {
+      account: hotWallet,
+      ondeposit: () => {}
+    });
+    const effects = () =>
+      Promise.resolve({
+        records: [
+          { type: 'account_debited', account: 'GMERGED', amount: '5.0' },
+          {
+            type: 'account_credited',
+            account: hotWallet,
+            amount: '5.0',
+            asset_type: 'native'
+          }
+        ]
+      });
+
+    return Promise.all([
+      watcher.toDeposit(
+        withTransaction({
+          paging_token: '1',
+          type: 'account_merge',
+          source_account: 'GMERGED',
+          account: 'GMERGED',
+          into: hotWallet,
+          effects
+        })
+      ),
+      watcher.toDeposit(
+        withTransaction({
+          paging_token: '2',
+          type: 'claim_claimable_balance',
+          source_account: hotWallet,
+          claimant: hotWallet,
+          balance_id: '00000000abcd',
+          effects
+        })
+      )
+    ]).then(([merge, claim]) => {
+      expect(merge.from).to.equal('GMERGED');
+      expect(merge.amount).to.equal('5.0');
+      expect(merge.asset).to.equal('native');
+
+      expect(claim.from).to.equal(undefined);
+      expect(claim.balanceId).to.equal('00000000abcd');
+      expect(claim.amount).to.equal('5.0');
+    });
+  });
+
+  it('resolves customers from memos and emits deposits one at a time', function() {
+    const deposits = [];
+    let finishFirst;
+    const watcher = new AiBlocksSdk.DepositWatcher(this.server, {
+      account: hotWallet,
+      resolveCustomer: (memo, memoType) =>
+        Promise.resolve(`customer-${memoType}-${memo}`),
+      ondeposit: (deposit) => {
+        deposits.push(deposit.customer);
+        if (deposits.length === 1) {
+          return new Promise((resolve) => {
+            finishFirst = resolve;
+          });
+        }
+      }
+    });
+    watcher.start();
+    const { onmessage } = this.streams[0];
+
+    const first = onmessage(payment('1', 'GSENDER', hotWallet));
+    const second = onmessage(payment('2', 'GSENDER', hotWallet));
+    return new Promise((resolve) => setTimeout(resolve, 10))
+      .then(() => {
+        expect(deposits).to.deep.equal(['customer-id-1234']);
+
+        finishFirst();
+        return Promise.all([first, second]);
+      })
+      .then(() => {
+        expect(deposits.length).to.equal(2);
+      });
+  });
+
+  it('reports failed deposits to onerror', function() {
+    const onerror = sinon.spy();
+    const watcher = new AiBlocksSdk.DepositWatcher(this.server, {
+      account: hotWallet,
+      onerror,
+      ondeposit: () => {
+        throw new Error('database down');
+      }
+    });
+    watcher.start();
+
+    return this.streams[0]
+      .onmessage(payment('1', 'GSENDER', hotWallet))
+      .should.be.rejectedWith(/database down/)
+      .then(() => {
+        expect(onerror.firstCall.args[0].message).to.equal('database down');
+      });
+  });
+});
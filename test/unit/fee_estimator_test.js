@@ -0,0 +1,117 @@
+describe('FeeEstimator', function() {
+  function distribution(values) {
+    return Object.assign(
+      {
+        min: '100',
+        max: '100',
+        mode: '100',
+        p10: '100',
+        p20: '100',
+        p30: '100',
+        p40: '100',
+        p50: '100',
+        p60: '100',
+        p70: '100',
+        p80: '100',
+        p90: '100',
+        p95: '100',
+        p99: '100'
+      },
+      values
+    );
+  }
+
+  function feeStats(capacity, charged, maxFee = {}) {
+    return {
+      last_ledger: '22606298',
+      last_ledger_base_fee: '100',
+      ledger_capacity_usage: capacity,
+      fee_charged: distribution(charged),
+      max_fee: distribution(maxFee)
+    };
+  }
+
+  const calm = feeStats('0.3', {
+    p10: '100',
+    p50: '150',
+    p70: '180',
+    p90: '300',
+    p99: '900'
+  });
+  const surging = feeStats(
+    '0.97',
+    { min: '200', p10: '200', p50: '400', p99: '2000' },
+    { p90: '5000' }
+  );
+
+  beforeEach(function() {
+    this.server = new AiBlocksSdk.Server(
+      'https://millennium-live.aiblocks.io:1337'
+    );
+    this.estimator = new AiBlocksSdk.FeeEstimator(this.server);
+  });
+
+  it('uses the fee charged percentiles', function() {
+    expect(this.estimator.estimateFromStats(calm).fee).to.equal('150');
+    expect(this.estimator.estimateFromStats(calm, 'economy').fee).to.equal(
+      '100'
+    );
+    expect(this.estimator.estimateFromStats(calm, 'p90').fee).to.equal('300');
+    expect(this.estimator.estimateFromStats(calm, 'p99').fee).to.equal('900');
+    expect(
+      this.estimator.estimateFromStats(calm, 'fastUnderSurge').fee
+    ).to.equal('180');
+  });
+
+  it('detects surge pricing', function() {
+    expect(this.estimator.isSurge(calm)).to.equal(false);
+    expect(this.estimator.isSurge(surging)).to.equal(true);
+    expect(this.estimator.isSurge(feeStats('0.1', { min: '101' }))).to.equal(
+      true
+    );
+
+    const estimate = this.estimator.estimateFromStats(
+      surging,
+      'fastUnderSurge'
+    );
+    expect(estimate.surge).to.equal(true);
+    expect(estimate.fee).to.equal('5000');
+    expect(estimate.ledgerCapacityUsage).to.equal(0.97);
+  });
+
+  it('caps fees at maxFee', function() {
+    const estimator = new AiBlocksSdk.FeeEstimator(this.server, {
+      maxFee: 1000,
+      strategy: 'fastUnderSurge'
+    });
+    const estimate = estimator.estimateFromStats(surging);
+    expect(estimate.fee).to.equal('1000');
+    expect(estimate.capped).to.equal(true);
+    expect(estimator.estimateFromStats(calm).capped).to.equal(false);
+  });
+
+  it('never goes below the base fee', function() {
+    const stats = feeStats('0.1', { p10: '50' });
+    expect(this.estimator.estimateFromStats(stats, 'economy').fee).to.equal(
+      '100'
+    );
+  });
+
+  it('rejects invalid fee stats instead of guessing', function() {
+    const stats = Object.assign({}, calm, { last_ledger_base_fee: '' });
+    expect(() => this.estimator.estimateFromStats(stats)).to.throw(
+      /last_ledger_base_fee/
+    );
+    expect(() => this.estimator.estimateFromStats(calm, 'turbo')).to.throw(
+      /Unknown fee strategy/
+    );
+  });
+
+  it('fetches the fee stats', function() {
+    this.server.feeStats = () => Promise.resolve(surging);
+    return this.estimator.estimate('p50').then((estimate) => {
+      expect(estimate.fee).to.equal('400');
+      expect(estimate.strategy).to.equal('p50');
+    });
+  });
+});
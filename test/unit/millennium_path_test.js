@@ -1,17 +1,20 @@
 describe('millennium path tests', function() {
   beforeEach(function() {
-    this.axiosMock = sinon.mock(MillenniumAxiosClient);
     AiBlocksSdk.Config.setDefault();
   });
 
-  afterEach(function() {
-    this.axiosMock.verify();
-    this.axiosMock.restore();
-  });
-
   function test_millennium_paths(serverUrl) {
     let server = new AiBlocksSdk.Server(serverUrl);
 
+    beforeEach(function() {
+      this.axiosMock = sinon.mock(server.httpClient);
+    });
+
+    afterEach(function() {
+      this.axiosMock.verify();
+      this.axiosMock.restore();
+    });
+
     let randomResult = {
       data: {
         url: serverUrl,
@@ -161,6 +164,8 @@ describe('millennium path tests', function() {
 
   for (var index = 0; index < serverUrls.length; index++) {
     var serverUrl = serverUrls[index];
-    test_millennium_paths(serverUrl);
+    describe(serverUrl, function() {
+      test_millennium_paths(serverUrl);
+    });
   }
 });
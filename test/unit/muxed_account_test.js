@@ -0,0 +1,42 @@
+describe('muxed accounts', function() {
+  const accountId = 'GA7QYNF7SOWQ3GLR2BGMZEHXAVIRZA4KVWLTJJFC7MGXUA74P7UJVSGZ';
+
+  it('encodes SEP-23 muxed accounts', function() {
+    expect(AiBlocksSdk.encodeMuxedAccount(accountId, '0')).to.equal(
+      'MA7QYNF7SOWQ3GLR2BGMZEHXAVIRZA4KVWLTJJFC7MGXUA74P7UJUAAAAAAAAAAAACJUQ'
+    );
+  });
+
+  it('round-trips 64-bit IDs', function() {
+    const address = AiBlocksSdk.encodeMuxedAccount(
+      accountId,
+      '18446744073709551615'
+    );
+
+    expect(AiBlocksSdk.decodeMuxedAccount(address)).to.deep.equal({
+      accountId,
+      id: '18446744073709551615'
+    });
+    expect(AiBlocksSdk.isValidMuxedAccount(address)).to.be.true;
+  });
+
+  it('rejects invalid IDs and addresses', function() {
+    const address = AiBlocksSdk.encodeMuxedAccount(accountId, '1');
+
+    expect(() =>
+      AiBlocksSdk.encodeMuxedAccount(accountId, '18446744073709551616')
+    ).to.throw(/Invalid muxed account ID/);
+    expect(() => AiBlocksSdk.encodeMuxedAccount(accountId, '-1')).to.throw(
+      /Invalid muxed account ID/
+    );
+    expect(() => AiBlocksSdk.encodeMuxedAccount(accountId, 'abc')).to.throw(
+      /Invalid muxed account ID/
+    );
+    expect(AiBlocksSdk.isValidMuxedAccount(accountId)).to.be.false;
+    expect(AiBlocksSdk.isValidMuxedAccount(`${address.slice(0, -1)}A`)).to.be
+      .false;
+    expect(() => AiBlocksSdk.decodeMuxedAccount(address.slice(0, -1))).to.throw(
+      /Invalid muxed account/
+    );
+  });
+});
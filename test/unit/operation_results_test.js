@@ -0,0 +1,166 @@
+describe('decodeOperationResults', function() {
+  const { xdr } = AiBlocksSdk;
+  const keypair = AiBlocksSdk.Keypair.random();
+  const accountId = keypair.xdrAccountId();
+  const usd = new AiBlocksSdk.Asset('USD', keypair.publicKey());
+  const native = AiBlocksSdk.Asset.native();
+
+  function int64(value) {
+    return xdr.Int64.fromString(value);
+  }
+
+  function transactionResult(operationResults) {
+    return new xdr.TransactionResult({
+      feeCharged: int64('100'),
+      result: xdr.TransactionResultResult.txSuccess(operationResults),
+      ext: new xdr.TransactionResultExt(0)
+    });
+  }
+
+  function claimedOffer(assetSold, amountSold, assetBought, amountBought) {
+    return new xdr.ClaimOfferAtom({
+      sellerId: accountId,
+      offerId: int64('7'),
+      assetSold: assetSold.toXDRObject(),
+      amountSold: int64(amountSold),
+      assetBought: assetBought.toXDRObject(),
+      amountBought: int64(amountBought)
+    });
+  }
+
+  it('decodes path payments', function() {
+    const success = new xdr.PathPaymentStrictSendResultSuccess({
+      offers: [claimedOffer(usd, '50000000', native, '100000000')],
+      last: new xdr.SimplePaymentResult({
+        destination: accountId,
+        asset: usd.toXDRObject(),
+        amount: int64('50000000')
+      })
+    });
+    const result = transactionResult([
+      xdr.OperationResult.opInner(
+        xdr.OperationResultTr.pathPaymentStrictSend(
+          xdr.PathPaymentStrictSendResult.pathPaymentStrictSendSuccess(success)
+        )
+      )
+    ]);
+
+    const [decoded] = AiBlocksSdk.decodeOperationResults(
+      result.toXDR('base64')
+    );
+    expect(decoded.operationIndex).to.equal(0);
+    expect(decoded.code).to.equal('opInner');
+    expect(decoded.type).to.equal('pathPaymentStrictSend');
+    expect(decoded.resultCode).to.equal('pathPaymentStrictSendSuccess');
+    expect(decoded.successful).to.equal(true);
+    expect(decoded.pathPayment.amountSent).to.equal('10');
+    expect(decoded.pathPayment.amountReceived).to.equal('5');
+    expect(decoded.pathPayment.destination).to.equal(keypair.publicKey());
+    expect(decoded.pathPayment.destinationAsset).to.deep.equal({
+      type: 'credit_alphanum4',
+      assetCode: 'USD',
+      issuer: keypair.publicKey()
+    });
+    expect(decoded.pathPayment.offersClaimed).to.have.length(1);
+    expect(decoded.pathPayment.offersClaimed[0].offerId).to.equal('7');
+  });
+
+  it('decodes claimable balances, merges and sponsorship', function() {
+    const balanceId = xdr.ClaimableBalanceId.claimableBalanceIdTypeV0(
+      Buffer.alloc(32, 1)
+    );
+    const result = transactionResult([
+      xdr.OperationResult.opInner(
+        xdr.OperationResultTr.createClaimableBalance(
+          xdr.CreateClaimableBalanceResult.createClaimableBalanceSuccess(
+            balanceId
+          )
+        )
+      ),
+      xdr.OperationResult.opInner(
+        xdr.OperationResultTr.accountMerge(
+          xdr.AccountMergeResult.accountMergeSuccess(int64('123456789'))
+        )
+      ),
+      xdr.OperationResult.opInner(
+        xdr.OperationResultTr.beginSponsoringFutureReserves(
+          xdr.BeginSponsoringFutureReservesResult.beginSponsoringFutureReservesSuccess()
+        )
+      )
+    ]);
+
+    const decoded = AiBlocksSdk.decodeOperationResults(result.toXDR('base64'));
+    expect(decoded[0].balanceId).to.equal(balanceId.toXDR('hex'));
+    expect(decoded[1].amountMerged).to.equal('12.3456789');
+    expect(decoded[2].type).to.equal('beginSponsoringFutureReserves');
+    expect(decoded[2].resultCode).to.equal(
+      'beginSponsoringFutureReservesSuccess'
+    );
+    expect(decoded[2].successful).to.equal(true);
+  });
+
+  it('decodes failures', function() {
+    const result = new xdr.TransactionResult({
+      feeCharged: int64('100'),
+      result: xdr.TransactionResultResult.txFailed([
+        xdr.OperationResult.opInner(
+          xdr.OperationResultTr.payment(
+            xdr.PaymentResult.paymentUnderfunded()
+          )
+        ),
+        xdr.OperationResult.opBadAuth()
+      ]),
+      ext: new xdr.TransactionResultExt(0)
+    });
+
+    const decoded = AiBlocksSdk.decodeOperationResults(result.toXDR('base64'));
+    expect(decoded).to.deep.equal([
+      {
+        operationIndex: 0,
+        code: 'opInner',
+        type: 'payment',
+        resultCode: 'paymentUnderfunded',
+        successful: false
+      },
+      { operationIndex: 1, code: 'opBadAuth', successful: false }
+    ]);
+  });
+
+  it('decodes the inner results of fee bumps', function() {
+    const inner = new xdr.InnerTransactionResult({
+      feeCharged: int64('100'),
+      result: xdr.InnerTransactionResultResult.txSuccess([
+        xdr.OperationResult.opInner(
+          xdr.OperationResultTr.payment(xdr.PaymentResult.paymentSuccess())
+        )
+      ]),
+      ext: new xdr.InnerTransactionResultExt(0)
+    });
+    const result = new xdr.TransactionResult({
+      feeCharged: int64('200'),
+      result: xdr.TransactionResultResult.txFeeBumpInnerSuccess(
+        new xdr.InnerTransactionResultPair({
+          transactionHash: Buffer.alloc(32),
+          result: inner
+        })
+      ),
+      ext: new xdr.TransactionResultExt(0)
+    });
+
+    const decoded = AiBlocksSdk.decodeOperationResults(result.toXDR('base64'));
+    expect(decoded).to.have.length(1);
+    expect(decoded[0].resultCode).to.equal('paymentSuccess');
+  });
+
+  it('returns no results when no operation was evaluated', function() {
+    const result = new xdr.TransactionResult({
+      feeCharged: int64('100'),
+      result: xdr.TransactionResultResult.txBadSeq(),
+      ext: new xdr.TransactionResultExt(0)
+    });
+
+    expect(
+      AiBlocksSdk.decodeOperationResults(result.toXDR('base64'))
+    ).to.deep.equal([]);
+  });
+});
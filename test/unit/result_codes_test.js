@@ -0,0 +1,54 @@
+describe('result codes', function() {
+  const { xdr } = AiBlocksSdk;
+
+  function resultXdr(result) {
+    return new xdr.TransactionResult({
+      feeCharged: xdr.Int64.fromString('100'),
+      result,
+      ext: new xdr.TransactionResultExt(0)
+    }).toXDR('base64');
+  }
+
+  it('derives Millennium codes from XDR', function() {
+    const result = xdr.TransactionResultResult.txFailed([
+      xdr.OperationResult.opInner(
+        xdr.OperationResultTr.createPassiveSellOffer(
+          xdr.ManageSellOfferResult.manageSellOfferSellNoTrust()
+        )
+      ),
+      xdr.OperationResult.opInner(
+        xdr.OperationResultTr.pathPaymentStrictReceive(
+          xdr.PathPaymentStrictReceiveResult.pathPaymentStrictReceiveOverSendmax()
+        )
+      ),
+      xdr.OperationResult.opNoAccount()
+    ]);
+
+    expect(AiBlocksSdk.resultCodesFromXDR(resultXdr(result))).to.deep.equal({
+      transaction: 'tx_failed',
+      operations: [
+        'op_sell_no_trust',
+        'op_over_source_max',
+        'op_no_source_account'
+      ]
+    });
+  });
+
+  it('omits the operations when they were not evaluated', function() {
+    expect(
+      AiBlocksSdk.resultCodesFromXDR(
+        resultXdr(xdr.TransactionResultResult.txBadSeq())
+      )
+    ).to.deep.equal({ transaction: 'tx_bad_seq' });
+  });
+
+  it('explains codes', function() {
+    expect(AiBlocksSdk.explainResultCode('tx_bad_seq')).to.match(
+      /sequence number/
+    );
+    expect(AiBlocksSdk.explainResultCode('op_no_trust')).to.match(/trustline/);
+    expect(AiBlocksSdk.explainResultCode('op_made_up')).to.equal(
+      'Unknown result code "op_made_up".'
+    );
+  });
+});
@@ -0,0 +1,196 @@
+const MockAdapter = require('axios-mock-adapter');
+
+describe('retry policy', function() {
+  const policy = Object.assign({}, AiBlocksSdk.DEFAULT_RETRY_POLICY, {
+    maxRetries: 2,
+    initialDelay: 100,
+    jitter: false
+  });
+
+  function errorWith(status, headers = {}) {
+    const error = new Error(`Request failed with status code ${status}`);
+    error.isAxiosError = true;
+    error.response = { status, headers };
+    return error;
+  }
+
+  describe('isRetryable', function() {
+    it('retries the configured statuses only', function() {
+      expect(AiBlocksSdk.isRetryable(errorWith(429), policy)).to.equal(true);
+      expect(AiBlocksSdk.isRetryable(errorWith(504), policy)).to.equal(true);
+      expect(AiBlocksSdk.isRetryable(errorWith(400), policy)).to.equal(false);
+      expect(AiBlocksSdk.isRetryable(errorWith(404), policy)).to.equal(false);
+    });
+
+    it('retries network errors but not other errors', function() {
+      const networkError = new Error('socket hang up');
+      networkError.isAxiosError = true;
+      expect(AiBlocksSdk.isRetryable(networkError, policy)).to.equal(true);
+      expect(AiBlocksSdk.isRetryable(new Error('boom'), policy)).to.equal(
+        false
+      );
+    });
+  });
+
+  describe('getRetryDelay', function() {
+    it('backs off exponentially up to maxDelay', function() {
+      const error = errorWith(503);
+      expect(AiBlocksSdk.getRetryDelay(error, 1, policy)).to.equal(100);
+      expect(AiBlocksSdk.getRetryDelay(error, 2, policy)).to.equal(200);
+      expect(AiBlocksSdk.getRetryDelay(error, 3, policy)).to.equal(400);
+      expect(
+        AiBlocksSdk.getRetryDelay(
+          error,
+          20,
+          Object.assign({}, policy, { maxDelay: 1000 })
+        )
+      ).to.equal(1000);
+    });
+
+    it('applies full jitter', function() {
+      const delay = AiBlocksSdk.getRetryDelay(
+        errorWith(503),
+        3,
+        Object.assign({}, policy, { jitter: true })
+      );
+      expect(delay).to.be.at.least(0);
+      expect(delay).to.be.below(400);
+    });
+
+    it('honors Retry-After', function() {
+      expect(
+        AiBlocksSdk.getRetryDelay(
+          errorWith(429, { 'retry-after': '2' }),
+          1,
+          policy
+        )
+      ).to.equal(2000);
+    });
+
+    it('honors an exhausted X-RateLimit window', function() {
+      expect(
+        AiBlocksSdk.getRetryDelay(
+          errorWith(429, {
+            'x-ratelimit-limit': '3600',
+            'x-ratelimit-remaining': '0',
+            'x-ratelimit-reset': '3'
+          }),
+          1,
+          policy
+        )
+      ).to.equal(3000);
+    });
+  });
+
+  describe('Server requests', function() {
+    beforeEach(function() {
+      this.server = new AiBlocksSdk.Server(
+        'https://millennium-live.aiblocks.io:1337',
+        { retry: { maxRetries: 2, initialDelay: 1, jitter: false } }
+      );
+      this.axiosMockAdapter = new MockAdapter(this.server.httpClient);
+      AiBlocksSdk.Config.setDefault();
+    });
+
+    afterEach(function() {
+      this.axiosMockAdapter.restore();
+    });
+
+    it('retries a call after a 503', function() {
+      this.axiosMockAdapter
+        .onGet(/ledgers\/1/)
+        .replyOnce(503, {}, {})
+        .onGet(/ledgers\/1/)
+        .replyOnce(200, { _links: {}, sequence: 1 }, {});
+
+      return this.server
+        .ledgers()
+        .ledger(1)
+        .call()
+        .then((ledger) => {
+          expect(ledger.sequence).to.equal(1);
+        });
+    });
+
+    it('gives up after maxRetries', function() {
+      this.axiosMockAdapter.onGet(/ledgers\/1/).reply(429, {}, {});
+
+      return this.server
+        .ledgers()
+        .ledger(1)
+        .call()
+        .should.be.rejectedWith(/status code 429/);
+    });
+
+    it('uses the global policy by default', function() {
+      const server = new AiBlocksSdk.Server(
+        'https://millennium-live.aiblocks.io:1337'
+      );
+      const axiosMockAdapter = new MockAdapter(server.httpClient);
+      axiosMockAdapter
+        .onGet(/ledgers\/1/)
+        .replyOnce(503, {}, {})
+        .onGet(/ledgers\/1/)
+        .replyOnce(200, { _links: {}, sequence: 1 }, {});
+
+      return server
+        .ledgers()
+        .ledger(1)
+        .call()
+        .should.be.rejectedWith(/status code 503/);
+    });
+
+    describe('submitTransaction', function() {
+      beforeEach(function() {
+        const keypair = AiBlocksSdk.Keypair.random();
+        const account = new AiBlocksSdk.Account(keypair.publicKey(), '1');
+        this.transaction = new AiBlocksSdk.TransactionBuilder(account, {
+          fee: 100,
+          networkPassphrase: AiBlocksSdk.Networks.TESTNET
+        })
+          .addOperation(AiBlocksSdk.Operation.bumpSequence({ bumpTo: '2' }))
+          .setTimeout(AiBlocksSdk.TimeoutInfinite)
+          .build();
+        this.transaction.sign(keypair);
+        this.hash = this.transaction.hash().toString('hex');
+      });
+
+      it('resends the transaction when it was not applied', function() {
+        this.axiosMockAdapter
+          .onPost(/transactions/)
+          .replyOnce(504, {}, {})
+          .onGet(new RegExp(`transactions/${this.hash}`))
+          .replyOnce(404, {}, {})
+          .onPost(/transactions/)
+          .replyOnce(200, { hash: this.hash }, {});
+
+        return this.server
+          .submitTransaction(this.transaction, { skipMemoRequiredCheck: true })
+          .then((response) => {
+            expect(response.hash).to.equal(this.hash);
+            expect(this.axiosMockAdapter.history.post.length).to.equal(2);
+          });
+      });
+
+      it('does not resend a transaction that was already applied', function() {
+        this.axiosMockAdapter
+          .onPost(/transactions/)
+          .replyOnce(504, {}, {})
+          .onGet(new RegExp(`transactions/${this.hash}`))
+          .replyOnce(200, {
+            _links: {},
+            hash: this.hash,
+            ledger: 10,
+            successful: true
+          }, {});
+
+        return this.server
+          .submitTransaction(this.transaction, { skipMemoRequiredCheck: true })
+          .then((response) => {
+            expect(response.hash).to.equal(this.hash);
+            expect(this.axiosMockAdapter.history.post.length).to.equal(1);
+          });
+      });
+    });
+  });
+});
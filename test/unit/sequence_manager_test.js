@@ -0,0 +1,206 @@
+describe('SequenceManager', function() {
+  const keypair = AiBlocksSdk.Keypair.random();
+  const accountId = keypair.publicKey();
+
+  function accountResponse(sequence) {
+    return new AiBlocksSdk.AccountResponse({
+      id: accountId,
+      account_id: accountId,
+      sequence,
+      balances: [],
+      signers: []
+    });
+  }
+
+  function badSeq() {
+    return new AiBlocksSdk.TransactionFailedError('failed', {
+      data: { extras: { result_codes: { transaction: 'tx_bad_seq' } } }
+    });
+  }
+
+  function build(account) {
+    return new AiBlocksSdk.TransactionBuilder(account, {
+      fee: 100,
+      networkPassphrase: AiBlocksSdk.Networks.TESTNET
+    })
+      .addOperation(AiBlocksSdk.Operation.bumpSequence({ bumpTo: '0' }))
+      .setTimeout(30)
+      .build();
+  }
+
+  function nextSequence(sequences) {
+    return sequences.lease(accountId).then((lease) => lease.sequence);
+  }
+
+  beforeEach(function() {
+    this.server = new AiBlocksSdk.Server(
+      'https://millennium-live.aiblocks.io:1337'
+    );
+    this.loadAccount = sinon.stub(this.server, 'loadAccount');
+    this.loadAccount.returns(Promise.resolve(accountResponse('100')));
+    this.submitTransaction = sinon.stub(this.server, 'submitTransaction');
+    this.sequences = new AiBlocksSdk.SequenceManager(this.server);
+  });
+
+  it('leases consecutive numbers and loads the account once', function() {
+    return Promise.all([
+      this.sequences.lease(accountId),
+      this.sequences.lease(accountId),
+      this.sequences.lease(accountId)
+    ]).then((leases) => {
+      expect(leases.map((lease) => lease.sequence)).to.deep.equal([
+        '101',
+        '102',
+        '103'
+      ]);
+      expect(build(leases[1].account).sequence).to.equal('102');
+      expect(this.loadAccount.callCount).to.equal(1);
+    });
+  });
+
+  it('hands released numbers out again', function() {
+    let first;
+    return this.sequences
+      .lease(accountId)
+      .then((lease) => {
+        first = lease;
+        return this.sequences.lease(accountId);
+      })
+      .then((second) => this.sequences.consume(second))
+      .then(() => this.sequences.release(first))
+      .then(() => nextSequence(this.sequences))
+      .then((sequence) => {
+        expect(sequence).to.equal('101');
+        return nextSequence(this.sequences);
+      })
+      .then((sequence) => {
+        expect(sequence).to.equal('103');
+      });
+  });
+
+  it('submits transactions built from leased numbers', function() {
+    this.submitTransaction.returns(Promise.resolve({}));
+
+    return Promise.all([
+      this.sequences.submitTransaction(accountId, build),
+      this.sequences.submitTransaction(accountId, build)
+    ]).then(() => {
+      const submitted = this.submitTransaction.args.map(([tx]) => tx.sequence);
+      expect(submitted).to.deep.equal(['101', '102']);
+    });
+  });
+
+  it('reconciles and retries on tx_bad_seq', function() {
+    this.submitTransaction.onFirstCall().returns(Promise.reject(badSeq()));
+    this.submitTransaction.onSecondCall().returns(Promise.resolve({}));
+    this.loadAccount
+      .onSecondCall()
+      .returns(Promise.resolve(accountResponse('105')));
+
+    return this.sequences
+      .submitTransaction(accountId, build)
+      .then(() => {
+        expect(this.submitTransaction.args[0][0].sequence).to.equal('101');
+        expect(this.submitTransaction.args[1][0].sequence).to.equal('106');
+        return nextSequence(this.sequences);
+      })
+      .then((sequence) => {
+        expect(sequence).to.equal('107');
+      });
+  });
+
+  it('re-offers numbers whose transactions never made it', function() {
+    let pending;
+    return this.sequences
+      .lease(accountId)
+      .then((lost) => this.sequences.consume(lost))
+      .then(() => this.sequences.lease(accountId))
+      .then((lease) => {
+        pending = lease;
+        return this.sequences.reconcile(accountId);
+      })
+      .then(() => nextSequence(this.sequences))
+      .then((sequence) => {
+        expect(sequence).to.equal('101');
+        return nextSequence(this.sequences);
+      })
+      .then((sequence) => {
+        expect(sequence).to.equal('103');
+        return this.sequences.release(pending);
+      })
+      .then(() => nextSequence(this.sequences))
+      .then((sequence) => {
+        expect(sequence).to.equal('102');
+      });
+  });
+
+  it('holds numbers of timed out submissions until they expire', function() {
+    const timeout = new Error('timeout of 60000ms exceeded');
+    const expired = (account) =>
+      new AiBlocksSdk.TransactionBuilder(account, {
+        fee: 100,
+        networkPassphrase: AiBlocksSdk.Networks.TESTNET,
+        timebounds: { minTime: 0, maxTime: Math.floor(Date.now() / 1000) - 1 }
+      })
+        .addOperation(AiBlocksSdk.Operation.bumpSequence({ bumpTo: '0' }))
+        .build();
+    this.submitTransaction.returns(Promise.reject(timeout));
+
+    return this.sequences
+      .submitTransaction(accountId, build)
+      .should.be.rejectedWith(timeout)
+      .then(() =>
+        this.sequences
+          .submitTransaction(accountId, expired)
+          .should.be.rejectedWith(timeout)
+      )
+      .then(() => this.sequences.reconcile(accountId))
+      .then(() => nextSequence(this.sequences))
+      .then((sequence) => {
+        expect(sequence).to.equal('102');
+        return nextSequence(this.sequences);
+      })
+      .then((sequence) => {
+        expect(sequence).to.equal('103');
+        this.loadAccount.returns(Promise.resolve(accountResponse('101')));
+        return this.sequences.reconcile(accountId);
+      })
+      .then(() => nextSequence(this.sequences))
+      .then((sequence) => {
+        expect(sequence).to.equal('104');
+      });
+  });
+
+  it('consumes numbers of transactions that failed in a ledger', function() {
+    this.submitTransaction.returns(
+      Promise.reject(
+        new AiBlocksSdk.TransactionFailedError('failed', {
+          data: { extras: { result_codes: { transaction: 'tx_failed' } } }
+        })
+      )
+    );
+
+    return this.sequences
+      .submitTransaction(accountId, build)
+      .should.be.rejectedWith(AiBlocksSdk.TransactionFailedError)
+      .then(() => {
+        expect(this.submitTransaction.callCount).to.equal(1);
+        return nextSequence(this.sequences);
+      })
+      .then((sequence) => {
+        expect(sequence).to.equal('102');
+      });
+  });
+
+  it('releases the number when building fails', function() {
+    return this.sequences
+      .submitTransaction(accountId, () => {
+        throw new Error('cannot build');
+      })
+      .should.be.rejectedWith(/cannot build/)
+      .then(() => nextSequence(this.sequences))
+      .then((sequence) => {
+        expect(sequence).to.equal('101');
+      });
+  });
+});
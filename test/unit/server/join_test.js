@@ -5,7 +5,7 @@ describe("Server - CallBuilder#join", function() {
     this.server = new AiBlocksSdk.Server(
       "https://millennium-live.aiblocks.io:1337",
     );
-    this.axiosMock = sinon.mock(MillenniumAxiosClient);
+    this.axiosMock = sinon.mock(this.server.httpClient);
   });
 
   afterEach(function() {
@@ -0,0 +1,301 @@
+describe('server.js buildAccountCloseTransactions', function() {
+  const networkPassphrase = AiBlocksSdk.Networks.TESTNET;
+  const accountId = AiBlocksSdk.Keypair.random().publicKey();
+  const destination = AiBlocksSdk.Keypair.random().publicKey();
+  const issuer = AiBlocksSdk.Keypair.random().publicKey();
+  const cosigner = AiBlocksSdk.Keypair.random().publicKey();
+  const hashX = AiBlocksSdk.StrKey.encodeSha256Hash(
+    AiBlocksSdk.hash(Buffer.from('secret'))
+  );
+  const offersUrl = `https://millennium-live.aiblocks.io:1337/accounts/${accountId}/offers`;
+
+  function accountRecord(id, overrides) {
+    return Object.assign(
+      {
+        id,
+        account_id: id,
+        sequence: '100',
+        subentry_count: 0,
+        num_sponsoring: 0,
+        num_sponsored: 0,
+        flags: {
+          auth_required: false,
+          auth_revocable: false,
+          auth_immutable: false
+        },
+        balances: [
+          {
+            asset_type: 'native',
+            balance: '100.0000000',
+            buying_liabilities: '0.0000000',
+            selling_liabilities: '0.0000000'
+          }
+        ],
+        signers: [{ key: id, weight: 1, type: 'ed25519_public_key' }],
+        data_attr: {}
+      },
+      overrides
+    );
+  }
+
+  function trustline(code, balance, overrides) {
+    return Object.assign(
+      {
+        asset_type: 'credit_alphanum4',
+        asset_code: code,
+        asset_issuer: issuer,
+        balance,
+        limit: '1000.0000000',
+        buying_liabilities: '0.0000000',
+        selling_liabilities: '0.0000000',
+        is_authorized: true
+      },
+      overrides
+    );
+  }
+
+  function offer(id) {
+    return {
+      id,
+      paging_token: String(id),
+      seller: accountId,
+      selling: { asset_type: 'native' },
+      buying: {
+        asset_type: 'credit_alphanum4',
+        asset_code: 'USD',
+        asset_issuer: issuer
+      },
+      amount: '5.0000000',
+      price_r: { n: 1, d: 2 },
+      price: '0.5000000'
+    };
+  }
+
+  function page(records, next) {
+    return Promise.resolve({
+      data: {
+        _links: { next: { href: next || `${offersUrl}?cursor=last` } },
+        _embedded: { records }
+      }
+    });
+  }
+
+  function types(transaction) {
+    return transaction.operations.map((operation) => operation.type);
+  }
+
+  beforeEach(function() {
+    this.server = new AiBlocksSdk.Server(
+      'https://millennium-live.aiblocks.io:1337'
+    );
+    this.axiosMock = sinon.mock(this.server.httpClient);
+    this.accounts = {
+      [accountId]: accountRecord(accountId),
+      [destination]: accountRecord(destination)
+    };
+    this.server.loadAccount = (id) => {
+      const record = this.accounts[id];
+      return record
+        ? Promise.resolve(new AiBlocksSdk.AccountResponse(record))
+        : Promise.reject(new AiBlocksSdk.NotFoundError('not found', {}));
+    };
+    this.options = { networkPassphrase };
+  });
+
+  afterEach(function() {
+    this.axiosMock.verify();
+    this.axiosMock.restore();
+  });
+
+  it('removes offers, data, trustlines and signers, then merges', function() {
+    this.axiosMock
+      .expects('get')
+      .withArgs(sinon.match(`${offersUrl}?limit=200`))
+      .returns(page([offer(42)]));
+    Object.assign(this.accounts[accountId], {
+      data_attr: { 'config.memo_required': 'MQ==' },
+      signers: [
+        { key: cosigner, weight: 1, type: 'ed25519_public_key' },
+        { key: hashX, weight: 1, type: 'sha256_hash' },
+        { key: accountId, weight: 1, type: 'ed25519_public_key' }
+      ]
+    });
+    this.accounts[accountId].balances.push(
+      trustline('USD', '10.0000000'),
+      trustline('EUR', '0.0000000')
+    );
+    this.accounts[destination].balances.push(trustline('USD', '0.0000000'));
+
+    return this.server
+      .buildAccountCloseTransactions(accountId, destination, this.options)
+      .then(({ transactions, blockers }) => {
+        expect(blockers).to.deep.equal([]);
+        expect(transactions.length).to.equal(1);
+        const [transaction] = transactions;
+        expect(transaction.source).to.equal(accountId);
+        expect(transaction.sequence).to.equal('101');
+        expect(transaction.signatures).to.deep.equal([]);
+        expect(types(transaction)).to.deep.equal([
+          'manageSellOffer',
+          'manageData',
+          'payment',
+          'changeTrust',
+          'changeTrust',
+          'setOptions',
+          'setOptions',
+          'accountMerge'
+        ]);
+        const operations = transaction.operations;
+        expect(operations[0].offerId).to.equal('42');
+        expect(operations[0].amount).to.equal('0.0000000');
+        expect(operations[1].name).to.equal('config.memo_required');
+        expect(operations[1].value).to.be.null;
+        expect(operations[2].destination).to.equal(destination);
+        expect(operations[2].amount).to.equal('10.0000000');
+        expect(operations[2].asset.getCode()).to.equal('USD');
+        expect(operations[3].line.getCode()).to.equal('USD');
+        expect(operations[3].limit).to.equal('0.0000000');
+        expect(operations[5].signer).to.deep.equal({
+          ed25519PublicKey: cosigner,
+          weight: 0
+        });
+        expect(
+          AiBlocksSdk.StrKey.encodeSha256Hash(operations[6].signer.sha256Hash)
+        ).to.equal(hashX);
+        expect(operations[7].destination).to.equal(destination);
+      });
+  });
+
+  it('returns balances to their issuer', function() {
+    this.axiosMock
+      .expects('get')
+      .withArgs(sinon.match(`${offersUrl}?limit=200`))
+      .returns(page([]));
+    this.accounts[accountId].balances.push(trustline('USD', '10.0000000'));
+    this.accounts[issuer] = accountRecord(issuer);
+
+    return this.server
+      .buildAccountCloseTransactions(accountId, issuer, this.options)
+      .then(({ transactions, blockers }) => {
+        expect(blockers).to.deep.equal([]);
+        expect(types(transactions[0])).to.deep.equal([
+          'payment',
+          'changeTrust',
+          'accountMerge'
+        ]);
+      });
+  });
+
+  it('reports blockers and leaves the merge out', function() {
+    this.axiosMock
+      .expects('get')
+      .withArgs(sinon.match(`${offersUrl}?limit=200`))
+      .returns(page([]));
+    this.accounts[accountId].num_sponsoring = 2;
+    this.accounts[accountId].balances.push(
+      trustline('USD', '10.0000000'),
+      trustline('EUR', '5.0000000'),
+      trustline('GBP', '5.0000000', { is_authorized: false }),
+      trustline('JPY', '0.0000000')
+    );
+    this.accounts[destination].balances.push(trustline('EUR', '999.0000000'));
+
+    return this.server
+      .buildAccountCloseTransactions(accountId, destination, this.options)
+      .then(({ transactions, blockers }) => {
+        expect(
+          blockers.map((blocker) => [blocker.code, blocker.asset])
+        ).to.deep.equal([
+          ['op_is_sponsor', undefined],
+          ['op_no_trust', `USD:${issuer}`],
+          ['op_line_full', `EUR:${issuer}`],
+          ['op_src_not_authorized', `GBP:${issuer}`]
+        ]);
+        expect(blockers[0].message).to.equal(
+          'The account sponsors 2 entries or accounts, whose sponsorship must be revoked or transferred first.'
+        );
+        expect(types(transactions[0])).to.deep.equal(['changeTrust']);
+        expect(transactions[0].operations[0].line.getCode()).to.equal('JPY');
+      });
+  });
+
+  it('reports a missing destination', function() {
+    this.axiosMock
+      .expects('get')
+      .withArgs(sinon.match(`${offersUrl}?limit=200`))
+      .returns(page([]));
+    this.accounts[accountId].balances.push(trustline('USD', '10.0000000'));
+    delete this.accounts[destination];
+
+    return this.server
+      .buildAccountCloseTransactions(accountId, destination, this.options)
+      .then(({ transactions, blockers }) => {
+        expect(blockers.map((blocker) => blocker.code)).to.deep.equal([
+          'op_no_account'
+        ]);
+        expect(transactions).to.deep.equal([]);
+      });
+  });
+
+  it('follows offer pages and splits the operations into transactions', function() {
+    const offers = [];
+    for (let i = 1; i <= 201; i++) {
+      offers.push(offer(i));
+    }
+    this.axiosMock
+      .expects('get')
+      .withArgs(sinon.match(`${offersUrl}?limit=200`))
+      .returns(page(offers.slice(0, 200), `${offersUrl}?cursor=200&limit=200`));
+    this.axiosMock
+      .expects('get')
+      .withArgs(sinon.match(`${offersUrl}?cursor=200&limit=200`))
+      .returns(page(offers.slice(200)));
+
+    return this.server
+      .buildAccountCloseTransactions(
+        accountId,
+        destination,
+        Object.assign({ fee: '200', timeout: 60 }, this.options)
+      )
+      .then(({ transactions }) => {
+        expect(transactions.map((tx) => tx.operations.length)).to.deep.equal([
+          100,
+          100,
+          2
+        ]);
+        expect(transactions.map((tx) => tx.sequence)).to.deep.equal([
+          '101',
+          '102',
+          '103'
+        ]);
+        expect(transactions[0].fee).to.equal('20000');
+        expect(transactions[2].operations[0].offerId).to.equal('201');
+        expect(types(transactions[2])[1]).to.equal('accountMerge');
+      });
+  });
+
+  it('removes the signers in the transaction that merges', function() {
+    const offers = [];
+    for (let i = 1; i <= 99; i++) {
+      offers.push(offer(i));
+    }
+    this.axiosMock
+      .expects('get')
+      .withArgs(sinon.match(`${offersUrl}?limit=200`))
+      .returns(page(offers));
+    this.accounts[accountId].signers = [
+      { key: cosigner, weight: 1, type: 'ed25519_public_key' },
+      { key: hashX, weight: 1, type: 'sha256_hash' },
+      { key: accountId, weight: 0, type: 'ed25519_public_key' }
+    ];
+
+    return this.server
+      .buildAccountCloseTransactions(accountId, destination, this.options)
+      .then(({ transactions }) => {
+        expect(transactions.map(types)).to.deep.equal([
+          offers.map(() => 'manageSellOffer'),
+          ['setOptions', 'setOptions', 'accountMerge']
+        ]);
+      });
+  });
+});
@@ -0,0 +1,208 @@
+describe('server.js batchPayments', function() {
+  const sourceKeypair = AiBlocksSdk.Keypair.random();
+  const source = sourceKeypair.publicKey();
+  const memoRequired = AiBlocksSdk.Keypair.random().publicKey();
+  const destinations = [1, 2, 3].map(() =>
+    AiBlocksSdk.Keypair.random().publicKey()
+  );
+
+  beforeEach(function() {
+    this.server = new AiBlocksSdk.Server(
+      'https://millennium-live.aiblocks.io:1337'
+    );
+    this.server.loadAccount = (accountId) =>
+      Promise.resolve({
+        accountId: () => accountId,
+        sequenceNumber: () => '100',
+        data_attr:
+          accountId === memoRequired ? { 'config.memo_required': 'MQ==' } : {}
+      });
+    this.get = sinon.stub(this.server.httpClient, 'get');
+    this.submitted = [];
+    this.failures = {};
+    this.server.submitTransaction = (transaction) => {
+      this.submitted.push(transaction);
+      const failure = this.failures[this.submitted.length];
+      return failure
+        ? Promise.reject(failure)
+        : Promise.resolve({ hash: transaction.hash().toString('hex') });
+    };
+    this.options = {
+      signers: [sourceKeypair],
+      networkPassphrase: AiBlocksSdk.Networks.TESTNET
+    };
+  });
+
+  function payment(destination, amount, memo) {
+    return {
+      destination,
+      asset: AiBlocksSdk.Asset.native(),
+      amount,
+      memo
+    };
+  }
+
+  it('splits payments into transactions of at most maxOperations', function() {
+    const payments = [1, 2, 3, 4, 5].map((amount) =>
+      payment(destinations[amount % 3], String(amount))
+    );
+
+    return this.server
+      .batchPayments(
+        source,
+        payments,
+        Object.assign({ maxOperations: 2 }, this.options)
+      )
+      .then((report) => {
+        expect(this.submitted.map((tx) => tx.operations.length)).to.deep.equal([
+          2,
+          2,
+          1
+        ]);
+        expect(this.submitted.map((tx) => tx.sequence)).to.deep.equal([
+          '101',
+          '102',
+          '103'
+        ]);
+        expect(this.submitted[0].signatures.length).to.equal(1);
+        expect(report.failed).to.deep.equal([]);
+        expect(report.results.map((result) => result.status)).to.deep.equal([
+          'success',
+          'success',
+          'success',
+          'success',
+          'success'
+        ]);
+        expect(report.results[2].transactionHash).to.equal(
+          this.submitted[1].hash().toString('hex')
+        );
+      });
+  });
+
+  it('only packs payments with the same memo together', function() {
+    const memo = AiBlocksSdk.Memo.id('42');
+    return this.server
+      .batchPayments(
+        source,
+        [
+          payment(destinations[0], '1'),
+          payment(memoRequired, '2', memo),
+          payment(destinations[1], '3'),
+          payment(destinations[2], '4', AiBlocksSdk.Memo.id('42'))
+        ],
+        this.options
+      )
+      .then(() => {
+        expect(this.submitted.length).to.equal(2);
+        expect(this.submitted[0].memo.type).to.equal('none');
+        expect(
+          this.submitted[0].operations.map((op) => op.amount)
+        ).to.deep.equal(['1.0000000', '3.0000000']);
+        expect(this.submitted[1].memo.value).to.equal('42');
+        expect(this.submitted[1].operations.length).to.equal(2);
+      });
+  });
+
+  it('fails payments to accounts that require a memo', function() {
+    return this.server
+      .batchPayments(
+        source,
+        [payment(memoRequired, '1'), payment(destinations[0], '2')],
+        this.options
+      )
+      .then((report) => {
+        expect(this.submitted.length).to.equal(1);
+        expect(this.submitted[0].operations.length).to.equal(1);
+        expect(report.failed.length).to.equal(1);
+        expect(report.failed[0].index).to.equal(0);
+        expect(report.failed[0].error).to.be.instanceOf(
+          AiBlocksSdk.AccountRequiresMemoError
+        );
+        expect(report.successful[0].index).to.equal(1);
+      });
+  });
+
+  it('reports the operation codes of failed transactions', function() {
+    this.failures[1] = new AiBlocksSdk.TransactionFailedError(
+      'Transaction submission failed',
+      {
+        data: {
+          extras: {
+            result_codes: {
+              transaction: 'tx_failed',
+              operations: ['op_success', 'op_underfunded']
+            }
+          }
+        }
+      }
+    );
+    const payments = [
+      payment(destinations[0], '1'),
+      payment(destinations[1], '2'),
+      payment(destinations[2], '3')
+    ];
+
+    return this.server
+      .batchPayments(
+        source,
+        payments,
+        Object.assign({ maxOperations: 2 }, this.options)
+      )
+      .then((report) => {
+        expect(report.failed.map((result) => result.resultCode)).to.deep.equal([
+          'op_success',
+          'op_underfunded'
+        ]);
+        expect(report.failed.map((result) => result.payment)).to.deep.equal(
+          payments.slice(0, 2)
+        );
+        expect(report.successful.map((result) => result.index)).to.deep.equal([
+          2
+        ]);
+      });
+  });
+
+  it('waits for transactions whose submission timed out', function() {
+    const timeout = new Error('timeout of 60000ms exceeded');
+    timeout.isAxiosError = true;
+    timeout.code = 'ECONNABORTED';
+    this.failures[1] = timeout;
+    const notFound = new Error('Request failed with status code 404');
+    notFound.response = { status: 404, statusText: 'Not Found', data: {} };
+    this.get.returns(Promise.reject(notFound));
+    const wait = sinon.stub(this.server, 'submitTransactionAndWait');
+    wait.returns(Promise.resolve({ hash: 'abc' }));
+
+    return this.server
+      .batchPayments(source, [payment(destinations[0], '1')], this.options)
+      .then((report) => {
+        expect(this.get.firstCall.args[0]).to.match(
+          new RegExp(
+            `/transactions/${this.submitted[0].hash().toString('hex')}`
+          )
+        );
+        expect(wait.calledOnce).to.equal(true);
+        expect(wait.firstCall.args[0]).to.equal(this.submitted[0]);
+        expect(report.successful.length).to.equal(1);
+      });
+  });
+
+  it('looks up transactions whose submission failed with a 5xx', function() {
+    const failure = new Error('Request failed with status code 500');
+    failure.isAxiosError = true;
+    failure.response = { status: 500, statusText: 'Internal Server Error' };
+    this.failures[1] = failure;
+    this.get.returns(
+      Promise.resolve({ data: { _links: {}, ledger: 10, successful: true } })
+    );
+    const wait = sinon.stub(this.server, 'submitTransactionAndWait');
+
+    return this.server
+      .batchPayments(source, [payment(destinations[0], '1')], this.options)
+      .then((report) => {
+        expect(this.get.calledOnce).to.equal(true);
+        expect(wait.called).to.equal(false);
+        expect(report.successful.length).to.equal(1);
+      });
+  });
+});
@@ -107,7 +107,7 @@ describe("server.js check-memo-required", function() {
       this.server = new AiBlocksSdk.Server(
         "https://millennium-testnet.aiblocks.io"
       );
-      this.axiosMock = sinon.mock(MillenniumAxiosClient);
+      this.axiosMock = sinon.mock(this.server.httpClient);
     });
 
     afterEach(function() {
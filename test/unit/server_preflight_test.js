@@ -0,0 +1,352 @@
+describe('server.js preflight', function() {
+  const networkPassphrase = AiBlocksSdk.Networks.TESTNET;
+  const sourceKeypair = AiBlocksSdk.Keypair.random();
+  const source = sourceKeypair.publicKey();
+  const destination = AiBlocksSdk.Keypair.random().publicKey();
+  const missing = AiBlocksSdk.Keypair.random().publicKey();
+  const issuer = AiBlocksSdk.Keypair.random().publicKey();
+  const usd = new AiBlocksSdk.Asset('USD', issuer);
+
+  function accountRecord(accountId, overrides) {
+    return Object.assign(
+      {
+        id: accountId,
+        account_id: accountId,
+        sequence: '100',
+        subentry_count: 0,
+        num_sponsoring: 0,
+        num_sponsored: 0,
+        thresholds: { low_threshold: 0, med_threshold: 0, high_threshold: 0 },
+        balances: [nativeBalance('100.0000000')],
+        signers: [{ key: accountId, weight: 1, type: 'ed25519_public_key' }],
+        data_attr: {}
+      },
+      overrides
+    );
+  }
+
+  function nativeBalance(balance) {
+    return {
+      asset_type: 'native',
+      balance,
+      buying_liabilities: '0.0000000',
+      selling_liabilities: '0.0000000'
+    };
+  }
+
+  function trustline(balance, limit, isAuthorized) {
+    return {
+      asset_type: 'credit_alphanum4',
+      asset_code: 'USD',
+      asset_issuer: issuer,
+      balance,
+      limit,
+      buying_liabilities: '0.0000000',
+      selling_liabilities: '0.0000000',
+      is_authorized: isAuthorized !== false
+    };
+  }
+
+  function payment(to, amount, asset) {
+    return AiBlocksSdk.Operation.payment({
+      destination: to,
+      asset: asset || AiBlocksSdk.Asset.native(),
+      amount
+    });
+  }
+
+  function build(operations, sequence) {
+    const builder = new AiBlocksSdk.TransactionBuilder(
+      new AiBlocksSdk.Account(source, sequence || '100'),
+      { fee: '100', networkPassphrase }
+    );
+    operations.forEach((operation) => builder.addOperation(operation));
+    return builder.setTimeout(30).build();
+  }
+
+  function codes(findings) {
+    return findings.map((finding) => [finding.operationIndex, finding.code]);
+  }
+
+  beforeEach(function() {
+    this.server = new AiBlocksSdk.Server(
+      'https://millennium-live.aiblocks.io:1337'
+    );
+    this.accounts = {
+      [source]: accountRecord(source),
+      [destination]: accountRecord(destination)
+    };
+    this.loaded = [];
+    this.server.loadAccount = (accountId) => {
+      this.loaded.push(accountId);
+      const record = this.accounts[accountId];
+      return record
+        ? Promise.resolve(new AiBlocksSdk.AccountResponse(record))
+        : Promise.reject(new AiBlocksSdk.NotFoundError('not found', {}));
+    };
+    this.server.fetchBaseReserve = () => Promise.resolve('0.5000000');
+  });
+
+  it('returns no findings for a transaction that would succeed', function() {
+    const transaction = build([payment(destination, '10')]);
+    transaction.sign(sourceKeypair);
+
+    return this.server.preflight(transaction).then((findings) => {
+      expect(findings).to.deep.equal([]);
+      expect(this.loaded).to.have.members([source, destination]);
+    });
+  });
+
+  it('flags a sequence mismatch', function() {
+    const transaction = build([payment(destination, '10')], '99');
+    transaction.sign(sourceKeypair);
+
+    return this.server.preflight(transaction).then((findings) => {
+      expect(findings).to.deep.equal([
+        {
+          code: 'tx_bad_seq',
+          account: source,
+          message: 'Expected sequence number 101, got 100.'
+        }
+      ]);
+    });
+  });
+
+  it('flags a missing source account', function() {
+    delete this.accounts[source];
+    const transaction = build([payment(destination, '10')]);
+    transaction.sign(sourceKeypair);
+
+    return this.server.preflight(transaction).then((findings) => {
+      expect(codes(findings)).to.deep.equal([
+        [undefined, 'tx_no_source_account']
+      ]);
+    });
+  });
+
+  it('flags a fee and payments the reserve leaves no balance for', function() {
+    this.accounts[source].balances = [nativeBalance('1.0000000')];
+    const transaction = build([payment(destination, '10')]);
+    transaction.sign(sourceKeypair);
+
+    return this.server.preflight(transaction).then((findings) => {
+      expect(codes(findings)).to.deep.equal([
+        [undefined, 'tx_insufficient_balance'],
+        [0, 'op_underfunded']
+      ]);
+      expect(findings[1].asset).to.equal('native');
+    });
+  });
+
+  it('checks each operation against the balance left by the previous ones', function() {
+    this.accounts[source].subentry_count = 2;
+    const transaction = build([
+      payment(destination, '50'),
+      payment(destination, '48')
+    ]);
+    transaction.sign(sourceKeypair);
+
+    return this.server.preflight(transaction).then((findings) => {
+      // 100 - 2 reserve - 0.00002 fee - 50 leaves 47.99998
+      expect(codes(findings)).to.deep.equal([[1, 'op_underfunded']]);
+    });
+  });
+
+  it('flags missing destinations, trustlines, authorization and limits', function() {
+    const noTrust = AiBlocksSdk.Keypair.random().publicKey();
+    const unauthorized = AiBlocksSdk.Keypair.random().publicKey();
+    const full = AiBlocksSdk.Keypair.random().publicKey();
+    this.accounts[source].balances.push(trustline('100.0000000', '1000'));
+    this.accounts[noTrust] = accountRecord(noTrust);
+    this.accounts[unauthorized] = accountRecord(unauthorized, {
+      balances: [nativeBalance('10'), trustline('0', '1000', false)]
+    });
+    this.accounts[full] = accountRecord(full, {
+      balances: [nativeBalance('10'), trustline('95.0000000', '100')]
+    });
+    const transaction = build([
+      payment(noTrust, '10', usd),
+      payment(unauthorized, '10', usd),
+      payment(full, '5', usd),
+      payment(full, '1', usd),
+      payment(missing, '10')
+    ]);
+    transaction.sign(sourceKeypair);
+
+    return this.server.preflight(transaction).then((findings) => {
+      expect(codes(findings)).to.deep.equal([
+        [0, 'op_no_trust'],
+        [1, 'op_not_authorized'],
+        [3, 'op_line_full'],
+        [4, 'op_no_destination']
+      ]);
+      expect(findings[0]).to.deep.equal({
+        operationIndex: 0,
+        code: 'op_no_trust',
+        account: noTrust,
+        asset: `USD:${issuer}`,
+        message: AiBlocksSdk.explainResultCode('op_no_trust')
+      });
+    });
+  });
+
+  it('flags assets the source account cannot send', function() {
+    this.accounts[destination].balances.push(trustline('0', '1000'));
+    const transaction = build([
+      payment(destination, '10', usd),
+      AiBlocksSdk.Operation.createAccount({
+        destination,
+        startingBalance: '10'
+      }),
+      AiBlocksSdk.Operation.accountMerge({ destination: missing })
+    ]);
+    transaction.sign(sourceKeypair);
+
+    return this.server.preflight(transaction).then((findings) => {
+      expect(codes(findings)).to.deep.equal([
+        [0, 'op_src_no_trust'],
+        [1, 'op_already_exists'],
+        [2, 'op_no_account']
+      ]);
+    });
+  });
+
+  it('lets the issuer send its own asset', function() {
+    const issuerKeypair = AiBlocksSdk.Keypair.random();
+    const builder = new AiBlocksSdk.TransactionBuilder(
+      new AiBlocksSdk.Account(source, '100'),
+      { fee: '100', networkPassphrase }
+    );
+    const asset = new AiBlocksSdk.Asset('EUR', issuerKeypair.publicKey());
+    this.accounts[issuerKeypair.publicKey()] = accountRecord(
+      issuerKeypair.publicKey()
+    );
+    this.accounts[destination].balances.push(
+      Object.assign(trustline('0', '1000'), {
+        asset_code: 'EUR',
+        asset_issuer: issuerKeypair.publicKey()
+      })
+    );
+    const transaction = builder
+      .addOperation(
+        AiBlocksSdk.Operation.payment({
+          destination,
+          asset,
+          amount: '500',
+          source: issuerKeypair.publicKey()
+        })
+      )
+      .setTimeout(30)
+      .build();
+    transaction.sign(sourceKeypair, issuerKeypair);
+
+    return this.server.preflight(transaction).then((findings) => {
+      expect(findings).to.deep.equal([]);
+    });
+  });
+
+  it('flags signatures below the threshold of each source account', function() {
+    const cosigner = AiBlocksSdk.Keypair.random();
+    const opSource = AiBlocksSdk.Keypair.random();
+    this.accounts[source].thresholds = {
+      low_threshold: 1,
+      med_threshold: 2,
+      high_threshold: 2
+    };
+    this.accounts[source].signers.push({
+      key: cosigner.publicKey(),
+      weight: 1,
+      type: 'ed25519_public_key'
+    });
+    this.accounts[opSource.publicKey()] = accountRecord(opSource.publicKey());
+    const transaction = build([
+      payment(destination, '10'),
+      AiBlocksSdk.Operation.payment({
+        destination,
+        asset: AiBlocksSdk.Asset.native(),
+        amount: '10',
+        source: opSource.publicKey()
+      })
+    ]);
+    transaction.sign(sourceKeypair);
+
+    return this.server
+      .preflight(transaction)
+      .then((findings) => {
+        expect(codes(findings)).to.deep.equal([
+          [0, 'op_bad_auth'],
+          [1, 'op_bad_auth']
+        ]);
+        expect(findings[0].message).to.equal(
+          `The signatures don't meet the med threshold (2) of ${source}.`
+        );
+
+        transaction.sign(cosigner, opSource);
+        return this.server.preflight(transaction);
+      })
+      .then((findings) => {
+        expect(findings).to.deep.equal([]);
+      });
+  });
+
+  it('counts pre-authorized transaction and hash(x) signers', function() {
+    const preimage = Buffer.from('preflight');
+    const transaction = build([payment(destination, '10')]);
+    transaction.signHashX(preimage);
+    this.accounts[source].thresholds = {
+      low_threshold: 2,
+      med_threshold: 2,
+      high_threshold: 2
+    };
+    this.accounts[source].signers = [
+      {
+        key: AiBlocksSdk.StrKey.encodePreAuthTx(transaction.hash()),
+        weight: 1,
+        type: 'preauth_tx'
+      },
+      {
+        key: AiBlocksSdk.StrKey.encodeSha256Hash(AiBlocksSdk.hash(preimage)),
+        weight: 1,
+        type: 'sha256_hash'
+      }
+    ];
+
+    return this.server.preflight(transaction).then((findings) => {
+      expect(findings).to.deep.equal([]);
+    });
+  });
+
+  it('checks the fee source of fee bump transactions', function() {
+    const feeSourceKeypair = AiBlocksSdk.Keypair.random();
+    this.accounts[feeSourceKeypair.publicKey()] = accountRecord(
+      feeSourceKeypair.publicKey(),
+      { balances: [nativeBalance('1.0000000')] }
+    );
+    const inner = build([payment(destination, '10')]);
+    inner.sign(sourceKeypair);
+    const transaction = AiBlocksSdk.TransactionBuilder.buildFeeBumpTransaction(
+      feeSourceKeypair,
+      '200',
+      inner,
+      networkPassphrase
+    );
+
+    return this.server.preflight(transaction).then((findings) => {
+      expect(
+        findings.map((finding) => [finding.code, finding.account])
+      ).to.deep.equal([
+        ['tx_insufficient_balance', feeSourceKeypair.publicKey()],
+        ['tx_bad_auth', feeSourceKeypair.publicKey()]
+      ]);
+    });
+  });
+
+  it('rejects with errors other than missing accounts', function() {
+    const error = new AiBlocksSdk.NetworkError('timeout', {});
+    this.server.loadAccount = () => Promise.reject(error);
+
+    return this.server
+      .preflight(build([payment(destination, '10')]))
+      .should.be.rejectedWith(error);
+  });
+});
@@ -5,7 +5,7 @@ describe('server.js non-transaction tests', function() {
     this.server = new AiBlocksSdk.Server(
       'https://millennium-live.aiblocks.io:1337'
     );
-    this.axiosMock = sinon.mock(MillenniumAxiosClient);
+    this.axiosMock = sinon.mock(this.server.httpClient);
     AiBlocksSdk.Config.setDefault();
   });
 
@@ -36,6 +36,51 @@ describe('server.js non-transaction tests', function() {
         () => new AiBlocksSdk.Server('http://millennium-live.aiblocks.io:1337')
       ).to.not.throw();
     });
+
+    it('gives each server its own http client', function() {
+      const testnet = new AiBlocksSdk.Server(
+        'https://millennium-testnet.aiblocks.io',
+        { appName: 'wallet', appVersion: '1.0.0', timeout: 5000 }
+      );
+      const pubnet = new AiBlocksSdk.Server('https://millennium.aiblocks.io');
+
+      expect(testnet.httpClient).to.not.equal(pubnet.httpClient);
+      expect(testnet.httpClient).to.not.equal(MillenniumAxiosClient);
+      expect(testnet.httpClient.defaults.headers['X-App-Name']).to.equal(
+        'wallet'
+      );
+      expect(testnet.httpClient.defaults.headers['X-App-Version']).to.equal(
+        '1.0.0'
+      );
+      expect(testnet.httpClient.defaults.timeout).to.equal(5000);
+      expect(pubnet.httpClient.defaults.headers['X-App-Name']).to.be
+        .undefined;
+      expect(
+        MillenniumAxiosClient.interceptors.request.handlers
+      ).to.have.lengthOf(0);
+    });
+
+    it('falls back to the global timeout', function() {
+      AiBlocksSdk.Config.setTimeout(1000);
+      const server = new AiBlocksSdk.Server(
+        'https://millennium-testnet.aiblocks.io'
+      );
+      const noTimeout = new AiBlocksSdk.Server(
+        'https://millennium-testnet.aiblocks.io',
+        { timeout: 0 }
+      );
+
+      expect(server.httpClient.defaults.timeout).to.equal(1000);
+      expect(noTimeout.httpClient.defaults.timeout).to.equal(0);
+    });
+
+    it('uses its own http client in call builders', function() {
+      const builder = this.server.ledgers();
+      expect(builder.options.httpClient).to.equal(this.server.httpClient);
+      expect(builder.ledger(1).options.httpClient).to.equal(
+        this.server.httpClient
+      );
+    });
   });
 
   describe('Server.fetchTimebounds', function() {
@@ -47,7 +92,7 @@ describe('server.js non-transaction tests', function() {
       // use MockAdapter instead of this.axiosMock
       // because we don't want to replace the get function
       // we need to use axios's one so interceptors run!!
-      this.axiosMockAdapter = new MockAdapter(MillenniumAxiosClient);
+      this.axiosMockAdapter = new MockAdapter(this.server.httpClient);
     });
 
     afterEach(function() {
@@ -92,6 +137,9 @@ describe('server.js non-transaction tests', function() {
             // this is server time 1552515307 plus 20
             maxTime: 1552515327
           });
+          expect(
+            AiBlocksSdk.getCurrentServerTime('millennium-live.aiblocks.io')
+          ).to.be.null;
 
           done();
         })
@@ -175,6 +223,44 @@ describe('server.js non-transaction tests', function() {
     });
   });
 
+  describe('Server.fetchBaseReserve', function() {
+    it('returns the base reserve of the latest ledger', function(done) {
+      this.axiosMock
+        .expects('get')
+        .withArgs(
+          sinon.match(
+            'https://millennium-live.aiblocks.io:1337/ledgers?order=desc&limit=1'
+          )
+        )
+        .returns(
+          Promise.resolve({
+            data: {
+              _links: {},
+              _embedded: {
+                records: [
+                  {
+                    sequence: 7,
+                    base_reserve: '0.5000000',
+                    base_reserve_in_sectors: 5000000
+                  }
+                ]
+              }
+            }
+          })
+        );
+
+      this.server
+        .fetchBaseReserve()
+        .then((reserve) => {
+          expect(reserve).to.be.equal('0.5000000');
+          done();
+        })
+        .catch(function(err) {
+          done(err);
+        });
+    });
+  });
+
   describe('Server.feeStats', function() {
     let response = {
       "last_ledger": "256736",
@@ -6,7 +6,7 @@ describe('server.js transaction tests', function() {
     this.server = new AiBlocksSdk.Server(
       'https://millennium-live.aiblocks.io:1337'
     );
-    this.axiosMock = sinon.mock(MillenniumAxiosClient);
+    this.axiosMock = sinon.mock(this.server.httpClient);
     let transaction = new AiBlocksSdk.TransactionBuilder(account, {
       fee: 100,
       networkPassphrase: AiBlocksSdk.Networks.TESTNET,
@@ -186,6 +186,15 @@ describe('server.js transaction tests', function() {
         expect(res.offerResults[0].isFullyOpen).to.equal(true);
         expect(res.offerResults[0].operationIndex).to.equal(0);
 
+        expect(res.operationResults).to.have.length(1);
+        expect(res.operationResults[0].type).to.equal('manageSellOffer');
+        expect(res.operationResults[0].resultCode).to.equal(
+          'manageSellOfferSuccess'
+        );
+        expect(res.operationResults[0].offer).to.deep.equal(
+          res.offerResults[0]
+        );
+
         done();
       })
       .catch(function(err) {
@@ -384,4 +393,417 @@ describe('server.js transaction tests', function() {
         done(err);
       });
   });
+
+  describe('failed transactions', function() {
+    function failedResultXdr() {
+      const { xdr } = AiBlocksSdk;
+      return new xdr.TransactionResult({
+        feeCharged: xdr.Int64.fromString('100'),
+        result: xdr.TransactionResultResult.txFailed([
+          xdr.OperationResult.opInner(
+            xdr.OperationResultTr.payment(
+              xdr.PaymentResult.paymentUnderfunded()
+            )
+          )
+        ]),
+        ext: new xdr.TransactionResultExt(0)
+      }).toXDR('base64');
+    }
+
+    it('rejects with TransactionFailedError', function() {
+      const envelopeXdr = this.transaction
+        .toEnvelope()
+        .toXDR()
+        .toString('base64');
+      const error = new Error('Request failed with status code 400');
+      error.isAxiosError = true;
+      error.response = {
+        status: 400,
+        statusText: 'Bad Request',
+        data: {
+          status: 400,
+          title: 'Transaction Failed',
+          extras: {
+            envelope_xdr: envelopeXdr,
+            result_xdr: failedResultXdr(),
+            result_codes: {
+              transaction: 'tx_failed',
+              operations: ['op_underfunded']
+            }
+          }
+        }
+      };
+      this.axiosMock
+        .expects('post')
+        .once()
+        .returns(Promise.reject(error));
+
+      return this.server
+        .submitTransaction(this.transaction, { skipMemoRequiredCheck: true })
+        .then(
+          () => {
+            throw new Error('expected a rejection');
+          },
+          (err) => {
+            expect(err).to.be.an.instanceOf(AiBlocksSdk.TransactionFailedError);
+            expect(err).to.be.an.instanceOf(AiBlocksSdk.BadResponseError);
+            expect(err.message).to.match(/tx_failed/);
+            expect(err.response.data.extras.result_codes.transaction).to.equal(
+              'tx_failed'
+            );
+            expect(err.transactionCode).to.equal('tx_failed');
+            expect(err.explanation).to.match(/operations failed/);
+            expect(err.operationCodes).to.have.length(1);
+            expect(err.operationCodes[0].operationIndex).to.equal(0);
+            expect(err.operationCodes[0].type).to.equal('payment');
+            expect(err.operationCodes[0].code).to.equal('op_underfunded');
+            expect(err.operationCodes[0].explanation).to.match(/balance/);
+            expect(err.result.feeCharged().toString()).to.equal('100');
+            expect(err.envelope.toXDR('base64')).to.equal(envelopeXdr);
+          }
+        );
+    });
+
+    it('derives the codes of failed transaction records', function() {
+      const err = new AiBlocksSdk.TransactionFailedError('failed', {
+        data: { successful: false, result_xdr: failedResultXdr() }
+      });
+      expect(err.transactionCode).to.equal('tx_failed');
+      expect(err.operationCodes[0].code).to.equal('op_underfunded');
+      expect(err.operationCodes[0].type).to.equal(undefined);
+    });
+
+    it('passes other errors through', function() {
+      const error = new Error('Request failed with status code 500');
+      error.isAxiosError = true;
+      error.response = { status: 500, data: { status: 500 } };
+      this.axiosMock
+        .expects('post')
+        .once()
+        .returns(Promise.reject(error));
+
+      return this.server
+        .submitTransaction(this.transaction, { skipMemoRequiredCheck: true })
+        .should.be.rejectedWith(error);
+    });
+  });
+
+  describe('submitTransactionAndWait', function() {
+    function buildTransaction(timebounds) {
+      const tx = new AiBlocksSdk.TransactionBuilder(account, {
+        fee: 100,
+        networkPassphrase: AiBlocksSdk.Networks.TESTNET,
+        timebounds
+      })
+        .addOperation(
+          AiBlocksSdk.Operation.payment({
+            destination:
+              'GASOCNHNNLYFNMDJYQ3XFMI7BYHIOCFW3GJEOWRPEGK2TDPGTG2E5EDW',
+            asset: AiBlocksSdk.Asset.native(),
+            amount: '100.50'
+          })
+        )
+        .build();
+      tx.sign(keypair);
+      return tx;
+    }
+
+    function timeoutError() {
+      const error = new Error('timeout of 60000ms exceeded');
+      error.code = 'ECONNABORTED';
+      error.isAxiosError = true;
+      return error;
+    }
+
+    function notFoundError() {
+      const error = new Error('Request failed with status code 404');
+      error.isAxiosError = true;
+      error.response = { status: 404, statusText: 'Not Found', data: {} };
+      return error;
+    }
+
+    beforeEach(function() {
+      const now = Math.floor(Date.now() / 1000);
+      this.waitTransaction = buildTransaction({
+        minTime: 0,
+        maxTime: now + 300
+      });
+      this.hash = this.waitTransaction.hash().toString('hex');
+    });
+
+    it('looks up the transaction after a timeout', function() {
+      this.axiosMock
+        .expects('post')
+        .once()
+        .returns(Promise.reject(timeoutError()));
+      this.axiosMock
+        .expects('get')
+        .withArgs(sinon.match(`/transactions/${this.hash}`))
+        .returns(
+          Promise.resolve({
+            data: {
+              _links: {},
+              hash: this.hash,
+              ledger: 10,
+              successful: true
+            }
+          })
+        );
+
+      return this.server
+        .submitTransactionAndWait(this.waitTransaction, {
+          skipMemoRequiredCheck: true
+        })
+        .then((response) => {
+          expect(response.hash).to.equal(this.hash);
+          expect(response.ledger).to.equal(10);
+        });
+    });
+
+    it('resubmits the same envelope until it goes through', function() {
+      const blob = encodeURIComponent(
+        this.waitTransaction
+          .toEnvelope()
+          .toXDR()
+          .toString('base64')
+      );
+      const post = this.axiosMock
+        .expects('post')
+        .twice()
+        .withArgs(sinon.match.any, `tx=${blob}`);
+      post.onFirstCall().returns(Promise.reject(timeoutError()));
+      post
+        .onSecondCall()
+        .returns(Promise.resolve({ data: { hash: this.hash, ledger: 11 } }));
+      this.axiosMock
+        .expects('get')
+        .once()
+        .returns(Promise.reject(notFoundError()));
+
+      return this.server
+        .submitTransactionAndWait(this.waitTransaction, {
+          skipMemoRequiredCheck: true,
+          pollInterval: 0
+        })
+        .then((response) => {
+          expect(response.ledger).to.equal(11);
+        });
+    });
+
+    function latestLedger(closedAt) {
+      return Promise.resolve({
+        data: {
+          _links: {},
+          _embedded: {
+            records: [{ _links: {}, sequence: 12, closed_at: closedAt }]
+          }
+        }
+      });
+    }
+
+    it('rejects with TransactionExpiredError after maxTime', function() {
+      const expired = buildTransaction({ minTime: 0, maxTime: 1 });
+      this.axiosMock
+        .expects('post')
+        .once()
+        .returns(Promise.reject(timeoutError()));
+      this.axiosMock
+        .expects('get')
+        .withArgs(sinon.match('/ledgers?order=desc&limit=1'))
+        .returns(latestLedger('1970-01-01T00:00:05Z'));
+      this.axiosMock
+        .expects('get')
+        .withArgs(
+          sinon.match(`/transactions/${expired.hash().toString('hex')}`)
+        )
+        .twice()
+        .returns(Promise.reject(notFoundError()));
+
+      return this.server
+        .submitTransactionAndWait(expired, { skipMemoRequiredCheck: true })
+        .should.be.rejectedWith(AiBlocksSdk.TransactionExpiredError);
+    });
+
+    it('keeps waiting until a ledger closes after maxTime', function() {
+      // the local clock is past maxTime, but the network isn't yet
+      const maxTime = Math.floor(Date.now() / 1000) - 60;
+      const transaction = buildTransaction({ minTime: 0, maxTime });
+      const post = this.axiosMock.expects('post').twice();
+      post.onFirstCall().returns(Promise.reject(timeoutError()));
+      post.onSecondCall().returns(Promise.resolve({ data: { ledger: 12 } }));
+      this.axiosMock
+        .expects('get')
+        .withArgs(sinon.match('/transactions/'))
+        .once()
+        .returns(Promise.reject(notFoundError()));
+      this.axiosMock
+        .expects('get')
+        .withArgs(sinon.match('/ledgers?order=desc&limit=1'))
+        .once()
+        .returns(latestLedger(new Date((maxTime - 5) * 1000).toISOString()));
+
+      return this.server
+        .submitTransactionAndWait(transaction, {
+          skipMemoRequiredCheck: true,
+          pollInterval: 0
+        })
+        .then((response) => {
+          expect(response.ledger).to.equal(12);
+        });
+    });
+
+    it('passes errors of the lookup through', function() {
+      const expired = buildTransaction({ minTime: 0, maxTime: 1 });
+      const error = new Error('Request failed with status code 503');
+      error.isAxiosError = true;
+      error.response = {
+        status: 503,
+        statusText: 'Service Unavailable',
+        data: {}
+      };
+      this.axiosMock
+        .expects('post')
+        .once()
+        .returns(Promise.reject(timeoutError()));
+      this.axiosMock
+        .expects('get')
+        .once()
+        .returns(Promise.reject(error));
+
+      return this.server
+        .submitTransactionAndWait(expired, { skipMemoRequiredCheck: true })
+        .should.be.rejectedWith(
+          AiBlocksSdk.NetworkError,
+          /Service Unavailable/
+        );
+    });
+
+    it('rejects transactions without a maxTime', function() {
+      return this.server
+        .submitTransactionAndWait(this.transaction, {
+          skipMemoRequiredCheck: true
+        })
+        .should.be.rejectedWith(/finite maxTime/);
+    });
+  });
+
+  describe('submitTransactionWithFeeBump', function() {
+    const feePayer = AiBlocksSdk.Keypair.random();
+
+    function insufficientFee() {
+      const error = new Error('Request failed with status code 400');
+      error.isAxiosError = true;
+      error.response = {
+        status: 400,
+        data: {
+          extras: { result_codes: { transaction: 'tx_insufficient_fee' } }
+        }
+      };
+      return error;
+    }
+
+    function postedEnvelope(post, call) {
+      const body = post.getCall(call).args[1];
+      return AiBlocksSdk.xdr.TransactionEnvelope.fromXDR(
+        decodeURIComponent(body.slice('tx='.length)),
+        'base64'
+      );
+    }
+
+    it('resubmits a fee bump after tx_insufficient_fee', function() {
+      const post = this.axiosMock.expects('post').twice();
+      post.onFirstCall().returns(Promise.reject(insufficientFee()));
+      post.onSecondCall().returns(Promise.resolve({ data: { ledger: 12 } }));
+
+      return this.server
+        .submitTransactionWithFeeBump(this.transaction, {
+          feePayer,
+          maxFee: 1000,
+          skipMemoRequiredCheck: true
+        })
+        .then((response) => {
+          expect(response.ledger).to.equal(12);
+          expect(post.getCall(0).args[1]).to.equal(`tx=${this.blob}`);
+
+          const envelope = postedEnvelope(post, 1);
+          expect(envelope.switch().name).to.equal('envelopeTypeTxFeeBump');
+          const feeBump = envelope.feeBump().tx();
+          // 200 per operation, for the payment and the fee bump itself
+          expect(feeBump.fee().toString()).to.equal('400');
+          expect(
+            AiBlocksSdk.StrKey.encodeEd25519PublicKey(
+              feeBump.feeSource().ed25519()
+            )
+          ).to.equal(feePayer.publicKey());
+        });
+    });
+
+    it('raises the fee in steps up to maxFee', function() {
+      const post = this.axiosMock.expects('post').thrice();
+      post.returns(Promise.reject(insufficientFee()));
+
+      return this.server
+        .submitTransactionWithFeeBump(this.transaction, {
+          feePayer,
+          feeStep: 300,
+          maxFee: 500,
+          skipMemoRequiredCheck: true
+        })
+        .should.be.rejectedWith(AiBlocksSdk.TransactionFailedError)
+        .then(() => {
+          const fees = [1, 2].map((call) =>
+            postedEnvelope(post, call)
+              .feeBump()
+              .tx()
+              .fee()
+              .toString()
+          );
+          expect(fees).to.deep.equal(['800', '1000']);
+        });
+    });
+
+    it('fee bumps transactions stuck in a timeout', function() {
+      const timeout = new Error('timeout of 60000ms exceeded');
+      timeout.code = 'ECONNABORTED';
+      const post = this.axiosMock.expects('post').twice();
+      post.onFirstCall().returns(Promise.reject(timeout));
+      post.onSecondCall().returns(Promise.resolve({ data: { ledger: 13 } }));
+      const notFound = new Error('Request failed with status code 404');
+      notFound.response = { status: 404, statusText: 'Not Found', data: {} };
+      this.axiosMock
+        .expects('get')
+        .once()
+        .returns(Promise.reject(notFound));
+
+      return this.server
+        .submitTransactionWithFeeBump(this.transaction, {
+          feePayer,
+          maxFee: 1000,
+          skipMemoRequiredCheck: true
+        })
+        .then((response) => {
+          expect(response.ledger).to.equal(13);
+          expect(postedEnvelope(post, 1).switch().name).to.equal(
+            'envelopeTypeTxFeeBump'
+          );
+        });
+    });
+
+    it('passes other errors through', function() {
+      const error = new Error('Request failed with status code 500');
+      error.response = { status: 500, data: {} };
+      this.axiosMock
+        .expects('post')
+        .once()
+        .returns(Promise.reject(error));
+
+      return this.server
+        .submitTransactionWithFeeBump(this.transaction, {
+          feePayer,
+          maxFee: 1000,
+          skipMemoRequiredCheck: true
+        })
+        .should.be.rejectedWith(error);
+    });
+  });
 });
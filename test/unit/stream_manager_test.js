@@ -0,0 +1,118 @@
+describe('StreamManager', function() {
+  const alice = 'GALICE';
+  const bob = 'GBOB';
+
+  beforeEach(function() {
+    this.server = new AiBlocksSdk.Server(
+      'https://millennium-live.aiblocks.io:1337'
+    );
+    this.streams = [];
+    this.cursors = [];
+    this.closed = 0;
+    const builder = {
+      cursor: (cursor) => {
+        this.cursors.push(cursor);
+        return builder;
+      },
+      stream: (options) => {
+        this.streams.push(options);
+        const close = () => {
+          this.closed += 1;
+        };
+        close.close = close;
+        return close;
+      }
+    };
+    this.server.payments = () => builder;
+    this.server.effects = () => builder;
+  });
+
+  function payment(token, from, to) {
+    return { id: token, paging_token: token, type: 'payment', from, to };
+  }
+
+  it('opens one stream for every subscription', function() {
+    const manager = new AiBlocksSdk.StreamManager(this.server);
+    expect(manager.stream).to.equal(undefined);
+
+    manager.subscribe(alice, () => {});
+    manager.subscribe(bob, () => {});
+
+    expect(this.streams.length).to.equal(1);
+    expect(this.cursors).to.deep.equal(['now']);
+    expect(manager.accounts).to.deep.equal([alice, bob]);
+  });
+
+  it('routes records to the accounts they involve', function() {
+    const manager = new AiBlocksSdk.StreamManager(this.server);
+    const toAlice = sinon.spy();
+    const toBob = sinon.spy();
+    manager.subscribe(alice, toAlice);
+    manager.subscribe(bob, toBob);
+    const { onmessage } = this.streams[0];
+
+    onmessage(payment('1', alice, bob));
+    onmessage(payment('2', 'GCAROL', alice));
+    onmessage(payment('3', alice, alice));
+    onmessage({
+      id: '4',
+      paging_token: '4',
+      type: 'create_account',
+      funder: 'GCAROL',
+      account: bob
+    });
+    onmessage(payment('5', 'GCAROL', 'GDAVE'));
+
+    expect(toAlice.args.map((args) => args[0].id)).to.deep.equal([
+      '1',
+      '2',
+      '3'
+    ]);
+    expect(toBob.args.map((args) => args[0].id)).to.deep.equal(['1', '4']);
+  });
+
+  it('stops routing to removed subscriptions', function() {
+    const manager = new AiBlocksSdk.StreamManager(this.server);
+    const first = sinon.spy();
+    const second = sinon.spy();
+    const subscription = manager.subscribe(alice, first);
+    manager.subscribe(alice, second);
+
+    subscription.unsubscribe();
+    this.streams[0].onmessage(payment('1', alice, bob));
+
+    expect(first.called).to.equal(false);
+    expect(second.calledOnce).to.equal(true);
+    expect(this.closed).to.equal(0);
+  });
+
+  it('reports subscriber errors without affecting other subscribers', function() {
+    const onerror = sinon.spy();
+    const manager = new AiBlocksSdk.StreamManager(this.server, { onerror });
+    const working = sinon.spy();
+    manager.subscribe(alice, () => {
+      throw new Error('subscriber failed');
+    });
+    manager.subscribe(bob, working);
+
+    this.streams[0].onmessage(payment('1', alice, bob));
+
+    expect(onerror.firstCall.args[0].message).to.equal('subscriber failed');
+    expect(working.calledOnce).to.equal(true);
+  });
+
+  it('reopens from the last record after close()', function() {
+    const manager = new AiBlocksSdk.StreamManager(this.server, {
+      endpoint: 'effects',
+      cursor: '10'
+    });
+    manager.subscribe(alice, () => {});
+    this.streams[0].onmessage({ id: '11', paging_token: '11', account: bob });
+
+    manager.close();
+    expect(this.closed).to.equal(1);
+    manager.subscribe(bob, () => {});
+
+    expect(this.cursors).to.deep.equal(['10', '11']);
+  });
+});
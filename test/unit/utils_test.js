@@ -23,19 +23,86 @@ describe('Utils', function () {
   });
 
   describe('Utils.buildChallengeTx', function () {
-    it('requires a non-muxed account', function () {
+    it('accepts a muxed account', function () {
+      let keypair = AiBlocksSdk.Keypair.random();
+      const muxedAccount = AiBlocksSdk.encodeMuxedAccount(
+        AiBlocksSdk.Keypair.random().publicKey(),
+        "1234"
+      );
+
+      const challenge = AiBlocksSdk.Utils.buildChallengeTx(
+        keypair,
+        muxedAccount,
+        "SDF",
+        300,
+        AiBlocksSdk.Networks.TESTNET
+      );
+
+      expect(
+        AiBlocksSdk.Utils.readChallengeTx(
+          challenge,
+          keypair.publicKey(),
+          AiBlocksSdk.Networks.TESTNET,
+          "SDF"
+        ).clientAccountID
+      ).to.eql(muxedAccount);
+    });
+
+    it('rejects a memo with a muxed account', function () {
       let keypair = AiBlocksSdk.Keypair.random();
 
       expect(() =>
         AiBlocksSdk.Utils.buildChallengeTx(
           keypair,
-          "MAAAAAAAAAAAAAB7BQ2L7E5NBWMXDUCMZSIPOBKRDSBYVLMXGSSKF6YNPIB7Y77ITLVL6",
+          AiBlocksSdk.encodeMuxedAccount(keypair.publicKey(), "1"),
           "SDF",
           300,
-          AiBlocksSdk.Networks.TESTNET
+          AiBlocksSdk.Networks.TESTNET,
+          "1234"
+        )
+      ).to.throw(
+        /Invalid memo: a memo cannot be used with a multiplexed clientAccountID./
+      );
+    });
+
+    it('adds the memo and the client_domain operation', function () {
+      let keypair = AiBlocksSdk.Keypair.random();
+      let clientDomainKP = AiBlocksSdk.Keypair.random();
+
+      const challenge = AiBlocksSdk.Utils.buildChallengeTx(
+        keypair,
+        "GBDIT5GUJ7R5BXO3GJHFXJ6AZ5UQK6MNOIDMPQUSMXLIHTUNR2Q5CFNF",
+        "SDF",
+        300,
+        AiBlocksSdk.Networks.TESTNET,
+        "1234",
+        "wallet.com",
+        clientDomainKP.publicKey()
+      );
+
+      const transaction = new AiBlocksSdk.Transaction(challenge, AiBlocksSdk.Networks.TESTNET);
+
+      expect(transaction.memo.type).to.eql(AiBlocksSdk.MemoID);
+      expect(transaction.memo.value).to.eql("1234");
+      expect(transaction.operations.length).to.eql(2);
+      expect(transaction.operations[1].name).to.eql("client_domain");
+      expect(transaction.operations[1].value.toString()).to.eql("wallet.com");
+      expect(transaction.operations[1].source).to.eql(clientDomainKP.publicKey());
+    });
+
+    it('requires the client signing key with a client domain', function () {
+      expect(() =>
+        AiBlocksSdk.Utils.buildChallengeTx(
+          AiBlocksSdk.Keypair.random(),
+          "GBDIT5GUJ7R5BXO3GJHFXJ6AZ5UQK6MNOIDMPQUSMXLIHTUNR2Q5CFNF",
+          "SDF",
+          300,
+          AiBlocksSdk.Networks.TESTNET,
+          null,
+          "wallet.com"
         )
       ).to.throw(
-        /Invalid clientAccountID: multiplexed accounts are not supported./
+        /Invalid clientSigningKey: it is required with a clientDomain./
       );
     });
 
@@ -204,6 +271,9 @@ describe('Utils', function () {
         tx: transaction,
         clientAccountID: clientKP.publicKey(),
         matchedHomeDomain: "SDF",
+        memo: null,
+        clientDomain: null,
+        clientSigningKey: null,
       });
     });
 
@@ -534,6 +604,9 @@ describe('Utils', function () {
         tx: transactionRoundTripped,
         clientAccountID: clientKP.publicKey(),
         matchedHomeDomain: "testanchor.aiblocks.io",
+        memo: null,
+        clientDomain: null,
+        clientSigningKey: null,
       });
     });
 
@@ -577,6 +650,9 @@ describe('Utils', function () {
         tx: transactionRoundTripped,
         clientAccountID: clientKP.publicKey(),
         matchedHomeDomain: "testanchor.aiblocks.io",
+        memo: null,
+        clientDomain: null,
+        clientSigningKey: null,
       });
     });
 
@@ -776,6 +852,9 @@ describe('Utils', function () {
         tx: transactionRoundTripped,
         clientAccountID: clientKP.publicKey(),
         matchedHomeDomain: "SDF",
+        memo: null,
+        clientDomain: null,
+        clientSigningKey: null,
       });
     });
 
@@ -875,6 +954,78 @@ describe('Utils', function () {
         /The transaction has operations that are not of type 'manageData'/,
       );
     });
+
+    it("returns the memo and the client domain of the challenge", function () {
+      let serverKP = AiBlocksSdk.Keypair.random();
+      let clientKP = AiBlocksSdk.Keypair.random();
+      let clientDomainKP = AiBlocksSdk.Keypair.random();
+
+      const challenge = AiBlocksSdk.Utils.buildChallengeTx(
+        serverKP,
+        clientKP.publicKey(),
+        "SDF",
+        300,
+        AiBlocksSdk.Networks.TESTNET,
+        "1234",
+        "wallet.com",
+        clientDomainKP.publicKey()
+      );
+
+      const {
+        clientAccountID,
+        memo,
+        clientDomain,
+        clientSigningKey,
+      } = AiBlocksSdk.Utils.readChallengeTx(
+        challenge,
+        serverKP.publicKey(),
+        AiBlocksSdk.Networks.TESTNET,
+        "SDF"
+      );
+
+      expect(clientAccountID).to.eql(clientKP.publicKey());
+      expect(memo).to.eql("1234");
+      expect(clientDomain).to.eql("wallet.com");
+      expect(clientSigningKey).to.eql(clientDomainKP.publicKey());
+    });
+
+    it("throws an error if the memo is not an ID memo", function () {
+      let serverKP = AiBlocksSdk.Keypair.random();
+      let clientKP = AiBlocksSdk.Keypair.random();
+      const serverAccount = new AiBlocksSdk.Account(serverKP.publicKey(), "-1");
+      const transaction = new AiBlocksSdk.TransactionBuilder(
+          serverAccount,
+          txBuilderOpts
+        )
+        .addOperation(
+          AiBlocksSdk.Operation.manageData({
+            source: clientKP.publicKey(),
+            name: "SDF auth",
+            value: randomBytes(48).toString("base64"),
+          })
+        )
+        .addMemo(AiBlocksSdk.Memo.text("1234"))
+        .setTimeout(30)
+        .build();
+
+      transaction.sign(serverKP);
+      const challenge = transaction
+        .toEnvelope()
+        .toXDR("base64")
+        .toString();
+
+      expect(() =>
+        AiBlocksSdk.Utils.readChallengeTx(
+          challenge,
+          serverKP.publicKey(),
+          AiBlocksSdk.Networks.TESTNET,
+          "SDF"
+        )
+      ).to.throw(
+        AiBlocksSdk.InvalidSep10ChallengeError,
+        /The transaction's memo must be of type `id`/
+      );
+    });
   });
 
   describe("Utils.verifyChallengeTxThreshold", function () {
@@ -1225,6 +1376,60 @@ describe('Utils', function () {
         /No verifiable client signers provided, at least one G... address must be provided/,
       );
     });
+
+    it("doesn't count the weight of the client domain's signing key", function () {
+      const clientDomainKP = AiBlocksSdk.Keypair.random();
+      const challenge = AiBlocksSdk.Utils.buildChallengeTx(
+        this.serverKP,
+        this.clientKP1.publicKey(),
+        "SDF",
+        300,
+        AiBlocksSdk.Networks.TESTNET,
+        null,
+        "wallet.com",
+        clientDomainKP.publicKey()
+      );
+
+      clock.tick(200);
+
+      const transaction = new AiBlocksSdk.Transaction(
+        challenge,
+        AiBlocksSdk.Networks.TESTNET
+      );
+      transaction.sign(this.clientKP1, clientDomainKP);
+      const signedChallenge = transaction
+        .toEnvelope()
+        .toXDR("base64")
+        .toString();
+      const signerSummary = [
+        newClientSigner(this.clientKP1.publicKey(), 1),
+        newClientSigner(clientDomainKP.publicKey(), 1)
+      ];
+
+      expect(() =>
+        AiBlocksSdk.Utils.verifyChallengeTxThreshold(
+          signedChallenge,
+          this.serverKP.publicKey(),
+          AiBlocksSdk.Networks.TESTNET,
+          2,
+          signerSummary,
+          "SDF"
+        )
+      ).to.throw(
+        AiBlocksSdk.InvalidSep10ChallengeError,
+        /signers with weight 1 do not meet threshold 2/
+      );
+      expect(
+        AiBlocksSdk.Utils.verifyChallengeTxThreshold(
+          signedChallenge,
+          this.serverKP.publicKey(),
+          AiBlocksSdk.Networks.TESTNET,
+          1,
+          signerSummary,
+          "SDF"
+        )
+      ).to.eql([this.clientKP1.publicKey(), clientDomainKP.publicKey()]);
+    });
   });
 
   describe("Utils.verifyChallengeTxSigners", function () {
@@ -1793,6 +1998,70 @@ describe('Utils', function () {
         /No verifiable client signers provided, at least one G... address must be provided/,
       );
     });
+
+    it("requires the signature of the client domain", function () {
+      const clientDomainKP = AiBlocksSdk.Keypair.random();
+      const challenge = AiBlocksSdk.Utils.buildChallengeTx(
+        this.serverKP,
+        this.clientKP1.publicKey(),
+        "SDF",
+        300,
+        AiBlocksSdk.Networks.TESTNET,
+        null,
+        "wallet.com",
+        clientDomainKP.publicKey()
+      );
+
+      clock.tick(200);
+
+      const sign = (...keypairs) => {
+        const transaction = new AiBlocksSdk.Transaction(
+          challenge,
+          AiBlocksSdk.Networks.TESTNET
+        );
+        transaction.sign(...keypairs);
+        return transaction
+          .toEnvelope()
+          .toXDR("base64")
+          .toString();
+      };
+
+      expect(() =>
+        AiBlocksSdk.Utils.verifyChallengeTxSigners(
+          sign(this.clientKP1),
+          this.serverKP.publicKey(),
+          AiBlocksSdk.Networks.TESTNET,
+          [this.clientKP1.publicKey()],
+          "SDF"
+        )
+      ).to.throw(
+        AiBlocksSdk.InvalidSep10ChallengeError,
+        /Transaction not signed by the source account of the 'client_domain' ManageData operation/
+      );
+
+      expect(() =>
+        AiBlocksSdk.Utils.verifyChallengeTxSigners(
+          sign(clientDomainKP),
+          this.serverKP.publicKey(),
+          AiBlocksSdk.Networks.TESTNET,
+          [this.clientKP1.publicKey()],
+          "SDF"
+        )
+      ).to.throw(
+        AiBlocksSdk.InvalidSep10ChallengeError,
+        /None of the given signers match the transaction signatures/
+      );
+
+      expect(
+        AiBlocksSdk.Utils.verifyChallengeTxSigners(
+          sign(this.clientKP1, clientDomainKP),
+          this.serverKP.publicKey(),
+          AiBlocksSdk.Networks.TESTNET,
+          [this.clientKP1.publicKey()],
+          "SDF"
+        )
+      ).to.eql([this.clientKP1.publicKey()]);
+    });
   });
 
   describe('Utils.verifyTxSignedBy', function () {
@@ -0,0 +1,298 @@
+describe('WebAuthClient', function() {
+  const networkPassphrase = AiBlocksSdk.Networks.TESTNET;
+  const authEndpoint = 'https://acme.com/auth';
+  const serverKeypair = AiBlocksSdk.Keypair.random();
+  const clientKeypair = AiBlocksSdk.Keypair.random();
+  const account = clientKeypair.publicKey();
+
+  function challenge(clientAccountID, keypair) {
+    return AiBlocksSdk.Utils.buildChallengeTx(
+      keypair || serverKeypair,
+      clientAccountID || account,
+      'acme.com',
+      300,
+      networkPassphrase
+    );
+  }
+
+  function jwt(claims) {
+    const encode = (value) =>
+      Buffer.from(JSON.stringify(value))
+        .toString('base64')
+        .replace(/=+$/, '')
+        .replace(/\+/g, '-')
+        .replace(/\//g, '_');
+    return `${encode({ alg: 'HS256', typ: 'JWT' })}.${encode(
+      claims
+    )}.signature`;
+  }
+
+  function token(expiresIn) {
+    const now = Math.floor(Date.now() / 1000);
+    return jwt({
+      iss: authEndpoint,
+      sub: account,
+      iat: now,
+      exp: now + expiresIn
+    });
+  }
+
+  function expectChallenge(axiosMock, transaction) {
+    axiosMock
+      .expects('get')
+      .withArgs(
+        sinon.match(`${authEndpoint}?account=${account}&home_domain=acme.com`)
+      )
+      .returns(
+        Promise.resolve({
+          data: {
+            transaction: transaction || challenge(),
+            network_passphrase: networkPassphrase
+          }
+        })
+      );
+  }
+
+  function expectToken(axiosMock, encoded) {
+    axiosMock
+      .expects('post')
+      .withArgs(
+        authEndpoint,
+        sinon.match((body) => {
+          const signed = new AiBlocksSdk.Transaction(
+            body.transaction,
+            networkPassphrase
+          );
+          return AiBlocksSdk.Utils.verifyTxSignedBy(signed, account);
+        })
+      )
+      .returns(Promise.resolve({ data: { token: encoded } }));
+  }
+
+  beforeEach(function() {
+    this.axiosMock = sinon.mock(axios);
+    this.client = new AiBlocksSdk.WebAuthClient(
+      authEndpoint,
+      serverKeypair.publicKey(),
+      'acme.com',
+      { networkPassphrase }
+    );
+    AiBlocksSdk.Config.setDefault();
+  });
+
+  afterEach(function() {
+    this.axiosMock.verify();
+    this.axiosMock.restore();
+  });
+
+  it('throws error for insecure server', function() {
+    expect(
+      () =>
+        new AiBlocksSdk.WebAuthClient(
+          'http://acme.com/auth',
+          serverKeypair.publicKey(),
+          'acme.com',
+          { networkPassphrase }
+        )
+    ).to.throw(/Cannot connect to insecure web auth server/);
+  });
+
+  describe('WebAuthClient.createForDomain', function() {
+    it('reads the endpoint and signing key from aiblocks.toml', function() {
+      this.axiosMock
+        .expects('get')
+        .withArgs(sinon.match('https://acme.com/.well-known/aiblocks.toml'))
+        .returns(
+          Promise.resolve({
+            data: `
+WEB_AUTH_ENDPOINT="${authEndpoint}"
+SIGNING_KEY="${serverKeypair.publicKey()}"
+`
+          })
+        );
+
+      return AiBlocksSdk.WebAuthClient.createForDomain('acme.com', {
+        networkPassphrase
+      }).then((client) => {
+        expect(client.authEndpoint.toString()).to.equal(authEndpoint);
+        expect(client.serverSigningKey).to.equal(serverKeypair.publicKey());
+        expect(client.homeDomain).to.equal('acme.com');
+      });
+    });
+
+    it('fails when aiblocks.toml has no signing key', function() {
+      this.axiosMock
+        .expects('get')
+        .withArgs(sinon.match('https://acme.com/.well-known/aiblocks.toml'))
+        .returns(
+          Promise.resolve({ data: `WEB_AUTH_ENDPOINT="${authEndpoint}"` })
+        );
+
+      return AiBlocksSdk.WebAuthClient.createForDomain('acme.com', {
+        networkPassphrase
+      }).should.be.rejectedWith(
+        /aiblocks.toml does not contain SIGNING_KEY field/
+      );
+    });
+  });
+
+  describe('WebAuthClient.authenticate', function() {
+    it('signs the challenge and returns the token', function() {
+      const encoded = token(3600);
+      expectChallenge(this.axiosMock);
+      expectToken(this.axiosMock, encoded);
+
+      return this.client
+        .authenticate(account, [clientKeypair])
+        .then((result) => {
+          expect(result.token).to.equal(encoded);
+          expect(result.account).to.equal(account);
+          expect(result.claims.sub).to.equal(account);
+          expect(result.expiresAt.getTime()).to.equal(result.claims.exp * 1000);
+        });
+    });
+
+    it('rejects a challenge not signed by the signing key', function() {
+      expectChallenge(
+        this.axiosMock,
+        challenge(account, AiBlocksSdk.Keypair.random())
+      );
+
+      return this.client
+        .authenticate(account, [clientKeypair])
+        .should.be.rejectedWith(AiBlocksSdk.InvalidSep10ChallengeError);
+    });
+
+    it('rejects a challenge for another account', function() {
+      expectChallenge(
+        this.axiosMock,
+        challenge(AiBlocksSdk.Keypair.random().publicKey())
+      );
+
+      return this.client
+        .authenticate(account, [clientKeypair])
+        .should.be.rejectedWith(/The challenge is for the account/);
+    });
+
+    it('rejects a challenge for another network', function() {
+      this.axiosMock.expects('get').returns(
+        Promise.resolve({
+          data: {
+            transaction: challenge(),
+            network_passphrase: AiBlocksSdk.Networks.PUBLIC
+          }
+        })
+      );
+
+      return this.client
+        .authenticate(account, [clientKeypair])
+        .should.be.rejectedWith(/The challenge is for the network/);
+    });
+
+    it('requests and checks the client domain', function() {
+      const clientDomainKeypair = AiBlocksSdk.Keypair.random();
+      const client = new AiBlocksSdk.WebAuthClient(
+        authEndpoint,
+        serverKeypair.publicKey(),
+        'acme.com',
+        { networkPassphrase, clientDomain: 'wallet.com' }
+      );
+      this.axiosMock
+        .expects('get')
+        .withArgs(sinon.match('client_domain=wallet.com'))
+        .returns(
+          Promise.resolve({
+            data: {
+              transaction: challenge(),
+              network_passphrase: networkPassphrase
+            }
+          })
+        );
+
+      return client
+        .authenticate(account, [clientKeypair, clientDomainKeypair])
+        .should.be.rejectedWith(/The challenge is for the client domain null/);
+    });
+
+    it('rejects responses without a token', function() {
+      expectChallenge(this.axiosMock);
+      this.axiosMock
+        .expects('post')
+        .returns(Promise.resolve({ data: { error: 'bad signatures' } }));
+
+      return this.client
+        .authenticate(account, [clientKeypair])
+        .should.be.rejectedWith(AiBlocksSdk.BadResponseError);
+    });
+
+    it('rejects error responses', function() {
+      const error = new Error('Request failed with status code 400');
+      error.response = {
+        status: 400,
+        statusText: 'Bad Request',
+        data: { error: 'bad signatures' }
+      };
+      expectChallenge(this.axiosMock);
+      this.axiosMock.expects('post').returns(Promise.reject(error));
+
+      return this.client
+        .authenticate(account, [clientKeypair])
+        .should.be.rejectedWith(/Web auth server responded: 400 Bad Request/);
+    });
+  });
+
+  describe('WebAuthClient.getToken', function() {
+    it('caches tokens and shares concurrent authentications', function() {
+      expectChallenge(this.axiosMock);
+      expectToken(this.axiosMock, token(3600));
+
+      let first;
+      return Promise.all([
+        this.client.getToken(account, [clientKeypair]),
+        this.client.getToken(account, [clientKeypair])
+      ])
+        .then((tokens) => {
+          first = tokens[0];
+          expect(tokens[1]).to.equal(first);
+          return this.client.getToken(account, [clientKeypair]);
+        })
+        .then((third) => {
+          expect(third).to.equal(first);
+        });
+    });
+
+    it('refreshes tokens that are about to expire', function() {
+      const fresh = token(3600);
+      expectChallenge(this.axiosMock);
+      expectToken(this.axiosMock, token(30));
+      expectChallenge(this.axiosMock);
+      expectToken(this.axiosMock, fresh);
+
+      return this.client
+        .getToken(account, [clientKeypair])
+        .then(() => this.client.getToken(account, [clientKeypair]))
+        .then((refreshed) => {
+          expect(refreshed.token).to.equal(fresh);
+        });
+    });
+
+    it('authenticates again after a failure or clearTokens', function() {
+      this.axiosMock
+        .expects('get')
+        .returns(Promise.reject(new Error('Network Error')));
+      expectChallenge(this.axiosMock);
+      expectToken(this.axiosMock, token(3600));
+      expectChallenge(this.axiosMock);
+      expectToken(this.axiosMock, token(3600));
+
+      return this.client
+        .getToken(account, [clientKeypair])
+        .should.be.rejectedWith(/Network Error/)
+        .then(() => this.client.getToken(account, [clientKeypair]))
+        .then(() => {
+          this.client.clearTokens(account);
+          return this.client.getToken(account, [clientKeypair]);
+        });
+    });
+  });
+});
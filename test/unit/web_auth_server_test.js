@@ -0,0 +1,360 @@
+const crypto = require('crypto');
+
+describe('WebAuthServer', function() {
+  const networkPassphrase = AiBlocksSdk.Networks.TESTNET;
+  const authEndpoint = 'https://acme.com/auth';
+  const jwtSecret = 'jwt-secret';
+  const signingKeypair = AiBlocksSdk.Keypair.random();
+  const clientKeypair = AiBlocksSdk.Keypair.random();
+  const account = clientKeypair.publicKey();
+
+  function accountRecord(signers, medThreshold) {
+    return {
+      id: account,
+      account_id: account,
+      sequence: '100',
+      subentry_count: 0,
+      thresholds: {
+        low_threshold: 0,
+        med_threshold: medThreshold,
+        high_threshold: 0
+      },
+      balances: [],
+      signers,
+      data_attr: {}
+    };
+  }
+
+  function sign(transaction, ...keypairs) {
+    const tx = new AiBlocksSdk.Transaction(transaction, networkPassphrase);
+    tx.sign(...keypairs);
+    return tx.toXDR();
+  }
+
+  beforeEach(function() {
+    this.accounts = {};
+    this.server = new AiBlocksSdk.Server(
+      'https://millennium-live.aiblocks.io:1337'
+    );
+    this.server.loadAccount = (accountId) => {
+      const record = this.accounts[accountId];
+      return record
+        ? Promise.resolve(new AiBlocksSdk.AccountResponse(record))
+        : Promise.reject(new AiBlocksSdk.NotFoundError('not found', {}));
+    };
+    this.auth = new AiBlocksSdk.WebAuthServer({
+      server: this.server,
+      signingKeypair,
+      networkPassphrase,
+      homeDomains: ['acme.com', 'auth.acme.com'],
+      authEndpoint,
+      jwtSecret
+    });
+  });
+
+  describe('WebAuthServer.challenge', function() {
+    it('returns a challenge signed by the signing key', function() {
+      return this.auth
+        .challenge({ query: { account, home_domain: 'auth.acme.com' } })
+        .then(({ status, body }) => {
+          expect(status).to.equal(200);
+          expect(body.network_passphrase).to.equal(networkPassphrase);
+          const {
+            clientAccountID,
+            matchedHomeDomain
+          } = AiBlocksSdk.Utils.readChallengeTx(
+            body.transaction,
+            signingKeypair.publicKey(),
+            networkPassphrase,
+            'auth.acme.com'
+          );
+          expect(clientAccountID).to.equal(account);
+          expect(matchedHomeDomain).to.equal('auth.acme.com');
+        });
+    });
+
+    it('rejects invalid accounts and unknown home domains', function() {
+      return this.auth
+        .challenge({ query: {} })
+        .then((response) => {
+          expect(response).to.deep.equal({
+            status: 400,
+            body: { error: 'account is missing or invalid' }
+          });
+
+          return this.auth.challenge({
+            query: { account, home_domain: 'evil.com' }
+          });
+        })
+        .then(({ status, body }) => {
+          expect(status).to.equal(400);
+          expect(body.error).to.match(/home_domain must be one of/);
+        });
+    });
+  });
+
+  describe('WebAuthServer.token', function() {
+    it('issues a token for a missing account signed by its master key', function() {
+      let transaction;
+      return this.auth
+        .challenge({ query: { account } })
+        .then(({ body: challenge }) => {
+          transaction = sign(challenge.transaction, clientKeypair);
+          return this.auth.token({ body: { transaction } });
+        })
+        .then(({ status, body }) => {
+          expect(status).to.equal(200);
+          const claims = this.auth.verifyToken(body.token);
+          expect(claims.iss).to.equal(authEndpoint);
+          expect(claims.sub).to.equal(account);
+          expect(claims.exp - claims.iat).to.equal(86400);
+          expect(claims.jti).to.equal(
+            new AiBlocksSdk.Transaction(transaction, networkPassphrase)
+              .hash()
+              .toString('hex')
+          );
+        });
+    });
+
+    it('requires the medium threshold of an existing account', function() {
+      const cosigner = AiBlocksSdk.Keypair.random();
+      this.accounts[account] = accountRecord(
+        [
+          { key: account, weight: 1 },
+          { key: cosigner.publicKey(), weight: 1 }
+        ],
+        2
+      );
+      let challenge;
+      return this.auth
+        .challenge({ query: { account } })
+        .then(({ body }) => {
+          challenge = body;
+          return this.auth.token({
+            body: { transaction: sign(challenge.transaction, clientKeypair) }
+          });
+        })
+        .then((rejected) => {
+          expect(rejected.status).to.equal(400);
+          expect(rejected.body.error).to.match(/do not meet threshold/);
+
+          return this.auth.token({
+            body: {
+              transaction: sign(challenge.transaction, clientKeypair, cosigner)
+            }
+          });
+        })
+        .then((accepted) => {
+          expect(accepted.status).to.equal(200);
+        });
+    });
+
+    it('rejects challenges it did not sign', function() {
+      const transaction = sign(
+        AiBlocksSdk.Utils.buildChallengeTx(
+          AiBlocksSdk.Keypair.random(),
+          account,
+          'acme.com',
+          300,
+          networkPassphrase
+        ),
+        clientKeypair
+      );
+
+      return this.auth.token({ body: { transaction } }).then(({ status }) => {
+        expect(status).to.equal(400);
+      });
+    });
+
+    it('rejects challenges signed by other keys than the master key of a missing account', function() {
+      return this.auth
+        .challenge({ query: { account } })
+        .then(({ body: challenge }) =>
+          this.auth.token({
+            body: {
+              transaction: sign(
+                challenge.transaction,
+                AiBlocksSdk.Keypair.random()
+              )
+            }
+          })
+        )
+        .then(({ status }) => {
+          expect(status).to.equal(400);
+        });
+    });
+
+    it('authenticates muxed accounts and users of a shared account', function() {
+      const muxedAccount = AiBlocksSdk.encodeMuxedAccount(account, '42');
+      const loaded = [];
+      const loadAccount = this.server.loadAccount;
+      this.server.loadAccount = (accountId) => {
+        loaded.push(accountId);
+        return loadAccount(accountId);
+      };
+
+      return Promise.all([
+        this.auth.challenge({ query: { account: muxedAccount } }),
+        this.auth.challenge({ query: { account, memo: '1234' } })
+      ])
+        .then((challenges) =>
+          Promise.all(
+            challenges.map(({ body }) =>
+              this.auth.token({
+                body: { transaction: sign(body.transaction, clientKeypair) }
+              })
+            )
+          )
+        )
+        .then((tokens) => {
+          expect(loaded).to.deep.equal([account, account]);
+          expect(
+            tokens.map(({ body }) => this.auth.verifyToken(body.token).sub)
+          ).to.deep.equal([muxedAccount, `${account}:1234`]);
+        });
+    });
+
+    it('requires the signature of the client domain', function() {
+      const clientDomainKeypair = AiBlocksSdk.Keypair.random();
+      const axiosMock = sinon.mock(axios);
+      axiosMock
+        .expects('get')
+        .withArgs(sinon.match('https://wallet.com/.well-known/aiblocks.toml'))
+        .returns(
+          Promise.resolve({
+            data: `SIGNING_KEY="${clientDomainKeypair.publicKey()}"`
+          })
+        );
+
+      let challenge;
+      return this.auth
+        .challenge({ query: { account, client_domain: 'wallet.com' } })
+        .then(({ body }) => {
+          axiosMock.verify();
+          axiosMock.restore();
+
+          challenge = body;
+          return this.auth.token({
+            body: { transaction: sign(challenge.transaction, clientKeypair) }
+          });
+        })
+        .then((rejected) => {
+          expect(rejected.status).to.equal(400);
+
+          return this.auth.token({
+            body: {
+              transaction: sign(
+                challenge.transaction,
+                clientKeypair,
+                clientDomainKeypair
+              )
+            }
+          });
+        })
+        .then(({ status, body }) => {
+          expect(status).to.equal(200);
+          expect(this.auth.verifyToken(body.token).client_domain).to.equal(
+            'wallet.com'
+          );
+        });
+    });
+
+    it('rejects when the account cannot be loaded', function() {
+      const error = new AiBlocksSdk.NetworkError('timeout', {});
+      this.server.loadAccount = () => Promise.reject(error);
+
+      return this.auth
+        .challenge({ query: { account } })
+        .then(({ body: challenge }) =>
+          this.auth
+            .token({
+              body: { transaction: sign(challenge.transaction, clientKeypair) }
+            })
+            .should.be.rejectedWith(error)
+        );
+    });
+  });
+
+  describe('WebAuthServer.verifyRequest', function() {
+    it('verifies the bearer token of a request', function() {
+      const now = Math.floor(Date.now() / 1000);
+      const token = AiBlocksSdk.signJwt(
+        { iss: authEndpoint, sub: account, iat: now, exp: now + 60 },
+        jwtSecret
+      );
+
+      const claims = this.auth.verifyRequest({
+        headers: { Authorization: `Bearer ${token}` }
+      });
+
+      expect(claims.sub).to.equal(account);
+    });
+
+    it('rejects missing, forged, expired and foreign tokens', function() {
+      const now = Math.floor(Date.now() / 1000);
+      const claims = {
+        iss: authEndpoint,
+        sub: account,
+        iat: now,
+        exp: now + 60
+      };
+      const request = (token) => ({
+        headers: { authorization: `Bearer ${token}` }
+      });
+
+      expect(() => this.auth.verifyRequest({ headers: {} })).to.throw(
+        AiBlocksSdk.InvalidJwtError,
+        /Missing bearer token/
+      );
+      expect(() =>
+        this.auth.verifyRequest(request(AiBlocksSdk.signJwt(claims, 'other')))
+      ).to.throw(/signature mismatch/);
+      expect(() =>
+        this.auth.verifyRequest(
+          request(
+            AiBlocksSdk.signJwt(
+              Object.assign({}, claims, { exp: now }),
+              jwtSecret
+            )
+          )
+        )
+      ).to.throw(/expired/);
+      expect(() =>
+        this.auth.verifyRequest(
+          request(
+            AiBlocksSdk.signJwt(
+              Object.assign({}, claims, { iss: 'https://evil.com/auth' }),
+              jwtSecret
+            )
+          )
+        )
+      ).to.throw(/issued by/);
+    });
+  });
+});
+
+describe('signJwt', function() {
+  it('signs with HMAC SHA-256', function() {
+    const secret = 'x'.repeat(100);
+    const token = AiBlocksSdk.signJwt(
+      { iss: 'acme.com', sub: 'G', iat: 1, exp: 2 },
+      secret
+    );
+    const [header, payload, signature] = token.split('.');
+    const expected = crypto
+      .createHmac('sha256', secret)
+      .update(`${header}.${payload}`)
+      .digest('base64')
+      .replace(/=+$/, '')
+      .replace(/\+/g, '-')
+      .replace(/\//g, '_');
+
+    expect(signature).to.equal(expected);
+    expect(AiBlocksSdk.decodeJwt(token)).to.deep.equal({
+      iss: 'acme.com',
+      sub: 'G',
+      iat: 1,
+      exp: 2
+    });
+  });
+});